@@ -33,6 +33,23 @@ export default {
         defineElementPlugin(),
         reactWrapperPlugin({
             exclude: ['StoryDecorator'],
+            // These elements reach for `window` or observers of the DOM as they
+            // are constructed, so they can not be rendered on the server.
+            clientOnly: [
+                'ActionMenu',
+                'FieldLabel',
+                'Grid',
+                'Picker',
+                'SplitButton',
+                'SplitView',
+                'Tabs',
+                'TabsOverflow',
+                'TopNav',
+                'Tray',
+            ],
+            // The handles of a Slider have their value managed by the Slider,
+            // though they are recognised as form controls from the manifest.
+            uncontrolled: ['SliderHandle'],
             outDir: '../../react',
             prettierConfig: yaml.load(
                 readFileSync(resolve('../../.prettierrc.yaml'))
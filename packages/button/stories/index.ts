@@ -74,6 +74,19 @@ export const argTypes = {
             options: ['fill', 'outline'],
         },
     },
+    size: {
+        name: 'size',
+        type: { name: 'string', required: false },
+        description: 'The size of the button.',
+        table: {
+            type: { summary: 'string' },
+            defaultValue: { summary: 'm' },
+        },
+        control: {
+            type: 'inline-radio',
+            options: ['s', 'm', 'l', 'xl'],
+        },
+    },
 };
 
 export interface Properties {
@@ -20,10 +20,17 @@ import {
 import { property } from '@spectrum-web-components/base/src/decorators.js';
 
 import iconStyles from './icon.css.js';
+import iconMirroredStyles from './icon-mirrored.css.js';
 
 export class IconBase extends SpectrumElement {
+    /**
+     * Whether the icon points in the direction of reading, e.g. "back", and is
+     * mirrored when its `dir` resolves to `rtl`.
+     */
+    public static mirrored = false;
+
     public static override get styles(): CSSResultArray {
-        return [iconStyles];
+        return this.mirrored ? [iconStyles, iconMirroredStyles] : [iconStyles];
     }
 
     @property()
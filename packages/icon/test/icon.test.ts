@@ -11,9 +11,10 @@ governing permissions and limitations under the License.
 */
 
 import Sinon from 'sinon';
+import { TemplateResult } from '@spectrum-web-components/base';
 import { isWebKit } from '@spectrum-web-components/shared';
 import '@spectrum-web-components/icon/sp-icon.js';
-import { Icon } from '@spectrum-web-components/icon';
+import { Icon, IconBase } from '@spectrum-web-components/icon';
 import '@spectrum-web-components/icons/sp-icons-medium.js';
 import {
     elementUpdated,
@@ -24,6 +25,17 @@ import {
 } from '@open-wc/testing';
 import { testForLitDevWarnings } from '../../../test/testing-helpers.js';
 
+class DirectionalIcon extends IconBase {
+    public static override mirrored = true;
+
+    protected override render(): TemplateResult {
+        return html`
+            <svg viewBox="0 0 36 36"><path d="M0 18 L36 0 L36 36 Z" /></svg>
+        `;
+    }
+}
+customElements.define('directional-icon', DirectionalIcon);
+
 describe('Icon', () => {
     before(async () => {
         const icons = document.createElement('sp-icons-medium');
@@ -172,4 +184,21 @@ describe('Icon', () => {
         const count = el.shadowRoot.querySelectorAll('svg').length;
         expect(count).to.equal(1);
     });
+
+    it('mirrors directional icons when `dir="rtl"`', async () => {
+        const el = await fixture<DirectionalIcon>(
+            html`
+                <directional-icon dir="rtl"></directional-icon>
+            `
+        );
+
+        await elementUpdated(el);
+        const svg = el.shadowRoot.querySelector('svg') as SVGElement;
+        expect(getComputedStyle(svg).transform).to.equal(
+            'matrix(-1, 0, 0, 1, 0, 0)'
+        );
+
+        el.dir = 'ltr';
+        expect(getComputedStyle(svg).transform).to.equal('none');
+    });
 });
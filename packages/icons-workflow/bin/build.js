@@ -25,6 +25,26 @@ const rootDir = path.join(__dirname, '../../../');
 const iconsPath = process.argv.slice(2)[0];
 const keepColors = process.argv.slice(2)[1];
 
+// Icons that point in the direction of reading are mirrored in `dir="rtl"`,
+// `mirroring.json` lists the icons that these patterns get wrong.
+const mirroredPatterns = [
+    /^Arrow(Left|Right)$/,
+    /^Chevron(Double)?(Left|Right)$/,
+    /^Back(Android)?$/,
+    /^Forward$/,
+    /^(Undo|Redo)$/,
+    /^Reply(All)?$/,
+    /^TextIndent(Increase|Decrease)$/,
+    /^Text(Bulleted|Numbered)/,
+];
+const mirroring = JSON.parse(
+    fs.readFileSync(path.join(__dirname, 'mirroring.json'), 'utf-8')
+);
+const isMirrored = (id) =>
+    mirroring.mirrored.includes(id) ||
+    (!mirroring.unmirrored.includes(id) &&
+        mirroredPatterns.some((pattern) => pattern.test(id)));
+
 const disclaimer = `
 /*
 Copyright 2020 Adobe. All rights reserved.
@@ -171,6 +191,7 @@ icons.forEach((i) => {
     );
 
     const iconElementName = `sp-icon-${Case.kebab(ComponentName)}`;
+    const mirrored = isMirrored(id);
     const iconElement = `
     ${disclaimer}
 
@@ -192,7 +213,13 @@ icons.forEach((i) => {
     /**
      * @element ${iconElementName}
      */
-    export class Icon${ComponentName} extends IconBase {
+    export class Icon${ComponentName} extends IconBase {${
+        mirrored
+            ? `
+        public static override mirrored = true;
+`
+            : ''
+    }
         protected override render(): TemplateResult {
             setCustomTemplateLiteralTag(html);
             return ${ComponentName}Icon({hidden: !this.label, title: this.label}) as TemplateResult;
@@ -266,7 +293,7 @@ icons.forEach((i) => {
     const importStatement = `\r\nimport '@spectrum-web-components/icons-workflow/icons/${iconElementName}.js';`;
     const metadata = `{name: '${Case.sentence(
         ComponentName
-    )}', tag: '<${iconElementName}>', story: (size: string): TemplateResult => html\`<${iconElementName} size=\$\{size\}></${iconElementName}>\`},\r\n`;
+    )}', tag: '<${iconElementName}>', mirrored: ${mirrored}, story: (size: string): TemplateResult => html\`<${iconElementName} size=\$\{size\}></${iconElementName}>\`},\r\n`;
     manifestImports += importStatement;
     manifestListings += metadata;
 });
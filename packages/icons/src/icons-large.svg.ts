@@ -10,4 +10,4 @@ OF ANY KIND, either express or implied. See the License for the specific languag
 governing permissions and limitations under the License.
 */
 import { svg } from '@spectrum-web-components/base';
-export default svg`<svg xmlns="http://www.w3.org/2000/svg"><symbol id="spectrum-icon-Arrow100" viewBox="0 0 14 14"><path d="M12.93 6.227L9.023 2.32a1.094 1.094 0 10-1.546 1.547l2.039 2.04H1.844a1.094 1.094 0 100 2.187h7.672l-2.04 2.039a1.094 1.094 0 001.547 1.547l3.907-3.907a1.093 1.093 0 000-1.546z"/></symbol><symbol id="spectrum-icon-Arrow200" viewBox="0 0 16 16"><path d="M14.606 7.194l-4.458-4.459a1.14 1.14 0 10-1.612 1.612L11.05 6.86H2.108a1.14 1.14 0 000 2.28h8.942l-2.514 2.513a1.14 1.14 0 101.611 1.612l4.46-4.46a1.139 1.139 0 000-1.61z"/></symbol><symbol id="spectrum-icon-Arrow300" viewBox="0 0 16 16"><path d="M15.364 7.161l-5.083-5.083a1.186 1.186 0 00-1.678 1.678l3.057 3.058H1.277a1.187 1.187 0 100 2.373H11.66l-3.056 3.057a1.186 1.186 0 101.677 1.678l5.083-5.083a1.185 1.185 0 000-1.678z"/></symbol><symbol id="spectrum-icon-Arrow400" viewBox="0 0 18 18"><path d="M17.216 8.126l-5.79-5.79a1.236 1.236 0 00-1.746 1.75l3.683 3.683c-.008 0-.014-.004-.021-.004H1.337a1.236 1.236 0 000 2.472H13.34c.007 0 .013-.004.02-.004l-3.68 3.682a1.236 1.236 0 101.748 1.748l5.789-5.789a1.237 1.237 0 000-1.748zm-2.643.895c0-.008.004-.014.004-.021s-.004-.013-.004-.02l.02.02z"/></symbol><symbol id="spectrum-icon-Arrow500" viewBox="0 0 22 22"><path d="M20.17 10.089l-6.585-6.585a1.289 1.289 0 00-1.822 1.822l4.386 4.386H2.276a1.288 1.288 0 000 2.576h13.873l-4.386 4.386a1.289 1.289 0 001.822 1.822l6.585-6.585a1.289 1.289 0 000-1.822z"/></symbol><symbol id="spectrum-icon-Arrow600" viewBox="0 0 24 24"><path d="M22.24 11.052l-7.485-7.485a1.341 1.341 0 00-1.897 1.897l5.194 5.194H2.079a1.342 1.342 0 000 2.684h15.973l-5.194 5.194a1.341 1.341 0 101.897 1.897l7.484-7.485a1.34 1.34 0 000-1.896z"/></symbol><symbol id="spectrum-icon-Arrow75" viewBox="0 0 12 12"><path d="M11.325 5.258L7.91 1.84a1.05 1.05 0 00-1.486 1.484L8.048 4.95H1.494a1.05 1.05 0 000 2.1h6.554L6.423 8.675a1.05 1.05 0 001.486 1.484l3.416-3.417a1.05 1.05 0 000-1.484z"/></symbol><symbol id="spectrum-icon-Asterisk100" viewBox="0 0 10 10"><path d="M8.176 8.281c.069.07.115.163 0 .255l-1.437.927c-.115.07-.161.024-.208-.092l-1.783-3.1-2.339 2.571c-.024.045-.093.091-.161 0L1.136 7.678c-.116-.069-.093-.139 0-.208l2.639-2.2-3.01-1.134c-.046 0-.115-.092-.07-.209l.788-1.574a.123.123 0 01.151-.083.128.128 0 01.058.038l2.639 1.713L4.494.64a.122.122 0 01.1-.139.172.172 0 01.038 0l1.922.255c.116 0 .139.046.116.163l-.9 3.31 3.057-.927c.069-.046.139-.046.185.092l.3 1.713c.023.116 0 .162-.093.162l-3.2.255z"/></symbol><symbol id="spectrum-icon-Asterisk200" viewBox="0 0 12 12"><path d="M9.575 9.696c.077.079.129.183 0 .287L7.96 11.025c-.129.079-.182.027-.234-.1L5.72 7.433l-2.633 2.893c-.027.051-.1.1-.182 0l-1.251-1.3c-.131-.077-.1-.156 0-.234l2.97-2.476-3.388-1.285c-.052 0-.129-.1-.079-.235l.886-1.771a.138.138 0 01.17-.093.144.144 0 01.065.042l2.97 1.928.183-3.8a.137.137 0 01.114-.156.197.197 0 01.042 0l2.163.287c.131 0 .156.052.131.183L6.86 5.136l3.44-1.043c.077-.052.156-.052.208.1l.339 1.928c.025.13 0 .183-.1.183l-3.6.287z"/></symbol><symbol id="spectrum-icon-Asterisk300" viewBox="0 0 12 12"><path d="M10.024 10.155c.087.089.146.206 0 .323l-1.819 1.173c-.146.089-.2.03-.263-.117L5.685 7.605l-2.962 3.254c-.03.057-.117.116-.2 0L1.116 9.392c-.147-.087-.117-.176 0-.263l3.339-2.785L.642 4.908c-.059 0-.146-.117-.089-.264l1-1.993a.156.156 0 01.192-.1.163.163 0 01.073.048l3.337 2.163.206-4.28a.155.155 0 01.128-.176.23.23 0 01.047 0l2.433.323c.147 0 .176.059.147.206l-1.144 4.19 3.87-1.173c.087-.06.176-.06.234.117l.381 2.169c.028.147 0 .206-.117.206l-4.046.323z"/></symbol><symbol id="spectrum-icon-Asterisk75" viewBox="0 0 8 8"><path d="M6.825 6.903c.061.062.1.144 0 .227l-1.277.824c-.1.062-.143.02-.185-.082L3.78 5.112 1.7 7.398c-.021.04-.082.08-.143 0L.569 6.367c-.1-.061-.082-.123 0-.185l2.347-1.957-2.68-1.007c-.041 0-.1-.082-.062-.186l.7-1.4a.109.109 0 01.135-.073.114.114 0 01.051.033l2.347 1.523.145-3.006a.109.109 0 01.09-.123.14.14 0 01.033 0l1.709.227c.1 0 .123.04.1.144l-.8 2.943 2.718-.824c.061-.041.123-.041.165.082l.268 1.523c.02.1 0 .144-.082.144l-2.842.227z"/></symbol><symbol id="spectrum-icon-Checkmark100" viewBox="0 0 14 14"><path d="M5.125 12.625a1.25 1.25 0 01-.96-.45L1.04 8.425a1.25 1.25 0 011.92-1.6l2.136 2.563 5.922-7.536a1.25 1.25 0 111.964 1.545l-6.874 8.75a1.25 1.25 0 01-.965.478z"/></symbol><symbol id="spectrum-icon-Checkmark200" viewBox="0 0 14 14"><path d="M4.891 13.224a1.304 1.304 0 01-1.005-.474l-3.54-4.3a1.302 1.302 0 012.011-1.655l2.508 3.046 6.758-8.647a1.302 1.302 0 112.05 1.604l-7.756 9.926a1.301 1.301 0 01-1.01.5z"/></symbol><symbol id="spectrum-icon-Checkmark300" viewBox="0 0 16 16"><path d="M5.627 14.894a1.357 1.357 0 01-1.042-.488l-4.1-4.92A1.357 1.357 0 012.569 7.75l3.027 3.631L13.4 1.448a1.356 1.356 0 012.133 1.675l-8.84 11.252a1.356 1.356 0 01-1.048.519z"/></symbol><symbol id="spectrum-icon-Checkmark400" viewBox="0 0 18 18"><path d="M6.33 16.642a1.415 1.415 0 01-1.086-.509l-4.683-5.62a1.413 1.413 0 012.171-1.81l3.566 4.28 8.936-11.374a1.413 1.413 0 012.223 1.746L7.441 16.102a1.415 1.415 0 01-1.09.54z"/></symbol><symbol id="spectrum-icon-Checkmark50" viewBox="0 0 12 12"><path d="M4.519 10.608a1.151 1.151 0 01-.885-.414L1.27 7.358a1.152 1.152 0 011.77-1.476l1.453 1.743 4.45-5.665a1.152 1.152 0 011.813 1.424l-5.331 6.784a1.153 1.153 0 01-.89.44z"/></symbol><symbol id="spectrum-icon-Checkmark500" viewBox="0 0 20 20"><path d="M6.997 18.48a1.47 1.47 0 01-1.13-.53L.521 11.538a1.471 1.471 0 112.26-1.885l4.182 5.017L17.18 1.666a1.472 1.472 0 112.314 1.818L8.154 17.917a1.472 1.472 0 01-1.135.562z"/></symbol><symbol id="spectrum-icon-Checkmark600" viewBox="0 0 24 24"><path d="M8.621 21.417a1.535 1.535 0 01-1.178-.552l-6.091-7.31a1.533 1.533 0 112.355-1.962l4.879 5.854L20.249 2.602a1.533 1.533 0 112.41 1.895L9.826 20.831a1.53 1.53 0 01-1.182.585z"/></symbol><symbol id="spectrum-icon-Checkmark75" viewBox="0 0 12 12"><path d="M4.333 11.09a1.2 1.2 0 01-.922-.433L.69 7.392a1.2 1.2 0 111.844-1.536l1.772 2.126 5.14-6.542a1.2 1.2 0 111.886 1.482L5.277 10.63a1.2 1.2 0 01-.927.459z"/></symbol><symbol id="spectrum-icon-Chevron100" viewBox="0 0 14 14"><path d="M4.5 13.25a1.094 1.094 0 01-.773-1.868L8.109 7 3.727 2.618A1.094 1.094 0 015.273 1.07l5.157 5.156a1.094 1.094 0 010 1.546L5.273 12.93a1.091 1.091 0 01-.773.321z"/></symbol><symbol id="spectrum-icon-Chevron200" viewBox="0 0 16 16"><path d="M5.123 15.005a1.14 1.14 0 01-.806-1.945L9.377 8l-5.06-5.06a1.14 1.14 0 011.612-1.61l5.865 5.864a1.139 1.139 0 010 1.612L5.929 14.67a1.135 1.135 0 01-.806.334z"/></symbol><symbol id="spectrum-icon-Chevron300" viewBox="0 0 16 16"><path d="M4.696 15.853a1.187 1.187 0 01-.84-2.026L9.684 8 3.856 2.173A1.187 1.187 0 015.536.495L12.2 7.16a1.187 1.187 0 010 1.678l-6.666 6.666a1.183 1.183 0 01-.84.348z"/></symbol><symbol id="spectrum-icon-Chevron400" viewBox="0 0 18 18"><path d="M5.213 17.805a1.236 1.236 0 01-.874-2.11L11.034 9 4.34 2.305A1.236 1.236 0 016.087.557l7.57 7.569a1.235 1.235 0 010 1.748l-7.57 7.569a1.232 1.232 0 01-.874.362z"/></symbol><symbol id="spectrum-icon-Chevron500" viewBox="0 0 20 20"><path d="M5.667 19.876a1.288 1.288 0 01-.91-2.199L12.433 10 4.756 2.323A1.288 1.288 0 016.578.502l8.588 8.587a1.288 1.288 0 010 1.822l-8.588 8.588a1.284 1.284 0 01-.911.377z"/></symbol><symbol id="spectrum-icon-Chevron600" viewBox="0 0 24 24"><path d="M7.05 23.078a1.341 1.341 0 01-.948-2.29L14.89 12 6.102 3.212a1.341 1.341 0 011.896-1.898l9.737 9.737a1.34 1.34 0 010 1.898l-9.737 9.737a1.335 1.335 0 01-.948.392z"/></symbol><symbol id="spectrum-icon-Chevron75" viewBox="0 0 12 12"><path d="M3.833 11.578a1.05 1.05 0 01-.742-1.793L6.876 6 3.091 2.215A1.05 1.05 0 114.575.73l4.529 4.527a1.05 1.05 0 010 1.486L4.575 11.27a1.047 1.047 0 01-.742.308z"/></symbol><symbol id="spectrum-icon-CornerTriangle100" viewBox="0 0 7 7"><path d="M6.687.75a.311.311 0 00-.221.091L.842 6.466a.312.312 0 00.221.533h5.624a.312.312 0 00.312-.312V1.062A.312.312 0 006.687.75z"/></symbol><symbol id="spectrum-icon-CornerTriangle200" viewBox="0 0 8 8"><path d="M7.65.97a.35.35 0 00-.249.1L1.07 7.401a.352.352 0 00.249.6H7.65a.352.352 0 00.352-.352V1.322A.352.352 0 007.65.97z"/></symbol><symbol id="spectrum-icon-CornerTriangle300" viewBox="0 0 8 8"><path d="M7.605.09a.394.394 0 00-.28.116L.206 7.325A.4.4 0 00.49 8h7.115a.4.4 0 00.4-.4V.49a.4.4 0 00-.4-.4z"/></symbol><symbol id="spectrum-icon-CornerTriangle75" viewBox="0 0 6 6"><path d="M5.718.44a.277.277 0 00-.2.081l-5 5a.278.278 0 00.2.474h5a.278.278 0 00.278-.278v-5A.278.278 0 005.718.44z"/></symbol><symbol id="spectrum-icon-Cross100" viewBox="0 0 10 10"><path d="M6.548 5L9.63 1.917A1.094 1.094 0 008.084.371L5.001 3.454 1.917.37A1.094 1.094 0 00.371 1.917L3.454 5 .37 8.085A1.094 1.094 0 101.917 9.63l3.084-3.083L8.084 9.63a1.094 1.094 0 101.547-1.546z"/></symbol><symbol id="spectrum-icon-Cross200" viewBox="0 0 12 12"><path d="M7.611 6l3.654-3.653A1.14 1.14 0 009.653.735L6 4.39 2.347.735A1.14 1.14 0 00.735 2.347L4.39 6 .735 9.653a1.14 1.14 0 101.612 1.612L6 7.61l3.653 3.654a1.14 1.14 0 001.612-1.612z"/></symbol><symbol id="spectrum-icon-Cross300" viewBox="0 0 14 14"><path d="M8.678 7l4.245-4.244a1.186 1.186 0 00-1.678-1.678L7.001 5.323 2.755 1.077a1.187 1.187 0 00-1.678 1.678L5.322 7l-4.244 4.244a1.187 1.187 0 001.678 1.678l4.245-4.245 4.244 4.245a1.186 1.186 0 001.678-1.678z"/></symbol><symbol id="spectrum-icon-Cross400" viewBox="0 0 16 16"><path d="M9.748 8l4.915-4.915a1.236 1.236 0 00-1.748-1.748L8 6.252 3.085 1.337a1.236 1.236 0 00-1.748 1.748L6.252 8l-4.915 4.915a1.236 1.236 0 101.748 1.748L8 9.748l4.915 4.915a1.236 1.236 0 001.748-1.748z"/></symbol><symbol id="spectrum-icon-Cross500" viewBox="0 0 16 16"><path d="M9.823 8l5.674-5.674A1.289 1.289 0 1013.675.504L8 6.179 2.326.503A1.288 1.288 0 00.504 2.326l5.674 5.675-5.674 5.674a1.288 1.288 0 001.822 1.822L8 9.822l5.674 5.675a1.289 1.289 0 101.823-1.822z"/></symbol><symbol id="spectrum-icon-Cross600" viewBox="0 0 18 18"><path d="M10.897 9l6.537-6.536A1.341 1.341 0 1015.537.567L9 7.104 2.465.567A1.341 1.341 0 00.567 2.464L7.104 9 .567 15.537a1.341 1.341 0 101.897 1.897L9 10.897l6.536 6.537a1.341 1.341 0 101.897-1.897z"/></symbol><symbol id="spectrum-icon-Cross75" viewBox="0 0 10 10"><path d="M6.485 5l2.674-2.674A1.05 1.05 0 107.674.84L5 3.515 2.326.84A1.05 1.05 0 00.84 2.326L3.515 5 .84 7.674A1.05 1.05 0 002.326 9.16L5 6.485 7.674 9.16A1.05 1.05 0 109.16 7.674z"/></symbol><symbol id="spectrum-icon-Dash100" viewBox="0 0 12 12"><path d="M10.375 7.25h-8.75a1.25 1.25 0 010-2.5h8.75a1.25 1.25 0 010 2.5z"/></symbol><symbol id="spectrum-icon-Dash200" viewBox="0 0 14 14"><path d="M12.026 8.302H1.974a1.302 1.302 0 010-2.604h10.052a1.302 1.302 0 010 2.604z"/></symbol><symbol id="spectrum-icon-Dash300" viewBox="0 0 16 16"><path d="M13.763 9.356H2.237a1.356 1.356 0 010-2.712h11.526a1.356 1.356 0 010 2.712z"/></symbol><symbol id="spectrum-icon-Dash400" viewBox="0 0 18 18"><path d="M15.596 10.413H2.404a1.413 1.413 0 010-2.826h13.192a1.413 1.413 0 010 2.826z"/></symbol><symbol id="spectrum-icon-Dash50" viewBox="0 0 10 10"><path d="M8.293 6.152H1.708a1.152 1.152 0 010-2.304h6.585a1.152 1.152 0 110 2.304z"/></symbol><symbol id="spectrum-icon-Dash500" viewBox="0 0 20 20"><path d="M17.54 11.472H2.461a1.472 1.472 0 010-2.944h15.077a1.472 1.472 0 010 2.944z"/></symbol><symbol id="spectrum-icon-Dash600" viewBox="0 0 22 22"><path d="M19.604 12.533H2.398a1.533 1.533 0 110-3.066h17.206a1.533 1.533 0 010 3.066z"/></symbol><symbol id="spectrum-icon-Dash75" viewBox="0 0 10 10"><path d="M8.75 6.2h-7.5a1.2 1.2 0 010-2.4h7.5a1.2 1.2 0 110 2.4z"/></symbol><symbol id="spectrum-icon-DoubleGripper" viewBox="0 0 20 6"><path d="M19.375 1.75H.625a.625.625 0 010-1.25h18.75a.625.625 0 010 1.25zM20 4.875a.626.626 0 00-.625-.625H.625a.625.625 0 000 1.25h18.75A.626.626 0 0020 4.875z"/></symbol><symbol id="spectrum-icon-SingleGripper" viewBox="0 0 30 4"><path d="M28.75 3.25H1.25a1.25 1.25 0 010-2.5h27.5a1.25 1.25 0 010 2.5z"/></symbol><symbol id="spectrum-icon-TripleGripper" viewBox="0 0 14 10"><path d="M12.625 1.25H1.375a.625.625 0 010-1.25h11.25a.625.625 0 010 1.25zm.625 3.125a.626.626 0 00-.625-.625H1.375a.625.625 0 000 1.25h11.25a.626.626 0 00.625-.625zm0 3.75a.626.626 0 00-.625-.625H1.375a.625.625 0 000 1.25h11.25a.626.626 0 00.625-.625z"/></symbol></svg>`;
+export default svg`<svg xmlns="http://www.w3.org/2000/svg"><symbol id="spectrum-icon-Arrow100" viewBox="0 0 14 14"><path d="m12.93 6.23-3.9-3.91a1.1 1.1 0 1 0-1.55 1.55L9.52 5.9H1.84a1.1 1.1 0 1 0 0 2.18h7.68l-2.04 2.04a1.1 1.1 0 0 0 1.54 1.55l3.91-3.9a1.1 1.1 0 0 0 0-1.55z"/></symbol><symbol id="spectrum-icon-Arrow200" viewBox="0 0 16 16"><path d="m14.6 7.2-4.45-4.46a1.14 1.14 0 1 0-1.61 1.6l2.51 2.52H2.11a1.14 1.14 0 0 0 0 2.28h8.94l-2.51 2.51a1.14 1.14 0 1 0 1.6 1.62l4.47-4.46a1.14 1.14 0 0 0 0-1.62z"/></symbol><symbol id="spectrum-icon-Arrow300" viewBox="0 0 16 16"><path d="m15.36 7.16-5.08-5.08A1.19 1.19 0 0 0 8.6 3.76l3.06 3.05H1.28a1.19 1.19 0 1 0 0 2.38h10.38L8.6 12.24a1.19 1.19 0 1 0 1.68 1.68l5.08-5.08a1.19 1.19 0 0 0 0-1.68z"/></symbol><symbol id="spectrum-icon-Arrow400" viewBox="0 0 18 18"><path d="m17.22 8.13-5.8-5.8A1.24 1.24 0 0 0 9.69 4.1l3.68 3.68H1.34a1.24 1.24 0 0 0 0 2.47h12.02l-3.68 3.68a1.24 1.24 0 1 0 1.75 1.74l5.79-5.79a1.24 1.24 0 0 0 0-1.74zm-2.65.9v-.05l.02.02z"/></symbol><symbol id="spectrum-icon-Arrow500" viewBox="0 0 22 22"><path d="M20.17 10.09 13.59 3.5a1.29 1.29 0 0 0-1.83 1.83l4.39 4.38H2.28a1.29 1.29 0 0 0 0 2.58h13.87l-4.39 4.38a1.29 1.29 0 0 0 1.83 1.83l6.58-6.59a1.29 1.29 0 0 0 0-1.82z"/></symbol><symbol id="spectrum-icon-Arrow600" viewBox="0 0 24 24"><path d="m22.24 11.05-7.49-7.48a1.34 1.34 0 0 0-1.9 1.9l5.2 5.19H2.08a1.34 1.34 0 0 0 0 2.68h15.97l-5.2 5.2a1.34 1.34 0 1 0 1.9 1.9l7.49-7.5a1.34 1.34 0 0 0 0-1.89z"/></symbol><symbol id="spectrum-icon-Arrow75" viewBox="0 0 12 12"><path d="M11.32 5.26 7.91 1.84a1.05 1.05 0 0 0-1.49 1.48l1.63 1.63H1.49a1.05 1.05 0 0 0 0 2.1h6.56L6.42 8.68a1.05 1.05 0 0 0 1.49 1.48l3.41-3.42a1.05 1.05 0 0 0 0-1.48z"/></symbol><symbol id="spectrum-icon-Asterisk100" viewBox="0 0 10 10"><path d="M8.18 8.28c.07.07.11.16 0 .26l-1.44.92c-.12.07-.16.03-.2-.09l-1.8-3.1-2.33 2.57c-.03.05-.1.1-.16 0L1.14 7.68c-.12-.07-.1-.14 0-.21l2.63-2.2-3-1.13c-.05 0-.12-.1-.08-.21l.8-1.58a.12.12 0 0 1 .14-.08.13.13 0 0 1 .06.04l2.64 1.71L4.5.64A.12.12 0 0 1 4.6.5a.17.17 0 0 1 .04 0l1.92.26c.12 0 .14.04.12.16l-.9 3.3 3.06-.92c.07-.04.14-.04.18.1l.3 1.7c.02.12 0 .17-.1.17l-3.2.25z"/></symbol><symbol id="spectrum-icon-Asterisk200" viewBox="0 0 12 12"><path d="M9.57 9.7c.08.08.13.18 0 .28l-1.61 1.04c-.13.08-.18.03-.23-.1L5.72 7.44l-2.63 2.9c-.03.05-.1.1-.19 0l-1.25-1.3c-.13-.08-.1-.16 0-.24l2.97-2.47-3.38-1.29c-.06 0-.13-.1-.08-.23l.88-1.78a.14.14 0 0 1 .17-.09.14.14 0 0 1 .07.04L5.25 4.9l.18-3.8a.14.14 0 0 1 .12-.15.2.2 0 0 1 .04 0l2.16.28c.13 0 .16.05.13.19L6.86 5.14l3.44-1.05c.08-.05.16-.05.2.1l.35 1.93c.02.13 0 .18-.1.18l-3.6.3z"/></symbol><symbol id="spectrum-icon-Asterisk300" viewBox="0 0 12 12"><path d="M10.02 10.15c.1.1.15.21 0 .33L8.2 11.65c-.14.09-.2.03-.26-.12L5.68 7.61l-2.96 3.25c-.03.06-.11.12-.2 0l-1.4-1.47c-.15-.09-.12-.17 0-.26l3.33-2.79-3.8-1.43c-.07 0-.15-.12-.1-.27l1-1.99a.16.16 0 0 1 .2-.1.16.16 0 0 1 .07.05l3.33 2.16.21-4.28A.15.15 0 0 1 5.5.31a.23.23 0 0 1 .05 0l2.43.32c.15 0 .18.06.15.2l-1.15 4.2 3.87-1.18c.09-.06.18-.06.24.12l.38 2.17c.02.15 0 .2-.12.2l-4.05.33z"/></symbol><symbol id="spectrum-icon-Asterisk75" viewBox="0 0 8 8"><path d="M6.83 6.9c.06.06.1.15 0 .23l-1.28.82c-.1.07-.14.02-.19-.08L3.78 5.11 1.7 7.4c-.02.04-.08.08-.14 0l-1-1.03c-.1-.06-.07-.13 0-.19l2.36-1.95L.24 3.22c-.05 0-.1-.08-.07-.19l.7-1.4a.1.1 0 0 1 .14-.07.11.11 0 0 1 .05.03l2.35 1.53L3.55.1a.1.1 0 0 1 .1-.12.14.14 0 0 1 .02 0L5.38.2c.1 0 .13.04.1.15l-.8 2.94 2.72-.82c.06-.04.12-.04.17.08l.26 1.52c.02.1 0 .15-.08.15l-2.84.22z"/></symbol><symbol id="spectrum-icon-Checkmark100" viewBox="0 0 14 14"><path d="M5.13 12.63a1.25 1.25 0 0 1-.96-.46L1.04 8.44a1.25 1.25 0 0 1 1.92-1.6L5.1 9.39l5.92-7.54a1.25 1.25 0 1 1 1.96 1.55l-6.87 8.75a1.25 1.25 0 0 1-.97.48z"/></symbol><symbol id="spectrum-icon-Checkmark200" viewBox="0 0 14 14"><path d="M4.9 13.22a1.3 1.3 0 0 1-1.01-.47L.35 8.45a1.3 1.3 0 0 1 2-1.66l2.52 3.05 6.75-8.65a1.3 1.3 0 1 1 2.05 1.6l-7.75 9.93a1.3 1.3 0 0 1-1.01.5z"/></symbol><symbol id="spectrum-icon-Checkmark300" viewBox="0 0 16 16"><path d="M5.63 14.9a1.36 1.36 0 0 1-1.05-.5L.49 9.5a1.36 1.36 0 0 1 2.09-1.74l3.03 3.63 7.8-9.93a1.36 1.36 0 0 1 2.13 1.67L6.7 14.38a1.36 1.36 0 0 1-1.04.51z"/></symbol><symbol id="spectrum-icon-Checkmark400" viewBox="0 0 18 18"><path d="M6.33 16.64a1.42 1.42 0 0 1-1.09-.5L.56 10.5a1.41 1.41 0 0 1 2.17-1.8l3.57 4.27L15.23 1.6a1.41 1.41 0 0 1 2.23 1.74L7.44 16.1a1.42 1.42 0 0 1-1.09.54z"/></symbol><symbol id="spectrum-icon-Checkmark50" viewBox="0 0 12 12"><path d="M4.52 10.6a1.15 1.15 0 0 1-.89-.4L1.27 7.35a1.15 1.15 0 0 1 1.77-1.48l1.45 1.74 4.45-5.66a1.15 1.15 0 0 1 1.82 1.42l-5.33 6.79a1.15 1.15 0 0 1-.9.44z"/></symbol><symbol id="spectrum-icon-Checkmark500" viewBox="0 0 20 20"><path d="M7 18.48a1.47 1.47 0 0 1-1.13-.53L.52 11.54a1.47 1.47 0 1 1 2.26-1.89l4.18 5.02 10.22-13a1.47 1.47 0 1 1 2.31 1.81L8.15 17.92a1.47 1.47 0 0 1-1.13.56z"/></symbol><symbol id="spectrum-icon-Checkmark600" viewBox="0 0 24 24"><path d="M8.62 21.42a1.53 1.53 0 0 1-1.18-.56l-6.09-7.3a1.53 1.53 0 1 1 2.36-1.97l4.88 5.86L20.25 2.6a1.53 1.53 0 1 1 2.4 1.9L9.84 20.83a1.53 1.53 0 0 1-1.19.59z"/></symbol><symbol id="spectrum-icon-Checkmark75" viewBox="0 0 12 12"><path d="M4.33 11.09a1.2 1.2 0 0 1-.92-.43L.7 7.39a1.2 1.2 0 1 1 1.84-1.53l1.78 2.12 5.14-6.54a1.2 1.2 0 1 1 1.88 1.48l-6.05 7.71a1.2 1.2 0 0 1-.93.46z"/></symbol><symbol id="spectrum-icon-Chevron100" viewBox="0 0 14 14"><path d="M4.5 13.25a1.1 1.1 0 0 1-.77-1.87L8.1 7 3.73 2.62a1.1 1.1 0 0 1 1.54-1.55l5.16 5.16a1.1 1.1 0 0 1 0 1.54l-5.16 5.16a1.1 1.1 0 0 1-.77.32z"/></symbol><symbol id="spectrum-icon-Chevron200" viewBox="0 0 16 16"><path d="M5.12 15a1.14 1.14 0 0 1-.8-1.94L9.38 8 4.32 2.94a1.14 1.14 0 0 1 1.6-1.61l5.87 5.86a1.14 1.14 0 0 1 0 1.62l-5.86 5.86a1.14 1.14 0 0 1-.8.33z"/></symbol><symbol id="spectrum-icon-Chevron300" viewBox="0 0 16 16"><path d="M4.7 15.85a1.19 1.19 0 0 1-.84-2.02L9.68 8 3.86 2.17A1.19 1.19 0 0 1 5.54.5l6.66 6.66a1.19 1.19 0 0 1 0 1.68L5.53 15.5a1.18 1.18 0 0 1-.84.35z"/></symbol><symbol id="spectrum-icon-Chevron400" viewBox="0 0 18 18"><path d="M5.21 17.8a1.24 1.24 0 0 1-.87-2.1l6.7-6.7-6.7-6.7A1.24 1.24 0 0 1 6.09.56l7.57 7.57a1.24 1.24 0 0 1 0 1.74l-7.57 7.57a1.23 1.23 0 0 1-.88.36z"/></symbol><symbol id="spectrum-icon-Chevron500" viewBox="0 0 20 20"><path d="M5.67 19.88a1.29 1.29 0 0 1-.91-2.2L12.43 10 4.76 2.32A1.29 1.29 0 0 1 6.58.5l8.59 8.59a1.29 1.29 0 0 1 0 1.82l-8.6 8.59a1.28 1.28 0 0 1-.9.38z"/></symbol><symbol id="spectrum-icon-Chevron600" viewBox="0 0 24 24"><path d="M7.05 23.08a1.34 1.34 0 0 1-.95-2.3L14.9 12 6.1 3.21A1.34 1.34 0 0 1 8 1.31l9.73 9.74a1.34 1.34 0 0 1 0 1.9L8 22.69a1.33 1.33 0 0 1-.95.39z"/></symbol><symbol id="spectrum-icon-Chevron75" viewBox="0 0 12 12"><path d="M3.83 11.58a1.05 1.05 0 0 1-.74-1.8L6.88 6 3.09 2.21A1.05 1.05 0 1 1 4.58.73L9.1 5.26a1.05 1.05 0 0 1 0 1.48l-4.52 4.53a1.05 1.05 0 0 1-.75.3z"/></symbol><symbol id="spectrum-icon-CornerTriangle100" viewBox="0 0 7 7"><path d="M6.69.75a.31.31 0 0 0-.22.1L.84 6.46a.31.31 0 0 0 .22.53H6.7a.31.31 0 0 0 .3-.31V1.06a.31.31 0 0 0-.3-.31z"/></symbol><symbol id="spectrum-icon-CornerTriangle200" viewBox="0 0 8 8"><path d="M7.65.97a.35.35 0 0 0-.25.1L1.07 7.4a.35.35 0 0 0 .25.6h6.33A.35.35 0 0 0 8 7.65V1.32a.35.35 0 0 0-.35-.35z"/></symbol><symbol id="spectrum-icon-CornerTriangle300" viewBox="0 0 8 8"><path d="M7.6.09a.4.4 0 0 0-.27.12L.2 7.33A.4.4 0 0 0 .49 8h7.12a.4.4 0 0 0 .4-.4V.49a.4.4 0 0 0-.4-.4z"/></symbol><symbol id="spectrum-icon-CornerTriangle75" viewBox="0 0 6 6"><path d="M5.72.44a.28.28 0 0 0-.2.08l-5 5a.28.28 0 0 0 .2.48h5A.28.28 0 0 0 6 5.71v-5a.28.28 0 0 0-.28-.28z"/></symbol><symbol id="spectrum-icon-Cross100" viewBox="0 0 10 10"><path d="m6.55 5 3.08-3.08A1.1 1.1 0 0 0 8.08.37L5 3.45 1.92.37A1.1 1.1 0 0 0 .37 1.92L3.45 5 .37 8.09a1.1 1.1 0 1 0 1.55 1.54L5 6.55l3.08 3.08a1.1 1.1 0 1 0 1.55-1.55z"/></symbol><symbol id="spectrum-icon-Cross200" viewBox="0 0 12 12"><path d="m7.61 6 3.65-3.65A1.14 1.14 0 0 0 9.67.73L6 4.4 2.35.74a1.14 1.14 0 0 0-1.62 1.6L4.4 6 .74 9.65a1.14 1.14 0 1 0 1.6 1.62L6 7.6l3.65 3.65a1.14 1.14 0 0 0 1.62-1.6z"/></symbol><symbol id="spectrum-icon-Cross300" viewBox="0 0 14 14"><path d="m8.68 7 4.24-4.24a1.19 1.19 0 0 0-1.67-1.68L7 5.32 2.75 1.08a1.19 1.19 0 0 0-1.67 1.67L5.32 7l-4.24 4.24a1.19 1.19 0 0 0 1.68 1.68L7 8.68l4.25 4.24a1.19 1.19 0 0 0 1.67-1.68z"/></symbol><symbol id="spectrum-icon-Cross400" viewBox="0 0 16 16"><path d="m9.75 8 4.91-4.92a1.24 1.24 0 0 0-1.74-1.74L8 6.25 3.08 1.34a1.24 1.24 0 0 0-1.74 1.74L6.25 8l-4.91 4.92a1.24 1.24 0 1 0 1.74 1.74L8 9.75l4.92 4.91a1.24 1.24 0 0 0 1.74-1.74z"/></symbol><symbol id="spectrum-icon-Cross500" viewBox="0 0 16 16"><path d="m9.82 8 5.68-5.67A1.29 1.29 0 1 0 13.68.5L8 6.18 2.33.5A1.29 1.29 0 0 0 .5 2.33L6.18 8 .5 13.67a1.29 1.29 0 0 0 1.83 1.83L8 9.82l5.67 5.68a1.29 1.29 0 1 0 1.83-1.83z"/></symbol><symbol id="spectrum-icon-Cross600" viewBox="0 0 18 18"><path d="m10.9 9 6.53-6.54a1.34 1.34 0 1 0-1.9-1.9L9 7.1 2.46.57a1.34 1.34 0 0 0-1.9 1.9L7.1 9 .57 15.54a1.34 1.34 0 1 0 1.9 1.9L9 10.9l6.54 6.53a1.34 1.34 0 1 0 1.9-1.9z"/></symbol><symbol id="spectrum-icon-Cross75" viewBox="0 0 10 10"><path d="m6.49 5 2.67-2.67A1.05 1.05 0 1 0 7.67.84L5 3.52 2.33.83a1.05 1.05 0 0 0-1.49 1.5L3.52 5 .83 7.67a1.05 1.05 0 0 0 1.49 1.49L5 6.49l2.67 2.67a1.05 1.05 0 1 0 1.49-1.49z"/></symbol><symbol id="spectrum-icon-Dash100" viewBox="0 0 12 12"><path d="M10.38 7.25H1.62a1.25 1.25 0 0 1 0-2.5h8.75a1.25 1.25 0 0 1 0 2.5z"/></symbol><symbol id="spectrum-icon-Dash200" viewBox="0 0 14 14"><path d="M12.03 8.3H1.97a1.3 1.3 0 0 1 0-2.6h10.06a1.3 1.3 0 0 1 0 2.6z"/></symbol><symbol id="spectrum-icon-Dash300" viewBox="0 0 16 16"><path d="M13.76 9.36H2.24a1.36 1.36 0 0 1 0-2.72h11.52a1.36 1.36 0 0 1 0 2.72z"/></symbol><symbol id="spectrum-icon-Dash400" viewBox="0 0 18 18"><path d="M15.6 10.41H2.4a1.41 1.41 0 0 1 0-2.82h13.2a1.41 1.41 0 0 1 0 2.82z"/></symbol><symbol id="spectrum-icon-Dash50" viewBox="0 0 10 10"><path d="M8.3 6.15H1.7a1.15 1.15 0 0 1 0-2.3h6.6a1.15 1.15 0 1 1 0 2.3z"/></symbol><symbol id="spectrum-icon-Dash500" viewBox="0 0 20 20"><path d="M17.54 11.47H2.46a1.47 1.47 0 0 1 0-2.94h15.08a1.47 1.47 0 0 1 0 2.94z"/></symbol><symbol id="spectrum-icon-Dash600" viewBox="0 0 22 22"><path d="M19.6 12.53H2.4a1.53 1.53 0 1 1 0-3.06h17.2a1.53 1.53 0 0 1 0 3.06z"/></symbol><symbol id="spectrum-icon-Dash75" viewBox="0 0 10 10"><path d="M8.75 6.2h-7.5a1.2 1.2 0 0 1 0-2.4h7.5a1.2 1.2 0 1 1 0 2.4z"/></symbol><symbol id="spectrum-icon-DoubleGripper" viewBox="0 0 20 6"><path d="M19.38 1.75H.63A.63.63 0 0 1 .63.5h18.75a.63.63 0 0 1 0 1.25zM20 4.88a.63.63 0 0 0-.63-.63H.63a.63.63 0 0 0 0 1.25h18.75a.63.63 0 0 0 .63-.63z"/></symbol><symbol id="spectrum-icon-SingleGripper" viewBox="0 0 30 4"><path d="M28.75 3.25H1.25a1.25 1.25 0 0 1 0-2.5h27.5a1.25 1.25 0 0 1 0 2.5z"/></symbol><symbol id="spectrum-icon-TripleGripper" viewBox="0 0 14 10"><path d="M12.63 1.25H1.37a.63.63 0 0 1 0-1.25h11.25a.63.63 0 0 1 0 1.25zm.62 3.13a.63.63 0 0 0-.63-.63H1.38a.63.63 0 0 0 0 1.25h11.25a.63.63 0 0 0 .62-.63zm0 3.75a.63.63 0 0 0-.63-.63H1.38a.63.63 0 0 0 0 1.25h11.25a.63.63 0 0 0 .62-.63z"/></symbol></svg>`;
@@ -10,4 +10,4 @@ OF ANY KIND, either express or implied. See the License for the specific languag
 governing permissions and limitations under the License.
 */
 import { svg } from '@spectrum-web-components/base';
-export default svg`<svg xmlns="http://www.w3.org/2000/svg"><symbol id="spectrum-icon-Arrow100" viewBox="0 0 10 10"><path d="M9.7 4.387L6.623 1.262a.875.875 0 10-1.247 1.226l1.61 1.637H.925a.875.875 0 000 1.75h6.062l-1.61 1.637a.875.875 0 101.247 1.226l3.075-3.125a.874.874 0 000-1.226z"/></symbol><symbol id="spectrum-icon-Arrow200" viewBox="0 0 12 12"><path d="M11.284 5.356L7.718 1.788a.911.911 0 10-1.29 1.29l2.012 2.01H1.286a.911.911 0 100 1.823H8.44L6.429 8.923a.911.911 0 001.289 1.289l3.566-3.567a.912.912 0 000-1.29z"/></symbol><symbol id="spectrum-icon-Arrow300" viewBox="0 0 14 14"><path d="M12.893 6.33L8.826 2.261a.95.95 0 10-1.344 1.341L9.93 6.051H1.621a.95.95 0 100 1.898H9.93l-2.447 2.447a.95.95 0 001.344 1.342l4.067-4.067a.95.95 0 000-1.342z"/></symbol><symbol id="spectrum-icon-Arrow400" viewBox="0 0 16 16"><path d="M14.572 7.3l-4.63-4.63a.989.989 0 00-1.399 1.398l2.942 2.943H1.87a.99.99 0 000 1.978h9.615l-2.942 2.943a.989.989 0 101.398 1.398l4.631-4.63a.988.988 0 000-1.4z"/></symbol><symbol id="spectrum-icon-Arrow500" viewBox="0 0 18 18"><path d="M16.336 8.271l-5.269-5.267A1.03 1.03 0 109.61 4.46l3.51 3.509H2.021a1.03 1.03 0 000 2.06H13.12l-3.51 3.51a1.03 1.03 0 101.457 1.456l5.269-5.268a1.03 1.03 0 000-1.456z"/></symbol><symbol id="spectrum-icon-Arrow600" viewBox="0 0 20 20"><path d="M18.191 9.241l-5.986-5.987a1.073 1.073 0 00-1.518 1.517l4.155 4.156H2.063a1.073 1.073 0 100 2.146h12.779l-4.154 4.155a1.073 1.073 0 101.517 1.518l5.986-5.987a1.073 1.073 0 000-1.518z"/></symbol><symbol id="spectrum-icon-Arrow75" viewBox="0 0 10 10"><path d="M9.26 4.406L6.528 1.672A.84.84 0 005.34 2.859l1.3 1.301H1.396a.84.84 0 000 1.68H6.64l-1.301 1.3a.84.84 0 001.188 1.188l2.734-2.734a.84.84 0 000-1.188z"/></symbol><symbol id="spectrum-icon-Asterisk100" viewBox="0 0 8 8"><path d="M6.575 6.555c.055.056.092.13 0 .2l-1.149.741c-.092.056-.129.019-.166-.074L3.834 4.94 1.963 7c-.019.036-.074.073-.129 0l-.889-.927c-.093-.055-.074-.111 0-.166l2.111-1.76L.648 3.24c-.037 0-.092-.074-.056-.167l.63-1.259a.097.097 0 01.167-.036L3.5 3.148l.13-2.7a.1.1 0 01.081-.111.15.15 0 01.03 0l1.537.2c.093 0 .111.037.093.13l-.723 2.647 2.445-.741c.055-.037.111-.037.148.074l.241 1.37c.018.093 0 .13-.074.13l-2.556.2z"/></symbol><symbol id="spectrum-icon-Asterisk200" viewBox="0 0 10 10"><path d="M7.861 7.953c.062.063.1.146 0 .23l-1.293.834c-.1.063-.145.021-.187-.083l-1.6-2.793-2.105 2.314c-.021.04-.083.082-.145 0l-1-1.043c-.1-.062-.083-.125 0-.187l2.375-1.981-2.715-1.026c-.042 0-.1-.083-.063-.188l.707-1.412a.111.111 0 01.136-.074.116.116 0 01.052.034l2.378 1.54.146-3.043A.11.11 0 014.638.95a.161.161 0 01.034 0l1.73.23c.1 0 .125.042.1.146l-.814 2.979 2.751-.834c.062-.042.125-.042.167.083l.271 1.542c.02.1 0 .146-.083.146l-2.876.23z"/></symbol><symbol id="spectrum-icon-Asterisk300" viewBox="0 0 10 10"><path d="M8.266 8.324c.07.071.116.164 0 .258l-1.454.938c-.116.071-.163.024-.21-.094l-1.8-3.141-2.367 2.6c-.024.045-.094.092-.163 0l-1.13-1.167c-.118-.07-.094-.141 0-.21l2.671-2.227L.766 4.13c-.047 0-.116-.094-.071-.211l.8-1.593a.124.124 0 01.153-.084.13.13 0 01.058.038l2.669 1.738.164-3.422a.124.124 0 01.1-.14.186.186 0 01.038 0l1.945.258c.118 0 .14.047.118.164l-.915 3.349 3.094-.938c.07-.047.14-.047.187.094l.3 1.734c.023.118 0 .164-.094.164l-3.234.258z"/></symbol><symbol id="spectrum-icon-Asterisk75" viewBox="0 0 8 8"><path d="M6.26 6.463c.049.05.082.116 0 .181l-1.022.659c-.082.05-.115.017-.148-.066L3.822 5.03 2.16 6.859c-.017.032-.066.065-.115 0l-.79-.824c-.083-.049-.066-.1 0-.148l1.877-1.565L.99 3.516c-.033 0-.082-.066-.05-.148l.56-1.119a.087.087 0 01.108-.059.09.09 0 01.04.027l1.878 1.218.116-2.4a.087.087 0 01.072-.1h.027l1.367.181c.083 0 .1.033.083.116L4.55 3.581l2.174-.659c.049-.033.1-.033.132.066l.214 1.218c.016.083 0 .115-.066.115l-2.273.181z"/></symbol><symbol id="spectrum-icon-Checkmark100" viewBox="0 0 10 10"><path d="M3.5 9.5a.999.999 0 01-.774-.368l-2.45-3a1 1 0 111.548-1.264l1.657 2.028 4.68-6.01A1 1 0 019.74 2.114l-5.45 7a1 1 0 01-.777.386z"/></symbol><symbol id="spectrum-icon-Checkmark200" viewBox="0 0 12 12"><path d="M4.313 10.98a1.042 1.042 0 01-.8-.375L.647 7.165a1.042 1.042 0 011.6-1.333l2.042 2.45 5.443-6.928a1.042 1.042 0 011.64 1.287l-6.24 7.94a1.04 1.04 0 01-.804.399z"/></symbol><symbol id="spectrum-icon-Checkmark300" viewBox="0 0 14 14"><path d="M5.102 12.514a1.087 1.087 0 01-.834-.39L.988 8.19A1.085 1.085 0 012.656 6.8l2.421 2.906 6.243-7.947a1.085 1.085 0 011.707 1.34L5.955 12.1a1.089 1.089 0 01-.838.415z"/></symbol><symbol id="spectrum-icon-Checkmark400" viewBox="0 0 16 16"><path d="M5.864 14.114a1.13 1.13 0 01-.868-.407L1.25 9.21a1.13 1.13 0 111.736-1.448l2.854 3.425 7.148-9.1a1.13 1.13 0 111.778 1.397L6.753 13.682a1.13 1.13 0 01-.872.432z"/></symbol><symbol id="spectrum-icon-Checkmark50" viewBox="0 0 10 10"><path d="M3.815 8.687a.921.921 0 01-.708-.332l-1.891-2.27a.921.921 0 011.416-1.18L3.794 6.3l3.56-4.531a.921.921 0 111.45 1.138L4.54 8.335a.921.921 0 01-.712.351z"/></symbol><symbol id="spectrum-icon-Checkmark500" viewBox="0 0 16 16"><path d="M5.597 14.784a1.177 1.177 0 01-.905-.424L.417 9.229a1.177 1.177 0 111.809-1.508l3.343 4.013 8.174-10.402a1.177 1.177 0 011.852 1.456L6.523 14.334a1.178 1.178 0 01-.91.45z"/></symbol><symbol id="spectrum-icon-Checkmark600" viewBox="0 0 18 18"><path d="M6.297 16.534a1.228 1.228 0 01-.942-.442L.48 10.244a1.227 1.227 0 011.885-1.57l3.904 4.684L15.6 1.482a1.227 1.227 0 011.93 1.516L7.262 16.065a1.229 1.229 0 01-.947.469z"/></symbol><symbol id="spectrum-icon-Checkmark75" viewBox="0 0 10 10"><path d="M3.667 9.07a.96.96 0 01-.737-.344L.753 6.114a.96.96 0 111.474-1.23l1.418 1.701 4.112-5.233a.96.96 0 011.51 1.186L4.422 8.704a.962.962 0 01-.741.367z"/></symbol><symbol id="spectrum-icon-Chevron100" viewBox="0 0 10 10"><path d="M3 9.95a.875.875 0 01-.615-1.498L5.88 5 2.385 1.547A.875.875 0 013.615.302L7.74 4.377a.876.876 0 010 1.246L3.615 9.698A.872.872 0 013 9.95z"/></symbol><symbol id="spectrum-icon-Chevron200" viewBox="0 0 12 12"><path d="M9.034 5.356L4.343.663a.911.911 0 00-1.29 1.289L7.102 6l-4.047 4.047a.911.911 0 101.289 1.29l4.691-4.692a.912.912 0 000-1.29z"/></symbol><symbol id="spectrum-icon-Chevron300" viewBox="0 0 14 14"><path d="M10.639 7a.947.947 0 00-.278-.671l-.003-.002-5.33-5.33a.95.95 0 00-1.342 1.342L8.346 7l-4.661 4.66a.95.95 0 101.342 1.343l5.33-5.33.003-.001A.947.947 0 0010.64 7z"/></symbol><symbol id="spectrum-icon-Chevron400" viewBox="0 0 16 16"><path d="M4.97 15.044a.989.989 0 01-.698-1.688L9.627 8 4.27 2.644a.989.989 0 011.4-1.398L11.726 7.3a.988.988 0 010 1.398L5.67 14.754a.985.985 0 01-.7.29z"/></symbol><symbol id="spectrum-icon-Chevron500" viewBox="0 0 16 16"><path d="M12.133 7.271L5.263.401a1.03 1.03 0 00-1.457 1.457L9.947 8l-6.141 6.142a1.03 1.03 0 001.457 1.457l6.87-6.87a1.03 1.03 0 000-1.457z"/></symbol><symbol id="spectrum-icon-Chevron600" viewBox="0 0 18 18"><path d="M5.04 17.863a1.073 1.073 0 01-.759-1.832L11.313 9 4.28 1.969A1.073 1.073 0 015.8.45l7.79 7.79a1.073 1.073 0 010 1.518l-7.79 7.79a1.07 1.07 0 01-.759.314z"/></symbol><symbol id="spectrum-icon-Chevron75" viewBox="0 0 10 10"><path d="M7.482 4.406l-.001-.001L3.86.783a.84.84 0 00-1.188 1.188L5.702 5l-3.03 3.03A.84.84 0 003.86 9.216l3.621-3.622h.001a.84.84 0 000-1.19z"/></symbol><symbol id="spectrum-icon-CornerTriangle100" viewBox="0 0 5 5"><path d="M4.763 0a.248.248 0 00-.177.073l-4.5 4.5A.25.25 0 00.263 5h4.5a.25.25 0 00.25-.25V.25a.25.25 0 00-.25-.25z"/></symbol><symbol id="spectrum-icon-CornerTriangle200" viewBox="0 0 6 6"><path d="M5.719.37a.281.281 0 00-.2.082L.452 5.519a.281.281 0 00.2.481h5.067A.281.281 0 006 5.719V.652A.281.281 0 005.72.37z"/></symbol><symbol id="spectrum-icon-CornerTriangle300" viewBox="0 0 7 7"><path d="M6.683.67a.315.315 0 00-.223.093l-5.7 5.7a.316.316 0 00.224.54h5.7A.316.316 0 007 6.687V.986A.316.316 0 006.684.67z"/></symbol><symbol id="spectrum-icon-CornerTriangle75" viewBox="0 0 5 5"><path d="M4.78.558a.222.222 0 00-.157.065l-4 4a.222.222 0 00.157.379h4a.222.222 0 00.222-.222v-4A.222.222 0 004.78.558z"/></symbol><symbol id="spectrum-icon-Cross100" viewBox="0 0 8 8"><path d="M5.238 4l2.456-2.457A.875.875 0 106.456.306L4 2.763 1.543.306A.875.875 0 00.306 1.544L2.763 4 .306 6.457a.875.875 0 101.238 1.237L4 5.237l2.456 2.457a.875.875 0 101.238-1.237z"/></symbol><symbol id="spectrum-icon-Cross200" viewBox="0 0 10 10"><path d="M6.29 5l2.922-2.922a.911.911 0 00-1.29-1.29L5 3.712 2.078.789a.911.911 0 00-1.29 1.289L3.712 5 .79 7.922a.911.911 0 101.289 1.29L5 6.288 7.923 9.21a.911.911 0 001.289-1.289z"/></symbol><symbol id="spectrum-icon-Cross300" viewBox="0 0 12 12"><path d="M7.344 6l3.395-3.396a.95.95 0 00-1.344-1.342L6 4.657 2.604 1.262a.95.95 0 00-1.342 1.342L4.657 6 1.262 9.396a.95.95 0 001.343 1.343L6 7.344l3.395 3.395a.95.95 0 001.344-1.344z"/></symbol><symbol id="spectrum-icon-Cross400" viewBox="0 0 12 12"><path d="M7.398 6l3.932-3.932A.989.989 0 009.932.67L6 4.602 2.068.67A.989.989 0 00.67 2.068L4.602 6 .67 9.932a.989.989 0 101.398 1.398L6 7.398l3.932 3.932a.989.989 0 001.398-1.398z"/></symbol><symbol id="spectrum-icon-Cross500" viewBox="0 0 14 14"><path d="M8.457 7l4.54-4.54a1.03 1.03 0 00-1.458-1.456L7 5.543l-4.54-4.54a1.03 1.03 0 00-1.457 1.458L5.543 7l-4.54 4.54a1.03 1.03 0 101.457 1.456L7 8.457l4.54 4.54a1.03 1.03 0 001.456-1.458z"/></symbol><symbol id="spectrum-icon-Cross600" viewBox="0 0 16 16"><path d="M9.518 8l5.23-5.228a1.073 1.073 0 00-1.518-1.518L8.001 6.483l-5.229-5.23a1.073 1.073 0 00-1.518 1.519L6.483 8l-5.23 5.229a1.073 1.073 0 101.518 1.518l5.23-5.23 5.228 5.23a1.073 1.073 0 001.518-1.518z"/></symbol><symbol id="spectrum-icon-Cross75" viewBox="0 0 8 8"><path d="M5.188 4l2.14-2.14A.84.84 0 106.141.672L4 2.812 1.86.672A.84.84 0 00.672 1.86L2.812 4 .672 6.14A.84.84 0 101.86 7.328L4 5.188l2.14 2.14A.84.84 0 107.328 6.14z"/></symbol><symbol id="spectrum-icon-Dash100" viewBox="0 0 10 10"><path d="M8.5 6h-7a1 1 0 010-2h7a1 1 0 010 2z"/></symbol><symbol id="spectrum-icon-Dash200" viewBox="0 0 12 12"><path d="M10.021 7.042H1.98a1.042 1.042 0 110-2.083h8.043a1.042 1.042 0 010 2.083z"/></symbol><symbol id="spectrum-icon-Dash300" viewBox="0 0 12 12"><path d="M10.61 7.085H1.39a1.085 1.085 0 010-2.17h9.22a1.085 1.085 0 010 2.17z"/></symbol><symbol id="spectrum-icon-Dash400" viewBox="0 0 14 14"><path d="M12.277 8.13H1.723a1.13 1.13 0 110-2.26h10.554a1.13 1.13 0 110 2.26z"/></symbol><symbol id="spectrum-icon-Dash50" viewBox="0 0 8 8"><path d="M6.634 4.921H1.366a.921.921 0 010-1.842h5.268a.921.921 0 110 1.842z"/></symbol><symbol id="spectrum-icon-Dash500" viewBox="0 0 16 16"><path d="M14.03 9.178H1.969a1.178 1.178 0 110-2.356H14.03a1.178 1.178 0 010 2.356z"/></symbol><symbol id="spectrum-icon-Dash600" viewBox="0 0 18 18"><path d="M15.882 10.227H2.117a1.227 1.227 0 010-2.454h13.765a1.227 1.227 0 010 2.454z"/></symbol><symbol id="spectrum-icon-Dash75" viewBox="0 0 8 8"><path d="M6.99 4.96H1.01a.96.96 0 010-1.92h5.98a.96.96 0 010 1.92z"/></symbol><symbol id="spectrum-icon-DoubleGripper" viewBox="0 0 16 4"><path d="M15.45 1.05H.55a.5.5 0 010-1h14.9a.5.5 0 010 1zm.5 2.4a.5.5 0 00-.5-.5H.55a.5.5 0 000 1h14.9a.5.5 0 00.5-.5z"/></symbol><symbol id="spectrum-icon-SingleGripper" viewBox="0 0 24 2"><path d="M23 2H1a1 1 0 010-2h22a1 1 0 010 2z"/></symbol><symbol id="spectrum-icon-TripleGripper" viewBox="0 0 10 8"><path d="M9.45 1.05H.55a.5.5 0 010-1h8.9a.5.5 0 010 1zm.5 2.45a.5.5 0 00-.5-.5H.55a.5.5 0 000 1h8.9a.5.5 0 00.5-.5zm0 3a.5.5 0 00-.5-.5H.55a.5.5 0 000 1h8.9a.5.5 0 00.5-.5z"/></symbol></svg>`;
+export default svg`<svg xmlns="http://www.w3.org/2000/svg"><symbol id="spectrum-icon-Arrow100" viewBox="0 0 10 10"><path d="M9.7 4.39 6.62 1.26A.88.88 0 1 0 5.38 2.5l1.6 1.63H.93a.88.88 0 0 0 0 1.75H7L5.38 7.51a.88.88 0 1 0 1.24 1.23L9.7 5.6a.87.87 0 0 0 0-1.22z"/></symbol><symbol id="spectrum-icon-Arrow200" viewBox="0 0 12 12"><path d="M11.28 5.36 7.72 1.79a.91.91 0 1 0-1.3 1.29l2.02 2H1.29a.91.91 0 1 0 0 1.83h7.15L6.43 8.92a.91.91 0 0 0 1.29 1.3l3.56-3.58a.91.91 0 0 0 0-1.29z"/></symbol><symbol id="spectrum-icon-Arrow300" viewBox="0 0 14 14"><path d="M12.9 6.33 8.82 2.26A.95.95 0 1 0 7.48 3.6l2.45 2.45h-8.3a.95.95 0 1 0 0 1.9h8.3L7.48 10.4a.95.95 0 0 0 1.35 1.34l4.06-4.07a.95.95 0 0 0 0-1.34z"/></symbol><symbol id="spectrum-icon-Arrow400" viewBox="0 0 16 16"><path d="M14.57 7.3 9.94 2.67a.99.99 0 0 0-1.4 1.4L11.5 7H1.87a.99.99 0 0 0 0 1.98h9.62l-2.95 2.94a.99.99 0 1 0 1.4 1.4l4.63-4.63a.99.99 0 0 0 0-1.4z"/></symbol><symbol id="spectrum-icon-Arrow500" viewBox="0 0 18 18"><path d="M16.34 8.27 11.07 3A1.03 1.03 0 1 0 9.6 4.46l3.51 3.5H2.02a1.03 1.03 0 0 0 0 2.07h11.1l-3.51 3.5A1.03 1.03 0 1 0 11.07 15l5.27-5.27a1.03 1.03 0 0 0 0-1.46z"/></symbol><symbol id="spectrum-icon-Arrow600" viewBox="0 0 20 20"><path d="m18.2 9.24-6-5.99a1.07 1.07 0 0 0-1.51 1.52l4.15 4.16H2.06a1.07 1.07 0 1 0 0 2.14h12.78l-4.15 4.16a1.07 1.07 0 1 0 1.52 1.52l5.98-6a1.07 1.07 0 0 0 0-1.5z"/></symbol><symbol id="spectrum-icon-Arrow75" viewBox="0 0 10 10"><path d="M9.26 4.4 6.53 1.68a.84.84 0 0 0-1.19 1.19l1.3 1.3H1.4a.84.84 0 0 0 0 1.68h5.24l-1.3 1.3a.84.84 0 0 0 1.19 1.19L9.26 5.6a.84.84 0 0 0 0-1.18z"/></symbol><symbol id="spectrum-icon-Asterisk100" viewBox="0 0 8 8"><path d="M6.58 6.55c.05.06.09.13 0 .2l-1.15.75c-.1.05-.13.01-.17-.08L3.83 4.94 1.96 7c-.02.04-.07.07-.13 0l-.89-.93c-.09-.05-.07-.1 0-.16l2.12-1.76-2.41-.91c-.04 0-.1-.07-.06-.17l.63-1.26a.1.1 0 0 1 .17-.03L3.5 3.15l.13-2.7a.1.1 0 0 1 .08-.11.15.15 0 0 1 .03 0l1.54.2c.1 0 .1.03.1.13L4.64 3.3l2.44-.74c.06-.03.11-.03.15.08l.24 1.37c.02.09 0 .13-.07.13l-2.56.2z"/></symbol><symbol id="spectrum-icon-Asterisk200" viewBox="0 0 10 10"><path d="M7.86 7.95c.06.07.1.15 0 .23l-1.3.84c-.1.06-.14.02-.18-.09l-1.6-2.79-2.1 2.31c-.03.04-.09.09-.15 0l-1-1.04c-.1-.06-.08-.12 0-.19l2.38-1.98-2.72-1.02c-.04 0-.1-.09-.06-.19l.7-1.41a.11.11 0 0 1 .14-.08.12.12 0 0 1 .05.04L4.4 4.12l.15-3.05a.11.11 0 0 1 .09-.12.16.16 0 0 1 .03 0l1.73.23c.1 0 .13.04.1.15L5.7 4.3l2.75-.83c.06-.04.12-.04.17.08l.27 1.55c.02.1 0 .14-.09.14l-2.87.23z"/></symbol><symbol id="spectrum-icon-Asterisk300" viewBox="0 0 10 10"><path d="M8.27 8.32c.07.07.11.17 0 .26l-1.46.94c-.11.07-.16.02-.2-.1L4.8 6.3 2.43 8.9c-.03.04-.1.09-.17 0L1.14 7.72c-.12-.07-.1-.14 0-.21l2.67-2.23L.77 4.13c-.05 0-.12-.1-.07-.21l.8-1.6a.12.12 0 0 1 .15-.08.13.13 0 0 1 .06.04l2.67 1.74L4.54.6a.12.12 0 0 1 .1-.14.19.19 0 0 1 .04 0L6.62.7c.12 0 .14.05.12.17l-.92 3.35 3.1-.94c.07-.05.14-.05.19.1l.3 1.73c.02.12 0 .16-.1.16l-3.23.26z"/></symbol><symbol id="spectrum-icon-Asterisk75" viewBox="0 0 8 8"><path d="M6.26 6.46c.05.05.08.12 0 .18l-1.02.66c-.08.05-.12.02-.15-.06L3.82 5.03 2.16 6.86c-.02.03-.07.06-.12 0l-.79-.83c-.08-.04-.06-.1 0-.14l1.88-1.57L1 3.52c-.03 0-.08-.07-.05-.15l.56-1.12a.09.09 0 0 1 .1-.06.09.09 0 0 1 .05.03l1.88 1.21.11-2.4a.09.09 0 0 1 .07-.1h.03l1.37.19c.08 0 .1.03.08.11l-.64 2.35 2.17-.66c.05-.03.1-.03.14.07l.21 1.22c.02.08 0 .11-.07.11l-2.27.18z"/></symbol><symbol id="spectrum-icon-Checkmark100" viewBox="0 0 10 10"><path d="M3.5 9.5a1 1 0 0 1-.77-.37l-2.45-3a1 1 0 1 1 1.54-1.26L3.48 6.9 8.16.89A1 1 0 0 1 9.74 2.1l-5.45 7a1 1 0 0 1-.78.39z"/></symbol><symbol id="spectrum-icon-Checkmark200" viewBox="0 0 12 12"><path d="M4.31 10.98a1.04 1.04 0 0 1-.8-.38L.65 7.18a1.04 1.04 0 0 1 1.6-1.34l2.04 2.45 5.44-6.93a1.04 1.04 0 0 1 1.64 1.3l-6.24 7.93a1.04 1.04 0 0 1-.8.4z"/></symbol><symbol id="spectrum-icon-Checkmark300" viewBox="0 0 14 14"><path d="M5.1 12.51a1.09 1.09 0 0 1-.83-.39L.99 8.2a1.08 1.08 0 0 1 1.67-1.4l2.42 2.9 6.24-7.94a1.08 1.08 0 0 1 1.7 1.34l-7.06 9a1.09 1.09 0 0 1-.84.42z"/></symbol><symbol id="spectrum-icon-Checkmark400" viewBox="0 0 16 16"><path d="M5.86 14.11a1.13 1.13 0 0 1-.86-.4L1.25 9.2a1.13 1.13 0 1 1 1.74-1.45l2.85 3.43 7.15-9.1a1.13 1.13 0 1 1 1.78 1.4l-8.02 10.2a1.13 1.13 0 0 1-.87.42z"/></symbol><symbol id="spectrum-icon-Checkmark50" viewBox="0 0 10 10"><path d="M3.81 8.69a.92.92 0 0 1-.7-.34L1.2 6.08A.92.92 0 0 1 2.64 4.9L3.8 6.3l3.56-4.53A.92.92 0 1 1 8.8 2.9L4.54 8.34a.92.92 0 0 1-.71.35z"/></symbol><symbol id="spectrum-icon-Checkmark500" viewBox="0 0 16 16"><path d="M5.6 14.78a1.18 1.18 0 0 1-.9-.42L.41 9.23a1.18 1.18 0 1 1 1.8-1.5l3.35 4 8.17-10.4A1.18 1.18 0 0 1 15.6 2.8L6.52 14.33a1.18 1.18 0 0 1-.9.45z"/></symbol><symbol id="spectrum-icon-Checkmark600" viewBox="0 0 18 18"><path d="M6.3 16.53a1.23 1.23 0 0 1-.95-.44L.48 10.24a1.23 1.23 0 0 1 1.88-1.57l3.9 4.69L15.6 1.48A1.23 1.23 0 0 1 17.53 3L7.26 16.07a1.23 1.23 0 0 1-.94.46z"/></symbol><symbol id="spectrum-icon-Checkmark75" viewBox="0 0 10 10"><path d="M3.67 9.07a.96.96 0 0 1-.74-.34L.75 6.1a.96.96 0 1 1 1.48-1.23l1.42 1.7 4.1-5.23a.96.96 0 0 1 1.52 1.19L4.42 8.7a.96.96 0 0 1-.74.37z"/></symbol><symbol id="spectrum-icon-Chevron100" viewBox="0 0 10 10"><path d="M3 9.95a.88.88 0 0 1-.61-1.5L5.88 5l-3.5-3.45A.88.88 0 0 1 3.63.3l4.12 4.08a.88.88 0 0 1 0 1.24L3.61 9.7a.87.87 0 0 1-.61.25z"/></symbol><symbol id="spectrum-icon-Chevron200" viewBox="0 0 12 12"><path d="M9.03 5.36 4.34.66a.91.91 0 0 0-1.29 1.3L7.1 6l-4.04 4.05a.91.91 0 1 0 1.28 1.29l4.7-4.7a.91.91 0 0 0 0-1.29z"/></symbol><symbol id="spectrum-icon-Chevron300" viewBox="0 0 14 14"><path d="M10.64 7a.95.95 0 0 0-.28-.67L5.03 1a.95.95 0 0 0-1.34 1.34L8.35 7l-4.66 4.66A.95.95 0 1 0 5.03 13l5.33-5.33a.95.95 0 0 0 .28-.67z"/></symbol><symbol id="spectrum-icon-Chevron400" viewBox="0 0 16 16"><path d="M4.97 15.04a.99.99 0 0 1-.7-1.68L9.63 8 4.27 2.64a.99.99 0 0 1 1.4-1.4l6.06 6.06a.99.99 0 0 1 0 1.4l-6.06 6.05a.98.98 0 0 1-.7.3z"/></symbol><symbol id="spectrum-icon-Chevron500" viewBox="0 0 16 16"><path d="M12.13 7.27 5.26.4a1.03 1.03 0 0 0-1.45 1.46L9.95 8 3.8 14.14a1.03 1.03 0 0 0 1.45 1.46l6.87-6.87a1.03 1.03 0 0 0 0-1.46z"/></symbol><symbol id="spectrum-icon-Chevron600" viewBox="0 0 18 18"><path d="M5.04 17.86a1.07 1.07 0 0 1-.76-1.83L11.31 9 4.28 1.97A1.07 1.07 0 0 1 5.8.45l7.79 7.79a1.07 1.07 0 0 1 0 1.52L5.8 17.55a1.07 1.07 0 0 1-.76.31z"/></symbol><symbol id="spectrum-icon-Chevron75" viewBox="0 0 10 10"><path d="M7.48 4.4 3.86.78a.84.84 0 0 0-1.19 1.2L5.7 5 2.67 8.03a.84.84 0 0 0 1.19 1.19l3.62-3.63a.84.84 0 0 0 0-1.19z"/></symbol><symbol id="spectrum-icon-CornerTriangle100" viewBox="0 0 5 5"><path d="M4.76 0a.25.25 0 0 0-.17.07l-4.5 4.5A.25.25 0 0 0 .26 5h4.5a.25.25 0 0 0 .25-.25V.25A.25.25 0 0 0 4.76 0z"/></symbol><symbol id="spectrum-icon-CornerTriangle200" viewBox="0 0 6 6"><path d="M5.72.37a.28.28 0 0 0-.2.08L.45 5.52a.28.28 0 0 0 .2.48h5.07A.28.28 0 0 0 6 5.72V.65a.28.28 0 0 0-.28-.28z"/></symbol><symbol id="spectrum-icon-CornerTriangle300" viewBox="0 0 7 7"><path d="M6.68.67a.32.32 0 0 0-.22.1l-5.7 5.7A.32.32 0 0 0 .98 7h5.7A.32.32 0 0 0 7 6.7V.99a.32.32 0 0 0-.32-.32z"/></symbol><symbol id="spectrum-icon-CornerTriangle75" viewBox="0 0 5 5"><path d="M4.78.56a.22.22 0 0 0-.16.06l-4 4A.22.22 0 0 0 .78 5h4A.22.22 0 0 0 5 4.78v-4a.22.22 0 0 0-.22-.22z"/></symbol><symbol id="spectrum-icon-Cross100" viewBox="0 0 8 8"><path d="m5.24 4 2.45-2.46A.88.88 0 1 0 6.46.31L4 2.76 1.54.31A.88.88 0 0 0 .31 1.54L2.76 4 .31 6.46a.88.88 0 1 0 1.23 1.23L4 5.24l2.46 2.45a.88.88 0 1 0 1.23-1.23z"/></symbol><symbol id="spectrum-icon-Cross200" viewBox="0 0 10 10"><path d="m6.29 5 2.92-2.92A.91.91 0 0 0 7.92.78L5 3.72 2.08.8a.91.91 0 0 0-1.3 1.29L3.72 5 .8 7.92a.91.91 0 1 0 1.29 1.3L5 6.28 7.92 9.2a.91.91 0 0 0 1.3-1.29z"/></symbol><symbol id="spectrum-icon-Cross300" viewBox="0 0 12 12"><path d="m7.34 6 3.4-3.4A.95.95 0 0 0 9.4 1.26L6 4.66l-3.4-3.4A.95.95 0 0 0 1.26 2.6L4.66 6l-3.4 3.4a.95.95 0 0 0 1.34 1.34L6 7.34l3.4 3.4a.95.95 0 0 0 1.34-1.34z"/></symbol><symbol id="spectrum-icon-Cross400" viewBox="0 0 12 12"><path d="m7.4 6 3.93-3.93a.99.99 0 0 0-1.4-1.4L6 4.6 2.07.67a.99.99 0 0 0-1.4 1.4L4.6 6 .67 9.93a.99.99 0 1 0 1.4 1.4L6 7.4l3.93 3.93a.99.99 0 0 0 1.4-1.4z"/></symbol><symbol id="spectrum-icon-Cross500" viewBox="0 0 14 14"><path d="M8.46 7 13 2.46A1.03 1.03 0 0 0 11.54 1L7 5.54 2.46 1A1.03 1.03 0 0 0 1 2.46L5.54 7 1 11.54A1.03 1.03 0 1 0 2.46 13L7 8.46 11.54 13A1.03 1.03 0 0 0 13 11.54z"/></symbol><symbol id="spectrum-icon-Cross600" viewBox="0 0 16 16"><path d="m9.52 8 5.23-5.23a1.07 1.07 0 0 0-1.52-1.52L8 6.48 2.77 1.25a1.07 1.07 0 0 0-1.52 1.52L6.48 8l-5.23 5.23a1.07 1.07 0 1 0 1.52 1.52L8 9.52l5.23 5.23a1.07 1.07 0 0 0 1.52-1.52z"/></symbol><symbol id="spectrum-icon-Cross75" viewBox="0 0 8 8"><path d="m5.19 4 2.14-2.14A.84.84 0 1 0 6.14.67L4 2.81 1.86.67A.84.84 0 0 0 .67 1.86L2.81 4 .67 6.14a.84.84 0 1 0 1.19 1.19L4 5.19l2.14 2.14a.84.84 0 1 0 1.19-1.19z"/></symbol><symbol id="spectrum-icon-Dash100" viewBox="0 0 10 10"><path d="M8.5 6h-7a1 1 0 0 1 0-2h7a1 1 0 0 1 0 2z"/></symbol><symbol id="spectrum-icon-Dash200" viewBox="0 0 12 12"><path d="M10.02 7.04H1.98a1.04 1.04 0 1 1 0-2.08h8.04a1.04 1.04 0 0 1 0 2.08z"/></symbol><symbol id="spectrum-icon-Dash300" viewBox="0 0 12 12"><path d="M10.61 7.08H1.39a1.08 1.08 0 0 1 0-2.17h9.22a1.08 1.08 0 0 1 0 2.17z"/></symbol><symbol id="spectrum-icon-Dash400" viewBox="0 0 14 14"><path d="M12.28 8.13H1.72a1.13 1.13 0 1 1 0-2.26h10.56a1.13 1.13 0 1 1 0 2.26z"/></symbol><symbol id="spectrum-icon-Dash50" viewBox="0 0 8 8"><path d="M6.63 4.92H1.37a.92.92 0 0 1 0-1.84h5.26a.92.92 0 1 1 0 1.84z"/></symbol><symbol id="spectrum-icon-Dash500" viewBox="0 0 16 16"><path d="M14.03 9.18H1.97a1.18 1.18 0 1 1 0-2.36h12.06a1.18 1.18 0 0 1 0 2.36z"/></symbol><symbol id="spectrum-icon-Dash600" viewBox="0 0 18 18"><path d="M15.88 10.23H2.12a1.23 1.23 0 0 1 0-2.46h13.76a1.23 1.23 0 0 1 0 2.46z"/></symbol><symbol id="spectrum-icon-Dash75" viewBox="0 0 8 8"><path d="M6.99 4.96H1.01a.96.96 0 0 1 0-1.92h5.98a.96.96 0 0 1 0 1.92z"/></symbol><symbol id="spectrum-icon-DoubleGripper" viewBox="0 0 16 4"><path d="M15.45 1.05H.55a.5.5 0 0 1 0-1h14.9a.5.5 0 0 1 0 1zm.5 2.4a.5.5 0 0 0-.5-.5H.55a.5.5 0 0 0 0 1h14.9a.5.5 0 0 0 .5-.5z"/></symbol><symbol id="spectrum-icon-SingleGripper" viewBox="0 0 24 2"><path d="M23 2H1a1 1 0 0 1 0-2h22a1 1 0 0 1 0 2z"/></symbol><symbol id="spectrum-icon-TripleGripper" viewBox="0 0 10 8"><path d="M9.45 1.05H.55a.5.5 0 0 1 0-1h8.9a.5.5 0 0 1 0 1zm.5 2.45a.5.5 0 0 0-.5-.5H.55a.5.5 0 0 0 0 1h8.9a.5.5 0 0 0 .5-.5zm0 3a.5.5 0 0 0-.5-.5H.55a.5.5 0 0 0 0 1h8.9a.5.5 0 0 0 .5-.5z"/></symbol></svg>`;
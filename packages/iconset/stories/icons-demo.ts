@@ -79,6 +79,7 @@ export class IconsDemo extends SpectrumElement {
 
     @property({ attribute: false })
     public icons: {
+        mirrored?: boolean;
         name: string;
         story(size: string): TemplateResult;
         tag: string;
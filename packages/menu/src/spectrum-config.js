@@ -117,7 +117,6 @@ const config = {
                     ],
                 },
                 {
-                    collapseSelector: true,
                     find: {
                         type: 'pseudo-class',
                         kind: 'not',
@@ -41,7 +41,6 @@ export default {
                         { replace: builder.class('input') },
                         { replace: builder.pseudoClass('focus-visible') },
                     ],
-                    hoist: false,
                 },
                 ...converter.enumerateAttributes(
                     [
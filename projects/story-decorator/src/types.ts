@@ -20,6 +20,7 @@ declare global {
             defaultDirection: 'ltr' | 'rtl';
             defaultReduceMotion: boolean;
             hcm: boolean;
+            zoom?: number;
         };
     }
 }
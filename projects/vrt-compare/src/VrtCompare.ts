@@ -33,6 +33,18 @@ import '@spectrum-web-components/action-bar/sp-action-bar.js';
 import '@spectrum-web-components/progress-circle/sp-progress-circle.js';
 import '../onion-skinner.js';
 
+/**
+ * How a screenshot compared with its baseline in the last test pass.
+ */
+export type VisualDiffMetric = {
+    comparison: 'pixel' | 'ssim';
+    score: number;
+    failureThreshold: number;
+    failureThresholdType: 'pixel' | 'percent';
+    masked: number;
+    passed: boolean;
+};
+
 export class VrtCompare extends ObserveSlotPresence(SpectrumElement, [
     '[slot="actual"]',
     '[slot="baseline"]',
@@ -47,6 +59,9 @@ export class VrtCompare extends ObserveSlotPresence(SpectrumElement, [
     @property({ type: Boolean, attribute: false })
     public imagesLoaded = false;
 
+    @property({ type: Object, attribute: false })
+    public metric?: VisualDiffMetric;
+
     private get hasActual(): boolean {
         return this.getSlotContentPresence('[slot="actual"]');
     }
@@ -139,6 +154,33 @@ export class VrtCompare extends ObserveSlotPresence(SpectrumElement, [
         `;
     }
 
+    protected get renderMetric() {
+        if (!this.metric) {
+            return nothing;
+        }
+        const {
+            comparison,
+            score,
+            failureThreshold,
+            failureThresholdType,
+            masked,
+        } = this.metric;
+        const unit = failureThresholdType === 'pixel' ? ' pixels' : '%';
+        const result =
+            comparison === 'ssim'
+                ? `SSIM ${score.toFixed(
+                      4
+                  )}, at most ${failureThreshold}% dissimilar`
+                : `${Number(
+                      score.toFixed(2)
+                  )}${unit} differ, at most ${failureThreshold}${unit}`;
+        return html`
+            <p class="metric spectrum-Body spectrum-Body--sizeS">
+                ${result}${masked ? `, ${masked} regions masked` : ''}
+            </p>
+        `;
+    }
+
     protected get renderView() {
         switch (this.view) {
             case 'error':
@@ -330,6 +372,7 @@ export class VrtCompare extends ObserveSlotPresence(SpectrumElement, [
                       `}
             </sp-action-group>
             <div class="review ${this.view}">${this.renderView}</div>
+            ${this.renderMetric}
             <sp-action-group compact class="zoom-controls">
                 <sp-action-button
                     @click=${this.handleZoomOut}
@@ -428,6 +471,13 @@ export class VrtCompare extends ObserveSlotPresence(SpectrumElement, [
                 display: flex;
                 color: var(--spectrum-semantic-negative-color-background);
             }
+            .metric {
+                position: fixed;
+                bottom: calc(var(--spectrum-global-dimension-size-200) / 2);
+                right: calc(var(--spectrum-global-dimension-size-200) / 2);
+                margin: 0;
+                z-index: 1;
+            }
             .zoom-controls {
                 position: fixed;
                 bottom: calc(var(--spectrum-global-dimension-size-200) / 2);
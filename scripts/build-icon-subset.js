@@ -0,0 +1,278 @@
+#!/usr/bin/env node
+
+/*
+Copyright 2023 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+/**
+ * Build an iconset of only the icons that an application uses, e.g.
+ *
+ * node ./scripts/build-icon-subset.js --icons edit,delete,chevron100
+ * node ./scripts/build-icon-subset.js --scan "../my-app/src/**\/*.{ts,html}"
+ *
+ * Writes to `--outdir` (default `icon-subset`):
+ * - `icons.svg`, a sprite of `<symbol>`s that can be slotted into any `sp-iconset-svg`
+ * - `iconset.ts`, which registers the sprite as the `--name` iconset, e.g. `<sp-icon name="subset:edit">`
+ * - `icons.ts`, which registers only the `<sp-icon-*>` elements of those icons
+ */
+
+import fs from 'fs';
+import { glob } from 'glob';
+import path from 'path';
+import { load } from 'cheerio';
+import prettier from 'prettier';
+import Case from 'case';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const rootDir = path.join(__dirname, '..');
+
+const {
+    icons: iconList = '',
+    scan = [],
+    outdir = 'icon-subset',
+    name = 'subset',
+    keepColors = false,
+} = yargs(hideBin(process.argv)).argv;
+
+// The SVGs that `bin/build.js` of each icon package generates its elements from
+const iconPackages = {
+    'icons-workflow': '@adobe/spectrum-css-workflow-icons/dist/18',
+    'icons-ui': '@spectrum-css/icon/medium',
+};
+
+const disclaimer = `/*
+Copyright 2023 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/`;
+
+/**
+ * List the icons that the icon packages provide by the name of their element,
+ * naming them the way that `bin/build.js` of each package does.
+ */
+const getAvailableIcons = async () => {
+    const available = new Map();
+    for (const [pkg, iconsPath] of Object.entries(iconPackages)) {
+        const svgs = (
+            await glob(`${rootDir}/node_modules/${iconsPath}/**.svg`)
+        ).sort();
+        svgs.forEach((svgPath) => {
+            let id = path
+                .basename(svgPath, '.svg')
+                .replace('S_', '')
+                .replace('_22_N', '');
+            if (id.search(/^Ad[A-Z]/) !== -1) {
+                id = id.replace(/^Ad/, '');
+                id += 'Advert';
+            }
+            const ComponentName = id === 'github' ? 'GitHub' : Case.pascal(id);
+            if (!Number.isNaN(Number(ComponentName[0]))) {
+                return;
+            }
+            const iconElementName = `sp-icon-${Case.kebab(ComponentName)}`;
+            if (!available.has(iconElementName)) {
+                available.set(iconElementName, {
+                    pkg,
+                    svgPath,
+                    iconElementName,
+                });
+            }
+        });
+    }
+    return available;
+};
+
+/**
+ * @param {string} icon e.g. `Edit`, `chevron100` or `sp-icon-edit`
+ * @returns {string} e.g. `sp-icon-edit`
+ */
+const toIconElementName = (icon) =>
+    icon.startsWith('sp-icon-') ? icon : `sp-icon-${Case.kebab(icon)}`;
+
+/**
+ * Find the `<sp-icon-*>` elements that the files matching the globs refer to.
+ */
+const scanForIcons = async (patterns) => {
+    const found = new Set();
+    for (const pattern of patterns) {
+        const files = await glob(pattern, {
+            ignore: ['**/node_modules/**', `${outdir}/**`],
+            nodir: true,
+        });
+        files.forEach((file) => {
+            const content = fs.readFileSync(file, 'utf-8');
+            for (const [match] of content.matchAll(
+                /\bsp-icon-[a-z0-9]+(?:-[a-z0-9]+)*/g
+            )) {
+                found.add(match);
+            }
+        });
+    }
+    return found;
+};
+
+/**
+ * Turn an icon SVG into a `<symbol>` for a sprite, cleaned up the same way as
+ * the templates that `bin/build.js` generates.
+ */
+const toSymbol = (svgPath, id) => {
+    const $ = load(fs.readFileSync(svgPath, 'utf-8'), {
+        xmlMode: true,
+    });
+    $('defs').remove();
+    $('*').each((index, el) => {
+        Object.keys(el.attribs).forEach((x) => {
+            if (x === 'class') {
+                $(el).removeAttr(x);
+            }
+            if (!keepColors && (x === 'stroke' || x === 'fill')) {
+                $(el).attr(x, 'currentColor');
+            }
+        });
+    });
+    const viewBox = $('svg').attr('viewBox');
+    const fill = keepColors ? '' : ' fill="currentColor"';
+    return `<symbol id="${id}" viewBox="${viewBox}"${fill}>${$('svg')
+        .html()
+        .trim()}</symbol>`;
+};
+
+const writeFile = async (fileName, content, parser) => {
+    const prettierConfig = await prettier.resolveConfig(
+        path.join(rootDir, 'package.json')
+    );
+    fs.writeFileSync(
+        path.join(outdir, fileName),
+        parser
+            ? prettier.format(content, { ...prettierConfig, parser })
+            : content,
+        'utf-8'
+    );
+};
+
+const buildIconSubset = async () => {
+    const available = await getAvailableIcons();
+    if (!available.size) {
+        console.error(
+            'No icons found, install the dependencies of the icon packages first.'
+        );
+        return 1;
+    }
+
+    const requested = `${iconList}`
+        .split(',')
+        .map((icon) => icon.trim())
+        .filter(Boolean)
+        .map(toIconElementName);
+    const unknown = requested.filter((icon) => !available.has(icon));
+    if (unknown.length) {
+        console.error(`Unknown icons: ${unknown.join(', ')}`);
+        return 1;
+    }
+
+    const scanned = await scanForIcons([].concat(scan));
+    scanned.forEach((icon) => {
+        if (!available.has(icon)) {
+            console.warn(`Skipping <${icon}>, which is not a known icon.`);
+        }
+    });
+
+    const icons = [...new Set([...requested, ...scanned])]
+        .filter((icon) => available.has(icon))
+        .sort()
+        .map((icon) => available.get(icon));
+    if (!icons.length) {
+        console.error('No icons to build, pass --icons or --scan.');
+        return 1;
+    }
+
+    fs.mkdirSync(outdir, { recursive: true });
+
+    const sprite = `<svg xmlns="http://www.w3.org/2000/svg">${icons
+        .map(({ svgPath, iconElementName }) =>
+            toSymbol(svgPath, iconElementName.replace('sp-icon-', ''))
+        )
+        .join('')}</svg>`;
+    await writeFile('icons.svg', `${sprite}\n`);
+
+    const elementName = `sp-icons-${Case.kebab(name)}`;
+    const className = `Icons${Case.pascal(name)}`;
+    await writeFile(
+        'iconset.ts',
+        `${disclaimer}
+
+import { svg, TemplateResult } from '@spectrum-web-components/base';
+import { defineElement } from '@spectrum-web-components/base/src/define-element.js';
+import { IconsetSVG } from '@spectrum-web-components/iconset/src/iconset-svg.js';
+
+const iconsSVG = svg\`${sprite}\`;
+
+/**
+ * @element ${elementName}
+ */
+export class ${className} extends IconsetSVG {
+    public constructor() {
+        super();
+        this.name = '${name}';
+    }
+
+    protected override renderDefaultContent(): TemplateResult {
+        return iconsSVG;
+    }
+}
+
+defineElement('${elementName}', ${className});
+
+declare global {
+    interface HTMLElementTagNameMap {
+        '${elementName}': ${className};
+    }
+}
+`,
+        'typescript'
+    );
+
+    await writeFile(
+        'icons.ts',
+        `${disclaimer}
+
+${icons
+    .map(
+        ({ pkg, iconElementName }) =>
+            `import '@spectrum-web-components/${pkg}/icons/${iconElementName}.js';`
+    )
+    .join('\n')}
+`,
+        'typescript'
+    );
+
+    console.log(
+        `Built ${icons.length} of ${available.size} icons into ${outdir}:`
+    );
+    icons.forEach(({ iconElementName }) => console.log(`\t${iconElementName}`));
+    return 0;
+};
+
+async function main() {
+    process.exit(await buildIconSubset());
+}
+
+main();
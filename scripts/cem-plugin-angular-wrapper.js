@@ -0,0 +1,381 @@
+/*
+Copyright 2023 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import { readFile } from 'fs/promises';
+import fsExtra from 'fs-extra';
+import { resolve } from 'path';
+import prettier from 'prettier';
+import Case from 'case';
+import {
+    getDeclarationChain,
+    getDeclarationMap,
+    getEvents,
+    getModel,
+    getProps,
+} from './cem-wrapper-utils.js';
+
+const { outputFile } = fsExtra;
+
+/* Share =============================================================== */
+
+/**
+ * Generate tsconfig.json file for each of the wrapper component. ng-packagr
+ * compiles the directives in partial mode, so that the Angular linker of the
+ * consuming app can compile them with its own version of Angular.
+ */
+function genTsconfigJson() {
+    return `{
+        "extends": "../../tsconfig.json",
+        "compilerOptions": {
+            "declaration": true,
+            "emitDeclarationOnly": false,
+            "rootDir": "./",
+            "types": []
+        },
+        "angularCompilerOptions": {
+            "compilationMode": "partial"
+        },
+        "include": ["index.ts"]
+    }`;
+}
+
+/**
+ * Generate ng-package.json file for each of the wrapper component, which
+ * builds it in the Angular Package Format into its `dist` folder.
+ */
+function genNgPackageJson(dependencyPkgName) {
+    return `{
+        "$schema": "../../node_modules/ng-packagr/ng-package.schema.json",
+        "dest": "dist",
+        "lib": {
+            "entryFile": "index.ts"
+        },
+        "allowedNonPeerDependencies": ["${dependencyPkgName}"]
+    }`;
+}
+
+/**
+ * Generate package.json file for each of the wrapper component.
+ */
+function genPackageJson(
+    componentName,
+    dependencyPkgName,
+    dependencyPkgVersion
+) {
+    return `{
+        "name": "@swc-angular/${componentName}",
+        "version": "${dependencyPkgVersion}",
+        "publishConfig": {
+            "access": "public"
+        },
+        "description": "Angular directives for the ${dependencyPkgName} component",
+        "license": "Apache-2.0",
+        "author": "",
+        "keywords": [
+            "Angular",
+            "Spectrum Web Components",
+            "${dependencyPkgName}"
+        ],
+        "dependencies": {
+            "${dependencyPkgName}": "^${dependencyPkgVersion}",
+            "tslib": "^2.3.0"
+        },
+        "peerDependencies": {
+            "@angular/core": ">=15.0.0",
+            "@angular/forms": ">=15.0.0"
+        },
+        "peerDependenciesMeta": {
+            "@angular/forms": {
+                "optional": true
+            }
+        }
+    }`;
+}
+
+/* Angular wrapper generation ========================================== */
+
+// Members of the directive that a property of the element must not replace
+const reservedProps = new Set([
+    'hostElement',
+    'onModelChange',
+    'onModelTouched',
+    'registerOnChange',
+    'registerOnTouched',
+    'setDisabledState',
+    'writeValue',
+]);
+
+/**
+ * Generate how `writeValue()` applies a model value, which Angular forms set
+ * to `null` when a control is created or reset.
+ */
+function genWriteValue({ name, type = '' }) {
+    if (type === 'boolean') {
+        return `this.hostElement.${name} = !!value;`;
+    }
+    if (type === 'string') {
+        return `this.hostElement.${name} = value ?? '';`;
+    }
+    return `if (value !== null && value !== undefined) {
+        this.hostElement.${name} = value;
+    }`;
+}
+
+/**
+ * Generate a standalone directive that matches an element by its tag name,
+ * declares the properties of the element as inputs, and connects form controls
+ * to Angular forms as a `ControlValueAccessor`.
+ */
+function genAngularDirective(component) {
+    const { name, elementName, swcComponentName, props, model } = component;
+    const directiveName = `${name}Directive`;
+    const modelType = model && `${swcComponentName}['${model.prop.name}']`;
+    return `
+/**
+ * Binds the properties of \`<${elementName}>\` as typed inputs${
+        model ? ' and connects it to Angular forms' : ''
+    }.
+ */
+@Directive({
+    selector: '${elementName}',
+    standalone: true,${
+        model
+            ? `
+    providers: [
+        {
+            provide: NG_VALUE_ACCESSOR,
+            useExisting: forwardRef(() => ${directiveName}),
+            multi: true,
+        },
+    ],`
+            : ''
+    }
+})
+export class ${directiveName}${
+        model ? ' implements ControlValueAccessor' : ''
+    } {
+    private readonly hostElement: ${swcComponentName} = inject(ElementRef).nativeElement;
+    ${props.reduce(
+        (pre, prop) =>
+            pre +
+            `
+    ${prop.description ? `/** ${prop.description} */` : ''}
+    @Input()
+    set ${prop.name}(${prop.name}: ${swcComponentName}['${prop.name}']) {
+        this.hostElement.${prop.name} = ${prop.name};
+    }
+`,
+        ''
+    )}${
+        model
+            ? `
+    private onModelChange: (value: ${modelType}) => void = () => undefined;
+
+    private onModelTouched: () => void = () => undefined;
+
+    writeValue(value: ${modelType} | null): void {
+        ${genWriteValue(model.prop)}
+    }
+
+    registerOnChange(fn: (value: ${modelType}) => void): void {
+        this.onModelChange = fn;
+    }
+
+    registerOnTouched(fn: () => void): void {
+        this.onModelTouched = fn;
+    }
+
+    setDisabledState(disabled: boolean): void {
+        this.hostElement.toggleAttribute('disabled', disabled);
+    }
+
+    @HostListener('${model.event.name}')
+    protected handle${Case.pascal(model.event.name)}(): void {
+        this.onModelChange(this.hostElement.${model.prop.name});
+    }
+
+    @HostListener('focusout')
+    protected handleFocusout(): void {
+        this.onModelTouched();
+    }
+`
+            : ''
+    }}
+`;
+}
+
+/**
+ * Generate Angular directive source code in typescript.
+ */
+async function genAngularDirectiveSourceCode(modules, exclude, pkgName) {
+    const declMap = getDeclarationMap(modules, process.cwd(), pkgName);
+
+    const components = modules.flatMap((m) =>
+        m.declarations.filter(
+            (decl) =>
+                !exclude.includes(decl.name) &&
+                (decl.customElement || decl.tagName)
+        )
+    );
+
+    if (components.length === 0) {
+        return;
+    }
+
+    const fileImports = modules
+        .filter(
+            (m) =>
+                m.exports.length === 1 &&
+                m.exports.some(
+                    (exp) => exp.kind === 'custom-element-definition'
+                )
+        )
+        .map((m) => `import '${pkgName}/${m.path?.replace('.ts', '.js')}';`);
+
+    const directives = [];
+
+    for (let component of components) {
+        const chain = await getDeclarationChain(
+            declMap.get(component.name),
+            declMap
+        );
+        // Only the names of events are needed to find the model event
+        const events = await getEvents(chain, []);
+        const props = getProps(chain).filter(
+            (prop) => !reservedProps.has(prop.name)
+        );
+        directives.push({
+            name: component.name,
+            swcComponentName: `Sp${component.name}`,
+            elementName: component.tagName,
+            props,
+            model: getModel(props, events),
+        });
+    }
+
+    const hasModel = directives.some((directive) => directive.model);
+    const angularCoreImports = [
+        'Directive',
+        'ElementRef',
+        'Input',
+        'inject',
+        ...(hasModel ? ['HostListener', 'forwardRef'] : []),
+    ].sort((a, b) => a.localeCompare(b));
+
+    return `/*
+Copyright 2023 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import { ${angularCoreImports.join(', ')} } from '@angular/core';${
+        hasModel
+            ? `
+import { NG_VALUE_ACCESSOR } from '@angular/forms';
+import type { ControlValueAccessor } from '@angular/forms';`
+            : ''
+    }
+${directives.reduce(
+    (pre, directive) =>
+        pre +
+        `import type { ${directive.name} as ${directive.swcComponentName} } from '${pkgName}';\n`,
+    ''
+)}
+${fileImports.reduce((pre, cur) => pre + cur + '\n', '')}
+${directives.reduce(
+    (pre, directive) => pre + genAngularDirective(directive),
+    ''
+)}
+${directives.reduce(
+    (pre, directive) =>
+        pre +
+        `export type ${directive.name}Type = ${directive.swcComponentName};\n`,
+    ''
+)}
+`;
+}
+
+/**
+ * CEM package will invoke this callback function.
+ *
+ * @param {*} exclude array of excluded component class name
+ * @param {*} outDir root output directory for generated code
+ * @param {*} prettierConfig prettier library configuration
+ */
+export default function genWrappers({
+    exclude = [],
+    outDir = 'angular',
+    prettierConfig = {},
+} = {}) {
+    return {
+        name: 'angular-wrapper',
+        async packageLinkPhase({ customElementsManifest }) {
+            const { name: pkgName, version: pkgVersion } = JSON.parse(
+                await readFile(`${process.cwd()}/package.json`)
+            );
+            const { modules } = customElementsManifest;
+            const directiveSrc = await genAngularDirectiveSourceCode(
+                modules,
+                exclude,
+                pkgName
+            );
+
+            if (!directiveSrc) {
+                return;
+            }
+
+            const componentShortName = pkgName.replace(
+                '@spectrum-web-components/',
+                ''
+            );
+
+            const componentPath = resolve(`${outDir}/${componentShortName}`);
+            await outputFile(
+                resolve(`${componentPath}/index.ts`),
+                prettier.format(directiveSrc, {
+                    parser: 'typescript',
+                    ...prettierConfig,
+                })
+            );
+            await outputFile(
+                resolve(`${componentPath}/package.json`),
+                prettier.format(
+                    genPackageJson(componentShortName, pkgName, pkgVersion),
+                    {
+                        parser: 'json',
+                        ...prettierConfig,
+                    }
+                )
+            );
+            await outputFile(
+                resolve(`${componentPath}/ng-package.json`),
+                prettier.format(genNgPackageJson(pkgName), {
+                    parser: 'json',
+                    ...prettierConfig,
+                })
+            );
+            await outputFile(
+                resolve(`${componentPath}/tsconfig.json`),
+                prettier.format(genTsconfigJson(), {
+                    parser: 'json',
+                    ...prettierConfig,
+                })
+            );
+        },
+    };
+}
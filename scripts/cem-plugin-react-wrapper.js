@@ -18,6 +18,17 @@ import Case from 'case';
 import { glob } from 'glob';
 import yaml from 'js-yaml';
 import { fileURLToPath } from 'url';
+import { gzipSync } from 'zlib';
+import {
+    getDeclarationChain,
+    getDeclarationMap,
+    getEvents,
+    getModel,
+    getNamedSlots,
+    getProps,
+    isFormControl,
+    uniqueBy,
+} from './cem-wrapper-utils.js';
 
 const { existsSync, outputFile, readFileSync, readJSON } = fsExtra;
 
@@ -60,10 +71,8 @@ function genPackageJson(
         "description": "React and Next.js wrapper of the ${dependencyPkgName} component",
         "license": "Apache-2.0",
         "author": "",
-        "type": "module",${
-            isIconPkg
-                ? ''
-                : `\n"exports": {
+        "type": "module",
+        "exports": {
             ".": {
                 "development": "./index.dev.js",
                 "default": "./index.js"
@@ -71,8 +80,20 @@ function genPackageJson(
             "./next.js": {
                 "development": "./next.dev.js",
                 "default": "./next.js"
+            }${
+                isIconPkg
+                    ? `,
+            "./*.js": {
+                "development": "./*.dev.js",
+                "default": "./*.js"
+            }`
+                    : ''
             }
-        },`
+        },${
+            isIconPkg
+                ? `
+        "sideEffects": false,`
+                : ''
         }
         "files": [
             "**/*.d.ts",
@@ -85,13 +106,17 @@ function genPackageJson(
             "${dependencyPkgName}"
         ],
         "dependencies": {
-            "@lit-labs/react": "^1.1.1",
+            "@lit-labs/react": "^1.2.1",
             "${dependencyPkgName}": "^${dependencyPkgVersion}"
         },
         "peerDependencies": {
+            "@lit-labs/nextjs": "^0.1.1",
             "next": "~13.4",
         },
         "peerDependenciesMeta": {
+            "@lit-labs/nextjs": {
+                "optional": true
+            },
             "next": {
                 "optional": true
             }
@@ -99,70 +124,54 @@ function genPackageJson(
     }`;
 }
 
-/**
- * Remove the duplicate array elements that has same value of a property
- */
-function uniqueBy(arr, prop) {
-    return [...new Map(arr.map((m) => [m[prop], m])).values()];
-}
-
 /* React wrapper generation ============================================ */
 
+const reservedProps = new Set([
+    'children',
+    'className',
+    'id',
+    'key',
+    'ref',
+    'slot',
+    'style',
+]);
+
 /**
- * Recusively get all the public events/methods from component itself and its super class
- * It even supports extracting from external component package.
+ * Get the named slots of a component and its super classes as props that
+ * accept React nodes, e.g. `icon={<IconEdit />}` for `<slot name="icon">`.
  */
-async function getEvents(decl, declMap, events) {
-    if (declMap.has(decl?.superclass?.name)) {
-        getEvents(declMap.get(decl?.superclass?.name), declMap, events);
-    } else if (
-        decl?.superclass?.package &&
-        existsSync(
-            `../../packages/${decl?.superclass?.package.replace(
-                '@spectrum-web-components/',
-                ''
-            )}/custom-elements.json`
-        )
-    ) {
-        // Extract events/method from external package
-        const { modules } = JSON.parse(
-            await readFile(
-                `../../packages/${decl?.superclass?.package.replace(
-                    '@spectrum-web-components/',
-                    ''
-                )}/custom-elements.json`
-            )
-        );
-        const [superDecl, ...rest] = modules.flatMap((m) =>
-            m.declarations.filter((d) => d.name === decl?.superclass?.name)
-        );
-        if (superDecl) {
-            getEvents(superDecl, declMap, events);
-        }
-    }
-
-    if (decl?.events) {
-        events.push(
-            decl?.events
-                .filter((event) => !!event.name)
-                .map((event) => {
-                    return {
-                        name: event.name,
-                        type: event.type?.text || 'Event',
-                        description: event.description,
-                    };
-                })
-        );
-    }
+function getSlots(chain, events) {
+    const taken = new Set([
+        ...reservedProps,
+        ...events.map((event) => Case.camel(event.name)),
+        ...chain.flatMap(({ decl }) => [
+            ...(decl.members || []).map((member) => member.name),
+            ...(decl.attributes || []).map(
+                (attribute) => attribute.fieldName || attribute.name
+            ),
+        ]),
+    ]);
+    return getNamedSlots(chain).map((slot) => {
+        const propName = Case.camel(slot.name);
+        return {
+            ...slot,
+            propName: taken.has(propName) ? `${propName}Slot` : propName,
+        };
+    });
 }
 
 /**
- * Generate React wrapper component source code in typescript.
+ * Generate React wrapper component source code in typescript. Only form
+ * controls, see `isFormControl()`, have their value controlled by React, which
+ * the `controlled` and `uncontrolled` class names override.
  */
-async function genReactComponentSourceCode(modules, exclude, pkgName) {
-    const declMap = new Map(
-        modules.flatMap((m) => m.declarations.map((decl) => [decl.name, decl]))
-    );
+export async function genReactComponentSourceCode(
+    modules,
+    exclude,
+    pkgName,
+    { controlled = [], uncontrolled = [] } = {}
+) {
+    const declMap = getDeclarationMap(modules, process.cwd(), pkgName);
 
     const components = modules.flatMap((m) =>
         m.declarations.filter(
@@ -189,6 +198,7 @@ async function genReactComponentSourceCode(modules, exclude, pkgName) {
         .map((m) => `import '${pkgName}/${m.path?.replace('.ts', '.js')}';`);
 
     const reactComponents = [];
+    const typeImports = [];
 
     for (let component of components) {
         componentImports.push(
@@ -199,13 +209,36 @@ async function genReactComponentSourceCode(modules, exclude, pkgName) {
         reactComponent.name = `${component.name}`;
         reactComponent.swcComponentName = `Sp${component.name}`;
         reactComponent.elementName = component.tagName;
-        const events = [];
-        await getEvents(component, declMap, events);
-        reactComponent.events = uniqueBy(events.flat(), 'name');
+        const chain = await getDeclarationChain(
+            declMap.get(component.name),
+            declMap
+        );
+        reactComponent.events = await getEvents(chain, typeImports);
+        reactComponent.slots = getSlots(chain, reactComponent.events);
+        const props = getProps(chain);
+        const controlsValue =
+            controlled.includes(component.name) ||
+            (!uncontrolled.includes(component.name) &&
+                isFormControl(props, reactComponent.events));
+        reactComponent.model = controlsValue
+            ? getModel(props, reactComponent.events)
+            : undefined;
 
         reactComponents.push(reactComponent);
     }
 
+    const typeImportsBySpecifier = new Map();
+    uniqueBy(typeImports, 'typeName').forEach(({ typeName, specifier }) => {
+        if (!typeImportsBySpecifier.has(specifier)) {
+            typeImportsBySpecifier.set(specifier, new Set());
+        }
+        typeImportsBySpecifier.get(specifier).add(typeName);
+    });
+    const hasSlots = reactComponents.some(
+        (component) => component.slots.length > 0
+    );
+    const hasModel = reactComponents.some((component) => component.model);
+
     const componentSrc = `/*
 Copyright 2022 Adobe. All rights reserved.
 This file is licensed to you under the Apache License, Version 2.0 (the "License");
@@ -225,12 +258,98 @@ import { createComponent } from '@lit-labs/react';${
             : ''
     }
 ${componentImports.reduce((pre, cur) => pre + cur + '\n', '')}
+${[...typeImportsBySpecifier].reduce(
+    (pre, [specifier, typeNames]) =>
+        pre +
+        `import type { ${[...typeNames]
+            .sort()
+            .join(', ')} } from '${specifier}';\n`,
+    ''
+)}
 ${fileImports.reduce((pre, cur) => pre + cur + '\n', '')}
+${
+    hasSlots
+        ? `
+/**
+ * Deliver React nodes to a named slot, wrapping any that are not elements in a \`<span>\`.
+ */
+const slotted = (node: React.ReactNode, slot: string): React.ReactNode[] =>
+    React.Children.toArray(node).map((child, index) =>
+        React.isValidElement<{ slot?: string }>(child)
+            ? React.cloneElement(child, { slot })
+            : React.createElement('span', { slot, key: \`\${slot}-\${index}\` }, child)
+    );
+`
+        : ''
+}${
+        hasModel
+            ? `
+const useIsomorphicLayoutEffect =
+    typeof window === 'undefined' ? React.useEffect : React.useLayoutEffect;
 
+/**
+ * Let React own the \`prop\` of a form element. When \`value\` is provided it is
+ * set on the element as it renders and restored after each of \`events\`, so
+ * that the element only changes when React renders it with a new value.
+ * Otherwise, \`defaultValue\` is applied once and the element manages itself.
+ */
+function useControlled<E extends HTMLElement, K extends keyof E>(
+    forwardedRef: React.ForwardedRef<E>,
+    prop: K,
+    value: E[K] | undefined,
+    defaultValue: E[K] | undefined,
+    events: string[]
+): React.RefCallback<E> {
+    const element = React.useRef<E | null>(null);
+    const controlledValue = React.useRef(value);
+    controlledValue.current = value;
+    useIsomorphicLayoutEffect(() => {
+        if (element.current && value !== undefined) {
+            element.current[prop] = value;
+        }
+    });
+    useIsomorphicLayoutEffect(() => {
+        const el = element.current;
+        if (!el) {
+            return;
+        }
+        if (value === undefined && defaultValue !== undefined) {
+            el[prop] = defaultValue;
+        }
+        const restore = (): void => {
+            // Handlers of the event that accept the change render the new
+            // value before this resolves, otherwise the last value returns.
+            queueMicrotask(() => {
+                if (controlledValue.current !== undefined) {
+                    el[prop] = controlledValue.current;
+                }
+            });
+        };
+        events.forEach((event) => el.addEventListener(event, restore));
+        return () =>
+            events.forEach((event) => el.removeEventListener(event, restore));
+    }, []);
+    return React.useCallback(
+        (node: E | null) => {
+            element.current = node;
+            if (typeof forwardedRef === 'function') {
+                forwardedRef(node);
+            } else if (forwardedRef) {
+                forwardedRef.current = node;
+            }
+        },
+        [forwardedRef]
+    );
+}
+`
+            : ''
+    }
 ${reactComponents.reduce(
     (pre, component) =>
         pre +
-        `export const ${component.name} = createComponent({
+        `${isWrapped(component) ? 'const' : 'export const'} ${component.name}${
+            isWrapped(component) ? 'Element' : ''
+        } = createComponent({
         displayName: '${component.name}',
         elementClass: ${component.swcComponentName},
         react: React,
@@ -247,7 +366,8 @@ ${reactComponents.reduce(
                 ''
             )}
         }
-    });`,
+    });
+${isWrapped(component) ? genWrappedComponent(component) : ''}`,
     ''
 )}
 
@@ -261,10 +381,95 @@ ${reactComponents.reduce(
     return componentSrc;
 }
 
+/**
+ * Whether the `createComponent()` output of an element needs to be wrapped to
+ * deliver named slots or to control the value of a form element.
+ */
+const isWrapped = (component) =>
+    component.slots.length > 0 || !!component.model;
+
+/**
+ * Generate a React component around the `createComponent()` output of an
+ * element that accepts the named slots of the element as props, e.g.
+ * `icon={<IconEdit />}`, and delivers them to the element. For form elements,
+ * e.g. `<Textfield value={value} />`, the value is controlled by React unless
+ * it is omitted in favor of e.g. `defaultValue`.
+ */
+function genWrappedComponent(component) {
+    const { name, events, model, slots, swcComponentName } = component;
+    const modelProp = model?.prop.name;
+    const defaultProp = model && `default${Case.pascal(modelProp)}`;
+    const controlEvents = events
+        .map((event) => event.name)
+        .filter((event) => event === 'input' || event === 'change');
+    const propTypes = [
+        `React.ComponentPropsWithoutRef<typeof ${name}Element>`,
+        ...(slots.length ? [`${name}Slots`] : []),
+        ...(model ? [`${name}Defaults`] : []),
+    ];
+    const propNames = [
+        ...(model ? [modelProp, defaultProp] : []),
+        ...slots.map((slot) => slot.propName),
+        'children',
+    ];
+    return `${
+        slots.length
+            ? `
+export type ${name}Slots = {
+    ${slots.reduce(
+        (pre, slot) =>
+            pre +
+            `${slot.description ? `/** ${slot.description} */\n` : ''}${
+                slot.propName
+            }?: React.ReactNode;\n`,
+        ''
+    )}
+};
+`
+            : ''
+    }${
+        model
+            ? `
+export type ${name}Defaults = {
+    /** The initial \`${modelProp}\` of an element that React does not control */
+    ${defaultProp}?: ${swcComponentName}['${modelProp}'];
+};
+`
+            : ''
+    }
+export const ${name} = React.forwardRef<
+    ${swcComponentName},
+    ${propTypes.join(' & ')}
+>(({ ${propNames.join(', ')}, ...props }, ref) =>
+    React.createElement(
+        ${name}Element,
+        {
+            ...props,
+            ref: ${
+                model
+                    ? `useControlled(ref, '${modelProp}', ${modelProp}, ${defaultProp}, ${JSON.stringify(
+                          controlEvents
+                      ).replace(/"/g, "'")})`
+                    : 'ref'
+            },
+        },
+        ${slots
+            .map((slot) => `slotted(${slot.propName}, '${slot.name}'),\n`)
+            .join('')}children
+    )
+);
+${name}.displayName = '${name}';
+`;
+}
+
 /**
  * Generate Next.js wrapper component source code in typescript.
+ *
+ * Components are rendered on the server to declarative shadow DOM when the
+ * application is configured with `@lit-labs/nextjs`. Those listed in
+ * `clientOnly` are not SSR-safe and are only rendered after hydration.
  */
-async function genNextComponentSourceCode(modules, exclude) {
+async function genNextComponentSourceCode(modules, exclude, clientOnly) {
     const elements = modules.flatMap((m) => {
         return m.declarations
             .filter(
@@ -274,10 +479,12 @@ async function genNextComponentSourceCode(modules, exclude) {
                 return {
                     name: d.name,
                     tagName: d.tagName,
-                    import: `import { ${d.name} as Sp${d.name} } from '.';`,
+                    ssr: !clientOnly.includes(d.name),
                 };
             });
     });
+    const ssrElements = elements.filter((element) => element.ssr);
+    const clientOnlyElements = elements.filter((element) => !element.ssr);
 
     const nextWrapperSource = `/*
 Copyright 2023 Adobe. All rights reserved.
@@ -291,12 +498,29 @@ OF ANY KIND, either express or implied. See the License for the specific languag
 governing permissions and limitations under the License.
 */
 
+'use client';
+${
+    clientOnlyElements.length
+        ? `
 import { ComponentProps } from 'react';
 import dynamic from 'next/dynamic';
 
-${elements.reduce((pre, element) => pre + element.import + '\n', '')}
-
-${elements.reduce(
+${clientOnlyElements.reduce(
+    (pre, element) =>
+        pre +
+        `import type { ${element.name} as Sp${element.name} } from '.';\n`,
+    ''
+)}`
+        : ''
+}
+${
+    ssrElements.length
+        ? `export { ${ssrElements
+              .map((element) => element.name)
+              .join(', ')} } from '.';\n`
+        : ''
+}
+${clientOnlyElements.reduce(
     (pre, element) =>
         pre +
         `export const ${element.name} = dynamic<JSX.LibraryManagedAttributes<typeof Sp${element.name}, ComponentProps<typeof Sp${element.name}>>>(() => import('.').then(({${element.name}}) => ${element.name}), { ssr: false });` +
@@ -311,11 +535,17 @@ ${elements.reduce(
  * CEM package will invoke this callback function.
  *
  * @param {*} exclude array of excluded component class name
+ * @param {*} clientOnly array of component class names that can not be rendered on the server
+ * @param {*} controlled array of component class names whose value is controlled by React, though they are not recognised as form controls
+ * @param {*} uncontrolled array of component class names whose value is not controlled by React, though they are recognised as form controls
  * @param {*} outDir root output directory for generated code
  * @param {*} prettierConfig prettier library configuration
  */
 export default function genWrappers({
     exclude = [],
+    clientOnly = [],
+    controlled = [],
+    uncontrolled = [],
     outDir = 'legacy',
     prettierConfig = {},
 } = {}) {
@@ -329,7 +559,8 @@ export default function genWrappers({
             const reactComponentSrc = await genReactComponentSourceCode(
                 modules,
                 exclude,
-                pkgName
+                pkgName,
+                { controlled, uncontrolled }
             );
 
             if (!reactComponentSrc) {
@@ -338,7 +569,8 @@ export default function genWrappers({
 
             const nextComponentSrc = await genNextComponentSourceCode(
                 modules,
-                exclude
+                exclude,
+                clientOnly
             );
 
             const componentShortName = pkgName.replace(
@@ -384,12 +616,7 @@ export default function genWrappers({
 
 /* Icon wrapper generation ============================================= */
 
-/**
- * Generate React wrapper for Icon component
- */
-function genIconReactComponent(component, id, iconElementName, iconPkg) {
-    const componentAliasName = `Sp${component}`;
-    return `/*
+const iconLicense = `/*
 Copyright 2022 Adobe. All rights reserved.
 This file is licensed to you under the Apache License, Version 2.0 (the "License");
 you may not use this file except in compliance with the License. You may obtain a copy
@@ -399,86 +626,197 @@ Unless required by applicable law or agreed to in writing, software distributed
 the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
 OF ANY KIND, either express or implied. See the License for the specific language
 governing permissions and limitations under the License.
-*/
+*/`;
+
+/**
+ * Generate the factory that every icon of a package is wrapped with, so that
+ * the `createComponent()` configuration is shipped once rather than per icon.
+ */
+function genCreateIcon() {
+    return `${iconLicense}
 
-import { createComponent } from '@lit-labs/react';
 import * as React from 'react';
-  
+import { createComponent } from '@lit-labs/react';
+
+/**
+ * Wrap an icon element as a React component, e.g. \`sp-icon-edit\` as \`IconEdit\`.
+ */
+export function createIcon<I extends HTMLElement>(
+    tagName: string,
+    elementClass: { new (): I }
+) {
+    return createComponent({
+        displayName: tagName
+            .replace(/^sp-/, '')
+            .replace(/(^|-)(\\w)/g, (_match, _dash, character: string) =>
+                character.toUpperCase()
+            ),
+        elementClass,
+        events: {},
+        react: React,
+        tagName,
+    });
+}
+`;
+}
+
+/**
+ * Generate React wrapper for Icon component
+ */
+function genIconReactComponent(component, id, iconElementName, iconPkg) {
+    const componentAliasName = `Sp${component}`;
+    return `${iconLicense}
+
 import { ${component} as ${componentAliasName} } from '@spectrum-web-components/${iconPkg}/src/elements/${id}.js';
 import '@spectrum-web-components/${iconPkg}/icons/${iconElementName}.js';
-  
-export const ${component} = createComponent({ react: React, tagName: '${iconElementName}', elementClass: ${componentAliasName}, events: {}, displayName: '${component}' });
+import { createIcon } from './create-icon.js';
+
+export const ${component} = /* @__PURE__ */ createIcon('${iconElementName}', ${componentAliasName});
 
 export type ${component}Type = ${componentAliasName};
 `;
 }
 
 /**
- * Generate Next.js wrapper for Icon component
+ * Generate the barrel of all the icons of a package, from which bundlers keep
+ * only the icons that are used.
  */
-function genIconNextComponent(displayName) {
-    return `/*
-Copyright 2022 Adobe. All rights reserved.
-This file is licensed to you under the Apache License, Version 2.0 (the "License");
-you may not use this file except in compliance with the License. You may obtain a copy
-of the License at http://www.apache.org/licenses/LICENSE-2.0
+function genIconBarrel(icons) {
+    return `${iconLicense}
 
-Unless required by applicable law or agreed to in writing, software distributed under
-the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
-OF ANY KIND, either express or implied. See the License for the specific language
-governing permissions and limitations under the License.
-*/
+${icons.reduce(
+    (pre, { component, fileName }) =>
+        pre +
+        `export { ${component} } from './${fileName}.js';\nexport type { ${component}Type } from './${fileName}.js';\n`,
+    ''
+)}`;
+}
 
-import dynamic from 'next/dynamic';
-import { ComponentType } from 'react';
-import type { Icon${displayName}Type } from '../${displayName}';
-    
-export const Icon${displayName}: ComponentType<Partial<Icon${displayName}Type> | { slot: string }> = dynamic<Partial<Icon${displayName}Type> | { slot: string }>(
-    () => import('../${displayName}').then((m) => m.Icon${displayName} as any),
-    { ssr: false}
-);
+/**
+ * Generate the Next.js entry of the icons of a package, which lists every icon
+ * as client boundaries can not \`export *\`.
+ */
+function genIconNextBarrel(icons) {
+    return `${iconLicense}
+
+'use client';
+
+export {
+    ${icons.map(({ component }) => component).join(',\n')}
+} from './index.js';
 `;
 }
 
+/**
+ * Measure the gzipped bytes that each icon adds to a bundle on top of what all
+ * icons share, e.g. `createIcon()`, `IconBase`, React and Lit.
+ */
+async function reportIconCost(iconType, icons) {
+    const packageDir = resolve(__dirname, '..', `packages/${iconType}`);
+    const gzipSize = async (paths) => {
+        let bytes = 0;
+        for (const path of paths) {
+            // Measure the built JS when available, otherwise its TS source
+            const source = [path, path.replace(/\.js$/, '.ts')].find(
+                existsSync
+            );
+            if (source) {
+                bytes += gzipSync(await readFile(source)).length;
+            }
+        }
+        return bytes;
+    };
+    const costs = [];
+    for (const { component, id, iconElementName, fileName, source } of icons) {
+        const bytes =
+            gzipSync(source).length +
+            (await gzipSize([
+                `${packageDir}/src/elements/${id}.js`,
+                `${packageDir}/src/icons/${id.substring('Icon'.length)}.js`,
+                `${packageDir}/icons/${iconElementName}.js`,
+            ]));
+        costs.push({ component, module: `${fileName}.js`, bytes });
+    }
+    costs.sort((a, b) => b.bytes - a.bytes);
+    const total = costs.reduce((sum, { bytes }) => sum + bytes, 0);
+    const report = {
+        icons: costs.length,
+        totalBytes: total,
+        averageBytes: Math.round(total / (costs.length || 1)),
+        sharedBytes:
+            gzipSync(genCreateIcon()).length +
+            (await gzipSize([`${packageDir}/src/custom-tag.js`])),
+        costs,
+    };
+    await outputFile(
+        resolve(__dirname, '..', `react/${iconType}/icon-cost.json`),
+        JSON.stringify(report, null, 4)
+    );
+    console.log(
+        `@swc-react/${iconType}: ${report.icons} icons, ${report.averageBytes} B gzipped per icon on average, ${report.sharedBytes} B shared. Largest:`
+    );
+    costs
+        .slice(0, 5)
+        .forEach(({ component, bytes }) =>
+            console.log(`    ${component}: ${bytes} B`)
+        );
+}
+
 /**
  * Core entry function
  */
 export async function generateIconWrapper(iconType) {
-    const icons = await glob(
+    const iconPaths = await glob(
         resolve(__dirname, '..', `packages/${iconType}/src/elements/**.d.ts`)
     );
-    for (let icon of icons) {
-        const id = basename(icon).split('.')[0].substring('Icon'.length);
+    const icons = [];
+    for (let iconPath of iconPaths.sort()) {
+        const id = basename(iconPath).split('.')[0].substring('Icon'.length);
         const componentName = id === 'github' ? 'GitHub' : Case.pascal(id);
         const iconElementName = `sp-icon-${Case.kebab(componentName)}`;
+        const component = `Icon${componentName}`;
+        const source = prettier.format(
+            genIconReactComponent(
+                component,
+                `Icon${id}`,
+                iconElementName,
+                `${iconType}`
+            ),
+            {
+                parser: 'typescript',
+                ...prettierConfig,
+            }
+        );
         await outputFile(
             resolve(__dirname, '..', `react/${iconType}/${componentName}.ts`),
-            prettier.format(
-                genIconReactComponent(
-                    `Icon${componentName}`,
-                    `Icon${id}`,
-                    iconElementName,
-                    `${iconType}`
-                ),
-                {
-                    parser: 'typescript',
-                    ...prettierConfig,
-                }
-            )
+            source
         );
+        icons.push({
+            component,
+            id: `Icon${id}`,
+            iconElementName,
+            fileName: componentName,
+            source,
+        });
+    }
+
+    const sources = {
+        'create-icon.ts': genCreateIcon(),
+        'index.ts': genIconBarrel(icons),
+        'next.ts': genIconNextBarrel(icons),
+    };
+    for (const [fileName, source] of Object.entries(sources)) {
         await outputFile(
-            resolve(
-                __dirname,
-                '..',
-                `react/${iconType}/next/${componentName}.ts`
-            ),
-            prettier.format(genIconNextComponent(Case.pascal(id)), {
+            resolve(__dirname, '..', `react/${iconType}/${fileName}`),
+            prettier.format(source, {
                 parser: 'typescript',
                 ...prettierConfig,
             })
         );
     }
 
+    await reportIconCost(iconType, icons);
+
     const { name: pkgName, version: pkgVersion } = await readJSON(
         resolve(__dirname, '..', `packages/${iconType}/package.json`)
     );
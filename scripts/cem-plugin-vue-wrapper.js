@@ -0,0 +1,411 @@
+/*
+Copyright 2023 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import { readFile } from 'fs/promises';
+import fsExtra from 'fs-extra';
+import { resolve } from 'path';
+import prettier from 'prettier';
+import {
+    getDeclarationChain,
+    getDeclarationMap,
+    getEvents,
+    getModel,
+    getNamedSlots,
+    getProps,
+    uniqueBy,
+} from './cem-wrapper-utils.js';
+
+const { outputFile } = fsExtra;
+
+/* Share =============================================================== */
+
+/**
+ * Generate tsconfig.json file for each of the wrapper component.
+ */
+function genTsconfigJson() {
+    return `{
+        "extends": "../../tsconfig.json",
+        "compilerOptions": {
+            "composite": true,
+            "rootDir": "./"
+        },
+        "include": ["**/*.ts"]
+    }`;
+}
+
+/**
+ * Generate package.json file for each of the wrapper component.
+ */
+function genPackageJson(
+    componentName,
+    dependencyPkgName,
+    dependencyPkgVersion
+) {
+    return `{
+        "name": "@swc-vue/${componentName}",
+        "version": "${dependencyPkgVersion}",
+        "publishConfig": {
+            "access": "public"
+        },
+        "description": "Vue wrapper of the ${dependencyPkgName} component",
+        "license": "Apache-2.0",
+        "author": "",
+        "type": "module",
+        "exports": {
+            ".": {
+                "development": "./index.dev.js",
+                "default": "./index.js"
+            }
+        },
+        "files": [
+            "**/*.d.ts",
+            "**/*.js",
+            "**/*.js.map"
+        ],
+        "keywords": [
+            "Vue",
+            "Spectrum Web Components",
+            "${dependencyPkgName}"
+        ],
+        "dependencies": {
+            "${dependencyPkgName}": "^${dependencyPkgVersion}"
+        },
+        "peerDependencies": {
+            "vue": "^3.3.0"
+        }
+    }`;
+}
+
+/* Vue wrapper generation ============================================== */
+
+/**
+ * Choose the constructor that Vue checks a prop against at runtime. Booleans
+ * must be declared so that `<Checkbox checked>` is cast to `true`, other
+ * types that do not map onto a single constructor are not checked.
+ */
+function getRuntimeType(type = '') {
+    const types = type
+        .split('|')
+        .map((part) => part.trim())
+        .filter((part) => part && part !== 'undefined' && part !== 'null');
+    if (!types.length) {
+        return;
+    }
+    if (types.every((part) => part === 'boolean')) {
+        return 'Boolean';
+    }
+    if (types.every((part) => part === 'number')) {
+        return 'Number';
+    }
+    if (types.every((part) => part === 'string' || /^(['"]).*\1$/.test(part))) {
+        return 'String';
+    }
+    if (types.every((part) => /\[\]$|^Array</.test(part))) {
+        return 'Array';
+    }
+}
+
+/**
+ * Generate the runtime declaration of a prop, typed after the property of the
+ * element that it is passed to.
+ */
+function genProp(name, prop, swcComponentName) {
+    const propType = `PropType<${swcComponentName}['${prop.name}']>`;
+    const runtimeType = getRuntimeType(prop.type);
+    return `${prop.description ? `/** ${prop.description} */\n` : ''}${
+        /^[\w$]+$/.test(name) ? name : `'${name}'`
+    }: {
+        type: ${
+            runtimeType
+                ? `${runtimeType} as ${propType}`
+                : `null as unknown as ${propType}`
+        },
+        default: undefined,
+    },\n`;
+}
+
+/**
+ * Generate a Vue component that passes its props to the element as properties,
+ * emits the events of the element, delivers named slots, e.g.
+ * `<template #icon>`, and supports `v-model` for form controls.
+ */
+function genVueComponent(component) {
+    const { name, elementName, swcComponentName, props, events, slots, model } =
+        component;
+    const modelListener = model
+        ? `
+            element.value.addEventListener('${model.event.name}', () =>
+                emit('update:modelValue', element.value!.${model.prop.name})
+            );`
+        : '';
+    return `
+export const ${name} = defineComponent({
+    name: '${name}',
+    props: {
+        ${props.reduce(
+            (pre, prop) => pre + genProp(prop.name, prop, swcComponentName),
+            ''
+        )}${model ? genProp('modelValue', model.prop, swcComponentName) : ''}
+    },
+    emits: {
+        ${events.reduce(
+            (pre, event) =>
+                pre +
+                `${event.description ? `/** ${event.description} */\n` : ''}'${
+                    event.name
+                }': (_event: ${event.type}) => true,\n`,
+            ''
+        )}${
+        model
+            ? `'update:modelValue': (_value: ${swcComponentName}['${model.prop.name}']) => true,`
+            : ''
+    }
+    },
+    setup(props, { emit, slots }) {
+        const element = ref<${swcComponentName}>();
+        onMounted(() => {
+            if (!element.value) {
+                return;
+            }
+            ${events.reduce(
+                (pre, event) =>
+                    pre +
+                    `element.value.addEventListener('${event.name}', (event) =>
+                        emit('${event.name}', event as ${event.type})
+                    );\n`,
+                ''
+            )}${modelListener}
+        });
+        return () =>
+            h(
+                '${elementName}',
+                {
+                    ...definedProps(${
+                        model ? '{ ...props, modelValue: undefined }' : 'props'
+                    }),${
+        model
+            ? `
+                    ...definedProps({ ${model.prop.name}: props.modelValue }),`
+            : ''
+    }
+                    ref: element,
+                },
+                [
+                    ${slots
+                        .map(
+                            (slot) =>
+                                `...slotted(slots['${slot.name}']?.(), '${slot.name}'),\n`
+                        )
+                        .join('')}...(slots.default?.() || []),
+                ]
+            );
+    },
+});
+`;
+}
+
+/**
+ * Generate Vue wrapper component source code in typescript.
+ */
+async function genVueComponentSourceCode(modules, exclude, pkgName) {
+    const declMap = getDeclarationMap(modules, process.cwd(), pkgName);
+
+    const components = modules.flatMap((m) =>
+        m.declarations.filter(
+            (decl) =>
+                !exclude.includes(decl.name) &&
+                (decl.customElement || decl.tagName)
+        )
+    );
+
+    if (components.length === 0) {
+        return;
+    }
+
+    const fileImports = modules
+        .filter(
+            (m) =>
+                m.exports.length === 1 &&
+                m.exports.some(
+                    (exp) => exp.kind === 'custom-element-definition'
+                )
+        )
+        .map((m) => `import '${pkgName}/${m.path?.replace('.ts', '.js')}';`);
+
+    const vueComponents = [];
+    const typeImports = [];
+
+    for (let component of components) {
+        const chain = await getDeclarationChain(
+            declMap.get(component.name),
+            declMap
+        );
+        const events = await getEvents(chain, typeImports);
+        const props = getProps(chain);
+        vueComponents.push({
+            name: component.name,
+            swcComponentName: `Sp${component.name}`,
+            elementName: component.tagName,
+            props,
+            events,
+            slots: getNamedSlots(chain),
+            model: getModel(props, events),
+        });
+    }
+
+    const hasSlots = vueComponents.some(({ slots }) => slots.length);
+    const vueImports = [
+        'defineComponent',
+        'h',
+        'onMounted',
+        'ref',
+        ...(hasSlots ? ['cloneVNode'] : []),
+    ].sort((a, b) => a.localeCompare(b));
+
+    const typeImportsBySpecifier = new Map();
+    uniqueBy(typeImports, 'typeName').forEach(({ typeName, specifier }) => {
+        if (!typeImportsBySpecifier.has(specifier)) {
+            typeImportsBySpecifier.set(specifier, new Set());
+        }
+        typeImportsBySpecifier.get(specifier).add(typeName);
+    });
+
+    return `/*
+Copyright 2023 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import { ${vueImports.join(', ')} } from 'vue';
+import type { PropType${hasSlots ? ', VNode' : ''} } from 'vue';
+${vueComponents.reduce(
+    (pre, component) =>
+        pre +
+        `import type { ${component.name} as ${component.swcComponentName} } from '${pkgName}';\n`,
+    ''
+)}${[...typeImportsBySpecifier].reduce(
+        (pre, [specifier, typeNames]) =>
+            pre +
+            `import type { ${[...typeNames]
+                .sort()
+                .join(', ')} } from '${specifier}';\n`,
+        ''
+    )}
+${fileImports.reduce((pre, cur) => pre + cur + '\n', '')}
+
+/**
+ * Pass on only the props that have been set, so that the element keeps its
+ * own defaults for the rest.
+ */
+const definedProps = (props: Record<string, unknown>): Record<string, unknown> =>
+    Object.keys(props).reduce((defined, name) => {
+        if (props[name] !== undefined) {
+            defined[name] = props[name];
+        }
+        return defined;
+    }, {} as Record<string, unknown>);
+${
+    hasSlots
+        ? `
+/**
+ * Deliver the nodes of a Vue slot to a named slot, wrapping any that are not
+ * elements or components in a \`<span>\`.
+ */
+const slotted = (nodes: VNode[] | undefined, slot: string): VNode[] =>
+    (nodes || []).map((node) =>
+        typeof node.type === 'symbol'
+            ? h('span', { slot }, [node])
+            : cloneVNode(node, { slot })
+    );
+`
+        : ''
+}${vueComponents.reduce(
+        (pre, component) => pre + genVueComponent(component),
+        ''
+    )}
+${vueComponents.reduce(
+    (pre, component) =>
+        pre +
+        `export type ${component.name}Type = ${component.swcComponentName};\n`,
+    ''
+)}
+`;
+}
+
+/**
+ * CEM package will invoke this callback function.
+ *
+ * @param {*} exclude array of excluded component class name
+ * @param {*} outDir root output directory for generated code
+ * @param {*} prettierConfig prettier library configuration
+ */
+export default function genWrappers({
+    exclude = [],
+    outDir = 'vue',
+    prettierConfig = {},
+} = {}) {
+    return {
+        name: 'vue-wrapper',
+        async packageLinkPhase({ customElementsManifest }) {
+            const { name: pkgName, version: pkgVersion } = JSON.parse(
+                await readFile(`${process.cwd()}/package.json`)
+            );
+            const { modules } = customElementsManifest;
+            const vueComponentSrc = await genVueComponentSourceCode(
+                modules,
+                exclude,
+                pkgName
+            );
+
+            if (!vueComponentSrc) {
+                return;
+            }
+
+            const componentShortName = pkgName.replace(
+                '@spectrum-web-components/',
+                ''
+            );
+
+            const componentPath = resolve(`${outDir}/${componentShortName}`);
+            await outputFile(
+                resolve(`${componentPath}/index.ts`),
+                prettier.format(vueComponentSrc, {
+                    parser: 'typescript',
+                    ...prettierConfig,
+                })
+            );
+            await outputFile(
+                resolve(`${componentPath}/package.json`),
+                prettier.format(
+                    genPackageJson(componentShortName, pkgName, pkgVersion),
+                    {
+                        parser: 'json',
+                        ...prettierConfig,
+                    }
+                )
+            );
+            await outputFile(
+                resolve(`${componentPath}/tsconfig.json`),
+                prettier.format(genTsconfigJson(), {
+                    parser: 'json',
+                    ...prettierConfig,
+                })
+            );
+        },
+    };
+}
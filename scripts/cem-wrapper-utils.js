@@ -0,0 +1,325 @@
+/*
+Copyright 2023 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import { readFile } from 'fs/promises';
+import fsExtra from 'fs-extra';
+import { dirname, resolve } from 'path';
+import { glob } from 'glob';
+import { fileURLToPath } from 'url';
+
+const { existsSync, readJSON } = fsExtra;
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/* Custom elements manifest helpers shared by the framework wrappers ==== */
+
+/**
+ * Remove the duplicate array elements that has same value of a property
+ */
+export function uniqueBy(arr, prop) {
+    return [...new Map(arr.map((m) => [m[prop], m])).values()];
+}
+
+/**
+ * Resolve the directory of a Spectrum Web Components package in this repo from
+ * a package specifier, e.g. `@spectrum-web-components/shared/src/focusable.js`.
+ */
+function getPackageDir(specifier) {
+    const [scope, name] = specifier.split('/');
+    if (scope !== '@spectrum-web-components') {
+        return;
+    }
+    return ['packages', 'tools']
+        .map((dir) => resolve(__dirname, '..', dir, name))
+        .find((dir) => existsSync(`${dir}/custom-elements.json`));
+}
+
+/**
+ * Map the class name of each declaration to the declaration and the package
+ * and module that it was declared in.
+ */
+export function getDeclarationMap(modules, packageDir, pkgName) {
+    return new Map(
+        modules.flatMap((m) =>
+            m.declarations.map((decl) => [
+                decl.name,
+                {
+                    decl,
+                    packageDir,
+                    pkgName,
+                    sourcePath: resolve(
+                        packageDir,
+                        m.path.replace(/^\//, '').replace(/\.js$/, '.ts')
+                    ),
+                },
+            ])
+        )
+    );
+}
+
+/**
+ * Recusively get a component and its super classes, starting with the most basic.
+ * It even supports extracting from external component package.
+ */
+export async function getDeclarationChain(entry, declMap) {
+    const { superclass } = entry.decl;
+    const chain = [];
+    if (
+        declMap.has(superclass?.name) &&
+        declMap.get(superclass.name).decl !== entry.decl
+    ) {
+        chain.push(
+            ...(await getDeclarationChain(
+                declMap.get(superclass.name),
+                declMap
+            ))
+        );
+    } else if (superclass?.package) {
+        const packageDir = getPackageDir(superclass.package);
+        if (packageDir) {
+            // Extract from external package
+            const { modules } = JSON.parse(
+                await readFile(`${packageDir}/custom-elements.json`)
+            );
+            const { name: externalPkgName } = await readJSON(
+                `${packageDir}/package.json`
+            );
+            const externalDeclMap = getDeclarationMap(
+                modules,
+                packageDir,
+                externalPkgName
+            );
+            if (externalDeclMap.has(superclass.name)) {
+                chain.push(
+                    ...(await getDeclarationChain(
+                        externalDeclMap.get(superclass.name),
+                        externalDeclMap
+                    ))
+                );
+            }
+        }
+    }
+    chain.push(entry);
+    return chain;
+}
+
+const globalTypes = new Set([
+    'Array',
+    'CustomEvent',
+    'DataTransfer',
+    'Event',
+    'File',
+    'FileList',
+    'HTMLElement',
+    'Map',
+    'Partial',
+    'Promise',
+    'Record',
+    'Set',
+]);
+
+/**
+ * Find where the types referenced in an event detail type can be imported from,
+ * returning `false` when one of them is not exported.
+ */
+function getTypeImports(typeText, source, { packageDir, pkgName, sourcePath }) {
+    const typeImports = [];
+    for (const [typeName] of typeText.matchAll(/\b[A-Z]\w*/g)) {
+        if (globalTypes.has(typeName)) {
+            continue;
+        }
+        const imported = [
+            ...source.matchAll(
+                /import\s+(?:type\s+)?\{([^}]+)\}\s+from\s+'([^']+)'/g
+            ),
+        ].find(([, names]) =>
+            names.split(',').some((name) => name.trim() === typeName)
+        );
+        if (imported) {
+            const [, , specifier] = imported;
+            if (!specifier.startsWith('.')) {
+                typeImports.push({ typeName, specifier });
+                continue;
+            }
+            const importPath = resolve(dirname(sourcePath), specifier);
+            if (!importPath.startsWith(`${packageDir}/`)) {
+                return false;
+            }
+            typeImports.push({
+                typeName,
+                specifier: `${pkgName}/${importPath
+                    .slice(packageDir.length + 1)
+                    .replace(/(\.ts|\.js)?$/, '.js')}`,
+            });
+            continue;
+        }
+        const exported = new RegExp(
+            `export\\s+(?:declare\\s+)?(?:type|interface|class|enum)\\s+${typeName}\\b`
+        );
+        if (!exported.test(source)) {
+            return false;
+        }
+        typeImports.push({
+            typeName,
+            specifier: `${pkgName}/${sourcePath
+                .slice(packageDir.length + 1)
+                .replace(/\.ts$/, '.js')}`,
+        });
+    }
+    return typeImports;
+}
+
+/**
+ * Resolve the type of an event, including the `detail` of a `CustomEvent`
+ * either as documented via `@fires {CustomEvent<Detail>} name` or as typed
+ * where it is dispatched via `new CustomEvent<Detail>('name')`.
+ */
+async function getEventType(event, entry, typeImports) {
+    const documentedType = event.type?.text;
+    if (documentedType?.includes('<')) {
+        const imports = existsSync(entry.sourcePath)
+            ? getTypeImports(
+                  documentedType,
+                  await readFile(entry.sourcePath, 'utf8'),
+                  entry
+              )
+            : false;
+        if (imports) {
+            typeImports.push(...imports);
+            return documentedType;
+        }
+        return 'CustomEvent';
+    }
+    const eventName = event.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const typedDispatch = new RegExp(
+        `new\\s+CustomEvent<([^(]+?)>\\(\\s*['"\`]${eventName}['"\`]`
+    );
+    const untypedDispatch = new RegExp(
+        `new\\s+CustomEvent\\(\\s*['"\`]${eventName}['"\`]`
+    );
+    // Events are not always dispatched from the module declaring the element
+    const sourcePaths = [
+        entry.sourcePath,
+        ...(await glob(`${entry.packageDir}/src/**/*.ts`, {
+            ignore: ['**/*.d.ts'],
+        })),
+    ].filter((sourcePath, index, paths) => paths.indexOf(sourcePath) === index);
+    for (const sourcePath of sourcePaths.filter(existsSync)) {
+        const source = await readFile(sourcePath, 'utf8');
+        const [, detailType] = source.match(typedDispatch) || [];
+        if (detailType) {
+            const imports = getTypeImports(detailType, source, {
+                ...entry,
+                sourcePath,
+            });
+            if (imports) {
+                typeImports.push(...imports);
+                return `CustomEvent<${detailType}>`;
+            }
+            return 'CustomEvent';
+        }
+        if (untypedDispatch.test(source)) {
+            return 'CustomEvent';
+        }
+    }
+    return documentedType || 'Event';
+}
+
+/**
+ * Get all the public events from a component and its super classes.
+ */
+export async function getEvents(chain, typeImports) {
+    const events = [];
+    for (const entry of chain) {
+        for (const event of (entry.decl.events || []).filter(
+            (event) => !!event.name
+        )) {
+            events.push({
+                name: event.name,
+                type: await getEventType(event, entry, typeImports),
+                description: event.description?.replace(/\s+/g, ' '),
+            });
+        }
+    }
+    // events of a sub class take precedence over those of its super classes
+    return uniqueBy(events, 'name');
+}
+
+/**
+ * Get the named slots of a component and its super classes.
+ */
+export function getNamedSlots(chain) {
+    const slots = chain
+        .flatMap(({ decl }) => decl.slots || [])
+        .filter((slot) => !!slot.name);
+    // slots of a sub class take precedence over those of its super classes
+    return uniqueBy(slots, 'name').map((slot) => ({
+        name: slot.name,
+        description: slot.description?.replace(/\s+/g, ' '),
+    }));
+}
+
+/**
+ * Get the public properties of a component and its super classes that can be
+ * set from a template.
+ */
+export function getProps(chain) {
+    const props = chain.flatMap(({ decl }) =>
+        (decl.members || []).filter(
+            (member) =>
+                member.kind === 'field' &&
+                !member.static &&
+                !member.readonly &&
+                (member.privacy || 'public') === 'public' &&
+                !/^[_#]/.test(member.name)
+        )
+    );
+    return uniqueBy(props, 'name').map((member) => ({
+        name: member.name,
+        type: member.type?.text,
+        description: member.description?.replace(/\s+/g, ' '),
+    }));
+}
+
+const modelProps = ['checked', 'selected', 'value'];
+
+/**
+ * Get the property that form bindings, e.g. `v-model` or `ngModel`, read and
+ * write, along with the event after which it should be read. Components that
+ * do not dispatch `input` or `change` are not form controls.
+ */
+export function getModel(props, events) {
+    const prop = modelProps
+        .map((name) => props.find((prop) => prop.name === name))
+        .find(Boolean);
+    const event = ['input', 'change']
+        .map((name) => events.find((event) => event.name === name))
+        .find(Boolean);
+    if (!prop || !event) {
+        return;
+    }
+    return { prop, event };
+}
+
+const formFieldProps = ['name', 'readonly', 'required', 'invalid'];
+
+/**
+ * Whether a component is a form control: it has a form binding, see
+ * `getModel()`, and the properties of a form field, e.g. `name` or `invalid`.
+ * Other components that dispatch `change`, like Tabs, manage their own state.
+ */
+export function isFormControl(props, events) {
+    return (
+        !!getModel(props, events) &&
+        props.some((prop) => formFieldProps.includes(prop.name))
+    );
+}
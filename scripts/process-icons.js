@@ -12,30 +12,110 @@ governing permissions and limitations under the License.
 */
 import path from 'path';
 import fs from 'fs';
+import { load } from 'cheerio';
+import { optimize } from 'svgo';
 import { fileURLToPath } from 'url';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-const processIcon = (srcPath, fd, scaleWidth, scaleHeight) => {
+// the optimizations applied to every icon before it is added to a sprite,
+// which include merging paths and rounding coordinates to `floatPrecision`
+const svgoConfig = {
+    multipass: true,
+    floatPrecision: 2,
+    plugins: [
+        {
+            name: 'preset-default',
+            params: {
+                overrides: {
+                    // the viewBox is copied to the `<symbol>` of each icon
+                    removeViewBox: false,
+                },
+            },
+        },
+    ],
+};
+
+// icons that are drawn larger than the target size of their scale
+const oversizedIcons = {
+    medium: ['Arrow600', 'SingleGripper'],
+    large: ['SingleGripper'],
+};
+
+/**
+ * Read the viewBox of an icon, e.g. `0 0 10 10`, as `[minX, minY, width, height]`.
+ */
+const parseViewBox = (viewBox = '') => {
+    const values = viewBox
+        .trim()
+        .split(/[\s,]+/)
+        .map(Number);
+    if (values.length !== 4 || values.some((value) => Number.isNaN(value))) {
+        return;
+    }
+    return values;
+};
+
+/**
+ * Convert an icon into a `<symbol>` of the sprite of its scale. Returns the
+ * problems with the icon instead when it can not be used.
+ */
+const processIcon = (srcPath, scaleKey, scaleWidth, scaleHeight) => {
     // get icon name from filename
     const iconName = path.basename(srcPath, path.extname(srcPath));
-    // regex will extract width, height and svg content into $1, $2 and $3 respectively
-    const regex = new RegExp(/<svg.*viewBox="(.*)">(.*?)<\/svg>/i);
-
     const content = fs.readFileSync(srcPath, 'utf8');
 
-    const match = content.match(regex);
-    if (!match) {
-        // no matching result, bail
-        return;
+    const $ = load(content, { xmlMode: true });
+    const roots = $.root().children();
+    if (roots.length !== 1 || roots.get(0).name !== 'svg') {
+        return { problems: ['is not a single <svg> element'] };
+    }
+    const problems = [];
+    const viewBox = parseViewBox(roots.attr('viewBox'));
+    if (!roots.attr('viewBox')) {
+        problems.push('has no viewBox');
+    } else if (!viewBox) {
+        problems.push(`has a malformed viewBox "${roots.attr('viewBox')}"`);
+    } else {
+        const [minX, minY, width, height] = viewBox;
+        if (minX !== 0 || minY !== 0 || width <= 0 || height <= 0) {
+            problems.push(
+                `has a viewBox "${viewBox.join(
+                    ' '
+                )}" that is not drawn from 0 0`
+            );
+        }
+        if (
+            (width > scaleWidth || height > scaleHeight) &&
+            !oversizedIcons[scaleKey].includes(iconName)
+        ) {
+            problems.push(
+                `is ${width}x${height}, which exceeds the ${scaleWidth}x${scaleHeight} of the ${scaleKey} scale`
+            );
+        }
+    }
+    if (!roots.children().length) {
+        problems.push('has no content');
+    }
+    if (problems.length) {
+        return { problems };
+    }
+
+    let optimized;
+    try {
+        optimized = optimize(content, { path: srcPath, ...svgoConfig });
+    } catch (error) {
+        return { problems: [`could not be optimized: ${error.message}`] };
+    }
+    if (optimized.error) {
+        return { problems: [`could not be optimized: ${optimized.error}`] };
     }
-    const viewBox = match[1];
-    const svgContent = match[2];
-    // append the content to the target file handle
-    fs.writeSync(
-        fd,
-        `<symbol id="spectrum-icon-${iconName}" viewBox="${viewBox}">${svgContent}</symbol>`
-    );
+    const svgContent = load(optimized.data, { xmlMode: true })('svg').html();
+    return {
+        symbol: `<symbol id="spectrum-icon-${iconName}" viewBox="${viewBox.join(
+            ' '
+        )}">${svgContent}</symbol>`,
+    };
 };
 
 // where is spectrum-css?
@@ -50,35 +130,87 @@ const scales = {
     large: { width: 24, height: 24 },
 };
 
-// process the scales
-Object.keys(scales).forEach((scaleKey) => {
-    console.log(`processing scale ${scaleKey}...`);
-
-    const scale = scales[scaleKey];
-    const srcPath = path.join(spectrumIconsPath, scaleKey);
-    const outputPath = path.join(
-        __dirname,
-        '..',
-        'packages',
-        'icons',
-        'src',
-        `icons-${scaleKey}.svg.ts`
-    );
-    let outputFd = fs.openSync(outputPath, 'w');
-
-    fs.writeSync(
-        outputFd,
-        'import { svg } from \'@spectrum-web-components/base\'; export default svg`<svg xmlns="http://www.w3.org/2000/svg">'
-    );
-
-    fs.readdirSync(srcPath).forEach((iconFile) => {
-        const srcIconPath = path.join(srcPath, iconFile);
-        console.log(`\ticon ${iconFile}`);
-        processIcon(srcIconPath, outputFd, scale.width, scale.height);
+const processIcons = () => {
+    const sprites = {};
+    const problems = [];
+    const iconsByScale = {};
+
+    // process the scales
+    Object.keys(scales).forEach((scaleKey) => {
+        console.log(`processing scale ${scaleKey}...`);
+
+        const scale = scales[scaleKey];
+        const srcPath = path.join(spectrumIconsPath, scaleKey);
+        const symbols = [];
+        iconsByScale[scaleKey] = new Set();
+
+        fs.readdirSync(srcPath)
+            .filter((iconFile) => path.extname(iconFile) === '.svg')
+            .sort()
+            .forEach((iconFile) => {
+                const srcIconPath = path.join(srcPath, iconFile);
+                console.log(`\ticon ${iconFile}`);
+                iconsByScale[scaleKey].add(path.basename(iconFile, '.svg'));
+                const result = processIcon(
+                    srcIconPath,
+                    scaleKey,
+                    scale.width,
+                    scale.height
+                );
+                if (result.problems) {
+                    result.problems.forEach((problem) =>
+                        problems.push(`${scaleKey}/${iconFile} ${problem}`)
+                    );
+                    return;
+                }
+                symbols.push(result.symbol);
+            });
+
+        sprites[scaleKey] = symbols.join('');
+    });
+
+    // every icon must be delivered at every scale
+    Object.keys(iconsByScale).forEach((scaleKey) => {
+        Object.keys(iconsByScale).forEach((otherScaleKey) => {
+            iconsByScale[scaleKey].forEach((iconName) => {
+                if (!iconsByScale[otherScaleKey].has(iconName)) {
+                    problems.push(
+                        `${scaleKey}/${iconName}.svg has no ${otherScaleKey} counterpart`
+                    );
+                }
+            });
+        });
     });
 
-    fs.writeSync(outputFd, '</svg>`;');
-    fs.closeSync(outputFd);
-});
+    if (problems.length) {
+        console.error(
+            `\n${problems.length} problem(s) prevent the icons from being processed:`
+        );
+        problems.forEach((problem) => console.error(`\t${problem}`));
+        return 1;
+    }
+
+    Object.keys(sprites).forEach((scaleKey) => {
+        const outputPath = path.join(
+            __dirname,
+            '..',
+            'packages',
+            'icons',
+            'src',
+            `icons-${scaleKey}.svg.ts`
+        );
+        fs.writeFileSync(
+            outputPath,
+            `import { svg } from '@spectrum-web-components/base'; export default svg\`<svg xmlns="http://www.w3.org/2000/svg">${sprites[scaleKey]}</svg>\`;`
+        );
+    });
+
+    console.log('complete.');
+    return 0;
+};
+
+async function main() {
+    process.exit(processIcons());
+}
 
-console.log('complete.');
+main();
@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+// @ts-check
+/*
+Copyright 2023 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+    loadThemeContexts,
+    resolveValue,
+} from '../tasks/css-custom-properties.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const root = path.resolve(__dirname, '..');
+const exportDir = path.join(root, 'tools', 'styles', 'design-tokens');
+
+const license = `Copyright 2023 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.`;
+
+/**
+ * Collapse the whitespace that formatting leaves in multi-line values,
+ * e.g. `cubic-bezier(\n 0,\n 0\n)` becomes `cubic-bezier(0, 0)`.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+const normalizeValue = (value) =>
+    value
+        .replace(/\s+/g, ' ')
+        .replace(/\(\s/g, '(')
+        .replace(/\s\)/g, ')')
+        .trim();
+
+/**
+ * @param {string} name a token name, e.g. `spectrum-gray-100`
+ * @returns {string} e.g. `spectrumGray100`
+ */
+const toConstantName = (name) =>
+    name.replace(/-([a-z0-9])/g, (_match, character) =>
+        character.toUpperCase()
+    );
+
+/**
+ * Resolve every Spectrum token that `<sp-theme>` delivers in a theme context
+ * to its final value.
+ *
+ * @param {import('../tasks/css-custom-properties.js').ThemeContext} context
+ * @returns {[string, string][]} token names, without `--`, and their values
+ */
+const resolveTokens = ({ properties }) =>
+    [...properties.keys()]
+        .filter((property) => property.startsWith('--spectrum-'))
+        .sort()
+        .map((property) => [
+            property.slice(2),
+            normalizeValue(
+                resolveValue(
+                    /** @type {string} */ (properties.get(property)),
+                    properties
+                )
+            ),
+        ]);
+
+/**
+ * @param {[string, string][]} tokens
+ * @returns {string}
+ */
+const toSCSS = (tokens) =>
+    [
+        `/*\n${license}\n*/`,
+        '',
+        '/* THIS FILE IS MACHINE GENERATED. DO NOT EDIT */',
+        ...tokens.map(([name, value]) => `$${name}: ${value};`),
+        '',
+    ].join('\n');
+
+/**
+ * @param {[string, string][]} tokens
+ * @returns {string}
+ */
+const toTS = (tokens) => {
+    const names = new Map();
+    const constants = tokens.map(([name, value]) => {
+        const constantName = toConstantName(name);
+        if (names.has(constantName)) {
+            throw new Error(
+                `The tokens "${names.get(
+                    constantName
+                )}" and "${name}" would both be exported as "${constantName}".`
+            );
+        }
+        names.set(constantName, name);
+        return `export const ${constantName} = '${value
+            .replace(/\\/g, '\\\\')
+            .replace(/'/g, "\\'")}';`;
+    });
+    return [
+        `/*\n${license}\n*/`,
+        '',
+        '/* THIS FILE IS MACHINE GENERATED. DO NOT EDIT */',
+        ...constants,
+        '',
+    ].join('\n');
+};
+
+const exportTokens = () => {
+    fs.mkdirSync(exportDir, { recursive: true });
+    loadThemeContexts(root).forEach((context) => {
+        const tokens = resolveTokens(context);
+        const filePath = path.join(exportDir, context.name);
+        fs.writeFileSync(
+            `${filePath}.json`,
+            JSON.stringify(Object.fromEntries(tokens), null, 4) + '\n'
+        );
+        fs.writeFileSync(`${filePath}.scss`, toSCSS(tokens));
+        fs.writeFileSync(`${filePath}.ts`, toTS(tokens));
+        console.log(
+            `Exported ${tokens.length} tokens for ${
+                context.name
+            } to ${path.relative(root, filePath)}.{json,scss,ts}`
+        );
+    });
+    return 0;
+};
+
+async function main() {
+    process.exit(exportTokens());
+}
+
+main();
@@ -29,62 +29,133 @@ const tokensRoot = path.join(
     '*.css'
 );
 
-/** @todo Could generate this from CSS packages that have @spectrum-css/tokens as a dependency */
-const tokenPackages = [
-    'accordion',
-    'actionbutton',
-    'avatar',
-    'checkbox',
-    'button',
-    'closebutton',
-    'helptext',
-    'radio',
-    'switch',
-    'statuslight',
-    'toast',
-    'actiongroup',
-    'divider',
-    'fieldlabel',
-    'progresscircle',
-    'buttongroup',
-    'swatch',
-    'swatchgroup',
-    'badge',
-    'fieldgroup',
-    'link',
-    'tag',
-    'tooltip',
-    'tray',
-    'progressbar',
-    'picker',
-    'colorarea',
-    'colorwheel',
-    'colorhandle',
-    'colorloupe',
-    'illustratedmessage',
-    'slider',
-    'popover',
-    'thumbnail',
-    'dropzone',
-    'stepper',
-    'textfield',
-    'search',
-    'tabs',
-    'actionbar',
-    'pickerbutton',
-];
-
-const packagePaths = tokenPackages.map((packageName) => {
-    return path.join(
-        __dirname,
-        '..',
-        'node_modules',
-        '@spectrum-css',
+const spectrumCSSRoot = path.join(
+    __dirname,
+    '..',
+    'node_modules',
+    '@spectrum-css'
+);
+
+/**
+ * Tokens that the converted Spectrum CSS references but that no Spectrum CSS
+ * package emits, by file. Remove an entry once it is fixed upstream.
+ */
+const knownMissingTokens = {
+    // only defined under the `.spectrum--light` etc. theme classes of
+    // @spectrum-css/card, which are not converted
+    'packages/card/src/spectrum-card.css': [
+        '--spectrum-card-selected-background-color-rgb',
+    ],
+    // a token of @spectrum-css/vars that @spectrum-css/splitbutton still uses
+    'packages/split-button/src/spectrum-split-button.css': [
+        '--spectrum-button-m-primary-outline-texticon-padding-left',
+    ],
+    // referenced but never defined by @spectrum-css/tabs
+    'packages/tabs/src/spectrum-tabs.css': [
+        '--spectrum-tabs-start-to-item-quiet',
+    ],
+};
+
+const tokenDefinitionRegExp = /(--spectrum-[\w-]+)\s*:/g;
+const themedRuleRegExp = /\.spectrum--[\w-]+[^{}]*\{([^}]*)\}/g;
+
+/**
+ * The tokens that a Spectrum CSS package without themes defines under the
+ * `.spectrum--light` etc. theme classes, which are not bundled.
+ *
+ * @param {string} packageName
+ * @returns {string[]}
+ */
+const findThemedTokens = (packageName) => {
+    const varsPath = path.join(
+        spectrumCSSRoot,
         packageName,
         'dist',
-        'themes'
+        'index-vars.css'
     );
-});
+    if (!fs.existsSync(varsPath)) {
+        return [];
+    }
+    const css = fs.readFileSync(varsPath, 'utf8');
+    const tokens = new Set();
+    for (const [, declarations] of css.matchAll(themedRuleRegExp)) {
+        for (const [, token] of declarations.matchAll(tokenDefinitionRegExp)) {
+            tokens.add(token);
+        }
+    }
+    return [...tokens];
+};
+
+/**
+ * Find the Spectrum CSS packages that depend on `@spectrum-css/tokens` from
+ * among the `@spectrum-css/*` dev dependencies of the packages in the repo.
+ * Those that deliver themes have their tokens bundled into tools/styles.
+ * Those that are not installed, or that define tokens by theme without
+ * delivering themes, would have their tokens silently left out, and are
+ * reported as problems instead.
+ *
+ * @returns {Promise<{ packages: string[], problems: string[] }>}
+ */
+const findTokenPackages = async () => {
+    const spectrumCSSDependencies = new Set();
+    for (const packageJsonPath of await fg([
+        path.join(__dirname, '..', '{packages,tools}', '*', 'package.json'),
+    ])) {
+        const { devDependencies = {} } = fs.readJsonSync(packageJsonPath);
+        Object.keys(devDependencies)
+            .filter((name) => name.startsWith('@spectrum-css/'))
+            .forEach((name) => spectrumCSSDependencies.add(name.split('/')[1]));
+    }
+    spectrumCSSDependencies.delete('tokens');
+    const packages = [];
+    const problems = [];
+    [...spectrumCSSDependencies].sort().forEach((packageName) => {
+        const packageJsonPath = path.join(
+            spectrumCSSRoot,
+            packageName,
+            'package.json'
+        );
+        if (!fs.existsSync(packageJsonPath)) {
+            problems.push(
+                `@spectrum-css/${packageName} is a dependency but is not installed.`
+            );
+            return;
+        }
+        const {
+            dependencies = {},
+            peerDependencies = {},
+            devDependencies = {},
+        } = fs.readJsonSync(packageJsonPath);
+        const dependsOnTokens = [
+            dependencies,
+            peerDependencies,
+            devDependencies,
+        ].some((declared) => '@spectrum-css/tokens' in declared);
+        if (!dependsOnTokens) {
+            return;
+        }
+        if (
+            !fs.existsSync(
+                path.join(spectrumCSSRoot, packageName, 'dist', 'themes')
+            )
+        ) {
+            const knownTokens = Object.values(knownMissingTokens).flat();
+            const droppedTokens = findThemedTokens(packageName).filter(
+                (token) => !knownTokens.includes(token)
+            );
+            if (droppedTokens.length) {
+                problems.push(
+                    `@spectrum-css/${packageName} has no dist/themes to bundle ${droppedTokens.join(
+                        ', '
+                    )} from.`
+                );
+            }
+            return;
+        }
+        packages.push(packageName);
+    });
+    return { packages, problems };
+};
 
 const spectrumThemeSelectorRegExp =
     /(?:\.spectrum(--(?:express|light(?:est)?|dark(?:est)?|medium|large)?,?(\n|\s)*)?)+\s?\{/g;
@@ -126,8 +197,8 @@ const processTokens = (srcPath) => {
     );
 };
 
-const processPackages = async (srcPath, index) => {
-    const packageName = tokenPackages[index];
+const processPackage = async (packageName) => {
+    const srcPath = path.join(spectrumCSSRoot, packageName, 'dist', 'themes');
     const expressPath = path.join(srcPath, 'express.css');
     const spectrumPath = path.join(srcPath, 'spectrum.css');
     let express = fs.readFileSync(expressPath, 'utf8');
@@ -184,6 +255,57 @@ const processPackages = async (srcPath, index) => {
     }
 };
 
+const tokenPropertyRegExp = /setProperty\(\s*['"`](--spectrum-[\w-]+)/g;
+const tokenReferenceRegExp = /var\(\s*(--spectrum-[\w-]+)\s*([,)])/g;
+
+/**
+ * Ensure that every token the converted Spectrum CSS references without a
+ * fallback is defined by the emitted tokens, the styles of an element, or at
+ * runtime by the source of an element, save for `knownMissingTokens`.
+ *
+ * @returns {Promise<Map<string, Set<string>>>} missing tokens by file
+ */
+const findMissingTokens = async () => {
+    const root = path.join(__dirname, '..');
+    const defined = new Set();
+    for (const definitionPath of await fg(
+        [
+            'tools/styles/**/*.css',
+            '{packages,tools}/*/src/*.css',
+            '{packages,tools}/*/src/**/*.ts',
+        ],
+        { cwd: root, absolute: true, ignore: ['**/node_modules/**'] }
+    )) {
+        const source = fs.readFileSync(definitionPath, 'utf8');
+        for (const [, token] of [
+            ...source.matchAll(tokenDefinitionRegExp),
+            ...source.matchAll(tokenPropertyRegExp),
+        ]) {
+            defined.add(token);
+        }
+    }
+    const missing = new Map();
+    for (const convertedPath of await fg(
+        ['{packages,tools}/*/src/spectrum-*.css'],
+        { cwd: root }
+    )) {
+        const css = fs.readFileSync(path.join(root, convertedPath), 'utf8');
+        for (const [, token, next] of css.matchAll(tokenReferenceRegExp)) {
+            if (
+                next === ')' &&
+                !defined.has(token) &&
+                !knownMissingTokens[convertedPath]?.includes(token)
+            ) {
+                if (!missing.has(convertedPath)) {
+                    missing.set(convertedPath, new Set());
+                }
+                missing.get(convertedPath).add(token);
+            }
+        }
+    }
+    return missing;
+};
+
 const spectrumTokens = async () => {
     fs.mkdirSync(
         path.join(__dirname, '..', 'tools', 'styles', 'tokens', 'spectrum'),
@@ -200,8 +322,36 @@ const spectrumTokens = async () => {
     for (const tokensPath of await fg([`${tokensRoot}`])) {
         processTokens(tokensPath);
     }
-    const processes = packagePaths.map(processPackages);
+    const { packages: tokenPackages, problems } = await findTokenPackages();
+    if (problems.length) {
+        console.error(
+            'The tokens of the following Spectrum CSS packages cannot be bundled:'
+        );
+        problems.forEach((problem) => console.error(`  ${problem}`));
+        return 1;
+    }
+    console.log(
+        `Bundling the tokens of ${tokenPackages.length} Spectrum CSS packages.`
+    );
+    const processes = tokenPackages.map(processPackage);
     await Promise.all(processes);
+
+    const missing = await findMissingTokens();
+    if (!missing.size) {
+        return 0;
+    }
+    console.error(
+        'The following tokens are referenced by converted Spectrum CSS but are not emitted:'
+    );
+    missing.forEach((tokens, convertedPath) => {
+        console.error(`  ${convertedPath}`);
+        tokens.forEach((token) => console.error(`    ${token}`));
+    });
+    return 1;
 };
 
-spectrumTokens();
+async function main() {
+    process.exit(await spectrumTokens());
+}
+
+main();
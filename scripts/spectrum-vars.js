@@ -18,63 +18,62 @@ import postcss from 'postcss';
 import { postCSSPlugins } from './css-processing.cjs';
 import { fileURLToPath } from 'url';
 import fg from 'fast-glob';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-let removedVariableDeclarations = 0;
+const { report: reportPath } = yargs(hideBin(process.argv)).argv;
 
 /**
  * Use postcss to remove CSS Custom Properties that are not leveraged in the project
  *
- * @param { variables: string[] } options - list of CSS Custom Properties found to be used
+ * @param { variables: Set<string>, stats: object } options - CSS Custom Properties reached from the project and the stats to record the filtering in
  */
 function postcssFilterVariableDeclarations(options) {
     options = options || {};
 
     var variables = options.variables;
+    var stats = options.stats;
 
     function filterDeclarations(root) {
+        stats.bytesBefore = Buffer.byteLength(root.toString());
         root.walk(function (rule) {
             if (rule.type === 'rule') {
-                rule.each(function (decl, index) {
+                rule.each(function (decl) {
                     if (decl.variable) {
-                        // always include global and alias vars
-                        if (
-                            decl.prop.startsWith('--spectrum-global-') ||
-                            decl.prop.startsWith('--spectrum-alias-')
-                        ) {
-                            return;
-                        }
-                        // otherwise if the variable is not in the allowed list, remove it
-                        if (!variables.has(decl.prop)) {
+                        // remove the variable when nothing in the project reaches it
+                        if (variables.has(decl.prop)) {
+                            stats.kept.add(decl.prop);
+                        } else {
+                            stats.removed.add(decl.prop);
                             decl.remove();
-                            removedVariableDeclarations += 1;
                         }
                     }
                 });
             }
         });
+        stats.bytesAfter = Buffer.byteLength(root.toString());
     }
 
     return filterDeclarations;
 }
 
 const varRegex = /--spectrum-[^:,)\s]+/g;
+const varReferenceRegex = /var\(\s*(--[^,)\s]+)/g;
 
 /**
- * Construct an array of the all the CSS custom properties leveraged in packages
- * that ARE NOT the styles or theme packages.
- * @returns string[]
+ * Construct a Set of all the CSS custom properties referenced by the project,
+ * outside of the files that this script generates.
+ * @returns Set<string>
  */
 const findUsedVars = async () => {
     const usedVariables = new Set();
-    for (const cssPath of await fg(`./packages/*/src/*.css`)) {
-        if (
-            cssPath.includes('tools/styles') ||
-            cssPath.includes('tools/theme')
-        ) {
-            continue;
-        }
+    const sourcePaths = await fg(
+        `./{packages,tools,projects}/*/{src,stories}/**/*.{css,ts}`,
+        { ignore: ['**/node_modules/**', '**/*.d.ts'] }
+    );
+    for (const cssPath of [...sourcePaths, typographySource]) {
         const originCSS = fs.readFileSync(cssPath, 'utf8');
         const foundVars = originCSS.matchAll(varRegex);
         for (const variable of foundVars) {
@@ -84,12 +83,56 @@ const findUsedVars = async () => {
     return usedVariables;
 };
 
-const processCSSData = async (
-    data,
-    identifier,
-    from,
-    usedVariables = undefined
-) => {
+/**
+ * Map every CSS Custom Property declared in the provided Spectrum CSS files
+ * to the CSS Custom Properties its values reference, e.g. alias → global.
+ * @param string[] srcPaths
+ * @returns Map<string, Set<string>>
+ */
+const buildReferenceGraph = (srcPaths) => {
+    const graph = new Map();
+    srcPaths.forEach((srcPath) => {
+        postcss.parse(fs.readFileSync(srcPath, 'utf8')).walkDecls((decl) => {
+            if (!decl.variable) {
+                return;
+            }
+            if (!graph.has(decl.prop)) {
+                graph.set(decl.prop, new Set());
+            }
+            for (const [, reference] of decl.value.matchAll(
+                varReferenceRegex
+            )) {
+                graph.get(decl.prop).add(reference);
+            }
+        });
+    });
+    return graph;
+};
+
+/**
+ * Follow the reference graph from the CSS Custom Properties used in the project
+ * to every token they depend on.
+ * @param Set<string> usedVariables
+ * @param Map<string, Set<string>> graph
+ * @returns Set<string>
+ */
+const findReachableVars = (usedVariables, graph) => {
+    const reachable = new Set();
+    const queue = [...usedVariables];
+    while (queue.length) {
+        const variable = queue.pop();
+        if (reachable.has(variable)) {
+            continue;
+        }
+        reachable.add(variable);
+        (graph.get(variable) || []).forEach((reference) =>
+            queue.push(reference)
+        );
+    }
+    return reachable;
+};
+
+const processCSSData = async (data, identifier, from, filter = undefined) => {
     /* lit-html is a JS litteral, so `\` escapes by default.
      * for there to be unicode characters, the escape must
      * escape itself...
@@ -112,12 +155,8 @@ const processCSSData = async (
     );
 
     const plugins = postCSSPlugins();
-    if (usedVariables) {
-        plugins.push(
-            postcssFilterVariableDeclarations({
-                variables: usedVariables,
-            })
-        );
+    if (filter) {
+        plugins.push(postcssFilterVariableDeclarations(filter));
     }
     result = await postcss(plugins)
         .process(result, {
@@ -133,10 +172,10 @@ const processCSS = async (
     dstPath,
     identifier,
     from,
-    usedVariables = undefined
+    filter = undefined
 ) => {
     const data = fs.readFileSync(srcPath, 'utf8');
-    const result = await processCSSData(data, identifier, from, usedVariables);
+    const result = await processCSSData(data, identifier, from, filter);
     fs.writeFileSync(dstPath, result, 'utf8');
 };
 
@@ -170,8 +209,18 @@ const themes = ['lightest', 'light', 'dark', 'darkest'];
 const scales = ['medium', 'large'];
 const cores = ['global'];
 const processes = [];
+// token files to be filtered by the reference graph of the project
+const tokenFiles = [];
 
-const foundVars = await findUsedVars();
+const typographySource = path.join(
+    __dirname,
+    '..',
+    'node_modules',
+    '@spectrum-css',
+    'typography',
+    'dist',
+    'index-vars.css'
+);
 
 spectrumPaths.forEach((spectrumPath, i) => {
     const packageDir = ['styles'];
@@ -190,8 +239,7 @@ spectrumPaths.forEach((spectrumPath, i) => {
             )
         );
 
-        console.log(`processing theme ${srcPath}`);
-        processes.push(processCSS(srcPath, dstPath, theme));
+        tokenFiles.push({ srcPath, dstPath, identifier: theme });
     });
 
     scales.forEach((scale) => {
@@ -205,10 +253,7 @@ spectrumPaths.forEach((spectrumPath, i) => {
                 `spectrum-scale-${scale}.css`
             )
         );
-        console.log(`processing scale  ${srcPath}`);
-        processes.push(
-            processCSS(srcPath, dstPath, scale, undefined, foundVars)
-        );
+        tokenFiles.push({ srcPath, dstPath, identifier: scale });
     });
 
     cores.forEach((core) => {
@@ -222,35 +267,91 @@ spectrumPaths.forEach((spectrumPath, i) => {
                 `spectrum-core-${core}.css`
             )
         );
-        console.log(`processing core ${srcPath}`);
-        processes.push(processCSS(srcPath, dstPath, core));
+        tokenFiles.push({ srcPath, dstPath, identifier: core });
     });
 });
 
+const formatBytes = (bytes) => `${(bytes / 1024).toFixed(1)} kB`;
+
+/**
+ * Log the tokens kept and removed from each file, along with the bytes saved,
+ * and optionally write the full list of removed tokens to `--report`.
+ */
+const reportTokenFiles = (stats) => {
+    let removed = 0;
+    let bytesSaved = 0;
+    stats.forEach(({ dstPath, kept, bytesBefore, bytesAfter, ...file }) => {
+        const saved = bytesBefore - bytesAfter;
+        removed += file.removed.size;
+        bytesSaved += saved;
+        console.log(
+            `${path.relative(process.cwd(), dstPath)}: kept ${
+                kept.size
+            }, removed ${file.removed.size} tokens, saving ${formatBytes(
+                saved
+            )} of ${formatBytes(bytesBefore)}`
+        );
+    });
+    console.log(
+        `Spectrum Vars processed. ${removed} Custom Property declarations were removed as unused, saving ${formatBytes(
+            bytesSaved
+        )}.`
+    );
+    if (reportPath) {
+        fs.writeFileSync(
+            reportPath,
+            JSON.stringify(
+                stats.map(
+                    ({ dstPath, kept, removed, bytesBefore, bytesAfter }) => ({
+                        file: path.relative(process.cwd(), dstPath),
+                        kept: kept.size,
+                        removed: [...removed].sort(),
+                        bytesBefore,
+                        bytesAfter,
+                    })
+                ),
+                null,
+                4
+            )
+        );
+        console.log(`Token report written to ${reportPath}`);
+    }
+};
+
 async function processSpectrumVars() {
+    const usedVariables = await findUsedVars();
+    const variables = findReachableVars(
+        usedVariables,
+        buildReferenceGraph(tokenFiles.map(({ srcPath }) => srcPath))
+    );
+    const stats = tokenFiles.map(({ srcPath, dstPath, identifier }) => {
+        const fileStats = {
+            dstPath,
+            kept: new Set(),
+            removed: new Set(),
+            bytesBefore: 0,
+            bytesAfter: 0,
+        };
+        console.log(`processing ${identifier} ${srcPath}`);
+        processes.push(
+            processCSS(srcPath, dstPath, identifier, undefined, {
+                variables,
+                stats: fileStats,
+            })
+        );
+        return fileStats;
+    });
+
     {
         // Typography
-        const typographyPath = path.join(
-            __dirname,
-            '..',
-            'node_modules',
-            '@spectrum-css',
-            'typography',
-            'dist'
-        );
-        const srcPath = path.join(typographyPath, 'index-vars.css');
         const dstPath = path.resolve(
             path.join(__dirname, '..', 'tools', 'styles', 'typography.css')
         );
         console.log(`processing typography`);
-        processes.push(processCSS(srcPath, dstPath, 'typography'));
+        processes.push(processCSS(typographySource, dstPath, 'typography'));
     }
 
-    await Promise.all(processes).then(() => {
-        console.log(
-            `Spectrum Vars processed. ${removedVariableDeclarations} Custom Property declarations were removed as unused.`
-        );
-    });
+    await Promise.all(processes).then(() => reportTokenFiles(stats));
 }
 
 processSpectrumVars();
@@ -0,0 +1,80 @@
+/*
+Copyright 2023 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import assert from 'assert/strict';
+import { describe, it } from 'node:test';
+import { genReactComponentSourceCode } from '../cem-plugin-react-wrapper.js';
+
+const elementModule = (name, tagName, props) => ({
+    kind: 'javascript-module',
+    path: `src/${name}.js`,
+    declarations: [
+        {
+            kind: 'class',
+            name,
+            tagName,
+            customElement: true,
+            members: props.map((prop) => ({
+                kind: 'field',
+                name: prop,
+                type: { text: 'string' },
+            })),
+            events: [{ name: 'change', type: { text: 'Event' } }],
+        },
+    ],
+    exports: [{ kind: 'js', name, declaration: { name } }],
+});
+
+describe('React wrappers', () => {
+    it('controls the value of form controls', async () => {
+        const source = await genReactComponentSourceCode(
+            [elementModule('Checkbox', 'sp-checkbox', ['checked', 'readonly'])],
+            [],
+            '@spectrum-web-components/checkbox'
+        );
+        assert.match(source, /function useControlled/);
+        assert.match(
+            source,
+            /useControlled\(ref, 'checked', checked, defaultChecked, \['change'\]\)/
+        );
+        assert.match(source, /export const Checkbox = React\.forwardRef/);
+    });
+    it('does not control the value of other elements', async () => {
+        const source = await genReactComponentSourceCode(
+            [elementModule('Tabs', 'sp-tabs', ['selected', 'disabled'])],
+            [],
+            '@spectrum-web-components/tabs'
+        );
+        assert.doesNotMatch(source, /useControlled/);
+        assert.doesNotMatch(source, /defaultSelected/);
+        assert.match(source, /export const Tabs = createComponent\(/);
+    });
+    it('lets the value of an element be controlled or not', async () => {
+        const controlled = await genReactComponentSourceCode(
+            [elementModule('Tabs', 'sp-tabs', ['selected'])],
+            [],
+            '@spectrum-web-components/tabs',
+            { controlled: ['Tabs'] }
+        );
+        assert.match(
+            controlled,
+            /useControlled\(ref, 'selected', selected, defaultSelected, \['change'\]\)/
+        );
+        const uncontrolled = await genReactComponentSourceCode(
+            [elementModule('Checkbox', 'sp-checkbox', ['checked', 'readonly'])],
+            [],
+            '@spectrum-web-components/checkbox',
+            { uncontrolled: ['Checkbox'] }
+        );
+        assert.doesNotMatch(uncontrolled, /useControlled/);
+    });
+});
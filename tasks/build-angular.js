@@ -0,0 +1,34 @@
+/*
+Copyright 2023 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import fg from 'fast-glob';
+import { ngPackagr } from 'ng-packagr';
+import path from 'path';
+
+/**
+ * Build each `@swc-angular/*` package in the Angular Package Format with
+ * ng-packagr, which publishes it from `angular/<package>/dist`.
+ */
+const buildAngularWrapper = async () => {
+    const projects = await fg(['./angular/*/ng-package.json']);
+    for (const project of projects.sort()) {
+        await ngPackagr()
+            .forProject(project)
+            .withTsConfig(path.join(path.dirname(project), 'tsconfig.json'))
+            .build();
+    }
+};
+
+buildAngularWrapper().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
@@ -12,38 +12,97 @@ OF ANY KIND, either express or implied. See the License for the specific languag
 governing permissions and limitations under the License.
 */
 
-import fetch from 'node-fetch';
 import fg from 'fast-glob';
 import path from 'path';
 import { fileURLToPath, pathToFileURL } from 'url';
 import fs from 'fs';
 import tar from 'tar-stream';
 import gunzip from 'gunzip-maybe';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const NPMSpectrumURI =
     'https://registry.npmjs.org/@adobe/spectrum-tokens/latest';
+const NPMRegistryURI = 'https://registry.npmjs.org';
 const CSSBaseURI = 'https://opensource.adobe.com/spectrum-css';
+const RootPath = path.resolve(__dirname, '..');
 const ConfigPath = path.resolve(
     __dirname,
     '../packages/*/src/spectrum-config.js'
 );
 const OutPath = path.resolve(__dirname, '../INVENTORY.md');
+const DataPath = path.resolve(__dirname, 'component-inventory.json');
+
+// `@spectrum-css/*` packages that deliver shared styles rather than a component
+const CSSSupportPackages = [
+    'commons',
+    'component-builder',
+    'component-builder-simple',
+    'expressvars',
+    'icon',
+    'tokens',
+    'vars',
+];
+
+/**
+ * The inventory is built from the `@spectrum-css/*` packages installed locally
+ * and the design data committed in `tasks/component-inventory.json`. Pass
+ * `--refresh` to update that data from npm and the Spectrum CSS site first, e.g.
+ *
+ * node ./tasks/build-component-inventory.js --refresh
+ */
+const { refresh } = yargs(hideBin(process.argv)).argv;
 
 build();
 
 async function build() {
-    const [design, css, web] = await Promise.all([
-        getDesignComponents(),
-        getCSSComponents(),
+    if (refresh) {
+        await refreshData();
+    }
+    if (!fs.existsSync(DataPath)) {
+        console.error(
+            `No design data at ${path.relative(
+                RootPath,
+                DataPath
+            )}, run with --refresh to fetch it.`
+        );
+        process.exit(1);
+    }
+    const data = readJSON(DataPath);
+    const [css, web] = await Promise.all([
+        getCSSComponents(data),
         getWebComponents(),
     ]);
-    const components = merged(design, css, web);
+    const design = new Set(data.design);
+    const components = merged(design, css, web, data.latest);
     const md = inventory(components, design.size, css.size, web.size);
     await fs.promises.writeFile(OutPath, md);
 }
 
-async function getDesignComponents() {
+async function refreshData() {
+    // only needed with network access, so that offline builds do not load it
+    const { default: fetch } = await import('node-fetch');
+    const [design, css] = await Promise.all([
+        fetchDesignComponents(fetch),
+        fetchCSSComponents(fetch),
+    ]);
+    const latest = await fetchLatestCSSVersions(fetch, [...css.keys()]);
+    await fs.promises.writeFile(
+        DataPath,
+        `${JSON.stringify(
+            {
+                design: [...design],
+                css: Object.fromEntries(css),
+                latest,
+            },
+            null,
+            4
+        )}\n`
+    );
+}
+
+async function fetchDesignComponents(fetch) {
     const res = await fetch(NPMSpectrumURI);
     const metadata = await res.json();
     const tarballURI = metadata.dist.tarball;
@@ -75,7 +134,7 @@ async function getDesignComponents() {
     return new Set(Object.keys(json.dna.components.light.medium));
 }
 
-async function getCSSComponents() {
+async function fetchCSSComponents(fetch) {
     const res = await fetch(`${CSSBaseURI}/store.json`);
     const store = await res.json();
     return new Map(
@@ -86,8 +145,57 @@ async function getCSSComponents() {
     );
 }
 
+async function fetchLatestCSSVersions(fetch, names) {
+    const versions = await Promise.all(
+        names.map(async (name) => {
+            const res = await fetch(
+                `${NPMRegistryURI}/@spectrum-css/${name}/latest`
+            );
+            if (!res.ok) {
+                return [name, undefined];
+            }
+            const { version } = await res.json();
+            return [name, version];
+        })
+    );
+    return Object.fromEntries(versions.filter(([, version]) => version));
+}
+
+async function getCSSComponents(data) {
+    const css = new Map(Object.entries(data.css));
+    const paths = await fg('node_modules/@spectrum-css/*/package.json', {
+        cwd: RootPath,
+        absolute: true,
+    });
+    paths.forEach((packagePath) => {
+        const name = path.basename(path.dirname(packagePath));
+        if (CSSSupportPackages.includes(name) || css.has(name)) {
+            return;
+        }
+        css.set(name, `${CSSBaseURI}/${name}.html`);
+    });
+    return css;
+}
+
+/**
+ * The packages that `yarn gen-react-wrapper` does not generate a wrapper for.
+ */
+function getPackagesWithoutReactWrappers() {
+    const { scripts } = readJSON(path.join(RootPath, 'package.json'));
+    const [, ignored = ''] =
+        scripts['gen-react-wrapper'].match(
+            /@spectrum-web-components\/\{([^}]+)\}/
+        ) || [];
+    return new Set(
+        ignored
+            .split(',')
+            .map((name) => `@spectrum-web-components/${name.trim()}`)
+    );
+}
+
 async function getWebComponents() {
     const directoryRE = /(?:\/)([^\/]+)(?=\/src)\//;
+    const withoutReactWrappers = getPackagesWithoutReactWrappers();
     const paths = fg.sync(ConfigPath);
     const configs = await Promise.all(
         paths.map(async (path) => {
@@ -97,19 +205,53 @@ async function getWebComponents() {
             };
         })
     );
-    const components = configs.flatMap(({ directory, contents }) => {
-        const configs = [contents.default].flat();
-        return configs.map((config) => {
-            return [
-                config.spectrum,
-                `https://opensource.adobe.com/spectrum-web-components/components/${directory}`,
-            ];
+    const components = new Map();
+    configs.forEach(({ directory, contents }) => {
+        const packageDir = path.join(RootPath, 'packages', directory);
+        const packageJSON = readJSON(path.join(packageDir, 'package.json'));
+        const dependencies = {
+            ...packageJSON.dependencies,
+            ...packageJSON.devDependencies,
+        };
+        const conversions = [contents.default]
+            .flat()
+            .flatMap((config) => config.conversions || []);
+        const names = new Set(
+            conversions.map(({ inPackage }) =>
+                inPackage.replace('@spectrum-css/', '')
+            )
+        );
+        names.forEach((name) => {
+            const web = components.get(name) || [];
+            web.push({
+                directory,
+                href: `https://opensource.adobe.com/spectrum-web-components/components/${directory}`,
+                version: packageJSON.version,
+                cssVersion: dependencies[`@spectrum-css/${name}`],
+                react: !withoutReactWrappers.has(packageJSON.name),
+                vrt:
+                    fg.sync('stories/*.stories.ts', { cwd: packageDir })
+                        .length > 0,
+                benchmarks:
+                    fg.sync('test/benchmark/*.ts', { cwd: packageDir }).length >
+                    0,
+            });
+            components.set(name, web);
         });
     });
-    return new Map(components);
+    return components;
 }
 
-function merged(design, css, web) {
+function readJSON(jsonPath) {
+    return JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+}
+
+function majorOf(version) {
+    const [major] = `${version}`.match(/\d+/) || [];
+    return major;
+}
+
+function merged(design, css, web, latest) {
     const all = new Set([...design, ...css.keys(), ...web.keys()]);
     const sorted = Array.from(all).sort();
     return sorted.map((name) => {
@@ -118,6 +260,7 @@ function merged(design, css, web) {
             design: design.has(name),
             css: css.get(name),
             web: web.get(name),
+            latestCSSMajor: majorOf(latest[name] ?? ''),
         };
     });
 }
@@ -135,12 +278,32 @@ ${tableOf(components, nDesign, nCSS, nWeb)}
 
 function tableOf(components, nDesign, nCSS, nWeb) {
     const rows = components
-        .map(({ name, design, css, web }) => {
+        .map(({ name, design, css, web, latestCSSMajor }) => {
             const designMD = design ? '✅' : '';
             const cssMD = css ? `[📄](${css})` : '';
-            const webMD = web ? `[📄](${web})` : css ? '❌' : '';
-            return `| ${name} | ${designMD} | ${cssMD} | ${webMD} |`;
+            const webMD = web
+                ? web.map(({ href }) => `[📄](${href})`).join(' ')
+                : css
+                ? '❌'
+                : '';
+            const each = (format) => (web ? web.map(format).join(' ') : '');
+            const versionMD = each(({ version }) => version);
+            const reactMD = each(({ react }) => (react ? '✅' : '❌'));
+            const vrtMD = each(({ vrt }) => (vrt ? '✅' : '❌'));
+            const benchmarksMD = each(({ benchmarks }) =>
+                benchmarks ? '✅' : '❌'
+            );
+            const latestMD = each(({ cssVersion }) => {
+                const major = majorOf(cssVersion);
+                if (!major || !latestCSSMajor) {
+                    return '';
+                }
+                return major === latestCSSMajor
+                    ? '✅'
+                    : `❌ (${major}, latest ${latestCSSMajor})`;
+            });
+            return `| ${name} | ${designMD} | ${cssMD} | ${webMD} | ${versionMD} | ${reactMD} | ${vrtMD} | ${benchmarksMD} | ${latestMD} |`;
         })
         .join('\n');
-    return `| Component | Design tokens (${nDesign}) | CSS (${nCSS}) | Web Components (${nWeb}) |\n|-|-|-|-|\n${rows}`;
+    return `| Component | Design tokens (${nDesign}) | CSS (${nCSS}) | Web Components (${nWeb}) | Version | React wrapper | VRT | Benchmarks | Latest CSS major |\n|-|-|-|-|-|-|-|-|-|\n${rows}`;
 }
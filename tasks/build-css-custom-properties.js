@@ -0,0 +1,313 @@
+#!/usr/bin/env node
+// @ts-check
+/*
+Copyright 2023 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import chalk from 'chalk';
+import fg from 'fast-glob';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import { readBaselineCEM } from './cem-baseline.js';
+import {
+    defaultContext,
+    describeCustomProperties,
+    extractCustomProperties,
+    loadThemeContexts,
+    resolveImport,
+} from './css-custom-properties.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const root = path.resolve(__dirname, '../');
+
+/**
+ * The CSS Custom Properties documented in the `custom-elements.json` of the
+ * previous successful build, kept as `custom-elements.previous.json`, must
+ * still be read by each element. `--baseline` compares with a previous build
+ * of this repository or a directory of tarballs from `npm pack` instead, as
+ * `tasks/diff-cem.js` does, e.g.
+ *
+ * node ./tasks/build-css-custom-properties.js --baseline ../previous-release
+ *
+ * `--allow-removed` accepts that documented Custom Properties are no longer
+ * read, or that there is nothing to compare with.
+ */
+const { allowRemoved, baseline } = yargs(hideBin(process.argv)).argv;
+
+const previousManifestFileName = 'custom-elements.previous.json';
+
+const manifestFileName = 'custom-properties.json';
+
+const cssImportRegExp = /import\s+\w+\s+from\s+'([^']+)\.css\.js';/g;
+
+/**
+ * Index every class declaration in the repo's custom elements manifests so
+ * that superclasses can be followed across packages.
+ *
+ * @param {string[]} cemPaths
+ */
+const indexDeclarations = (cemPaths) => {
+    const cems = new Map();
+    const declarations = new Map();
+    cemPaths.forEach((cemPath) => {
+        const packageDir = path.dirname(cemPath);
+        const cem = JSON.parse(fs.readFileSync(cemPath, 'utf-8'));
+        cems.set(cemPath, cem);
+        cem.modules.forEach((jsModule) => {
+            jsModule.declarations?.forEach((declaration) => {
+                if (declaration.kind !== 'class') {
+                    return;
+                }
+                declarations.set(`${packageDir}:${declaration.name}`, {
+                    packageDir,
+                    modulePath: jsModule.path.replace(/^\//, ''),
+                    declaration,
+                });
+            });
+        });
+    });
+    return { cems, declarations };
+};
+
+/**
+ * @param {string} packageDir
+ * @param {{ name: string, module?: string, package?: string }} superclass
+ * @returns {string | undefined}
+ */
+const superclassPackageDir = (packageDir, superclass) => {
+    if (!superclass.package) {
+        return packageDir;
+    }
+    if (!superclass.package.startsWith('@spectrum-web-components/')) {
+        return;
+    }
+    const [, name] = superclass.package.split('/');
+    return ['packages', 'tools']
+        .map((dir) => path.join(root, dir, name))
+        .find((candidate) => fs.existsSync(candidate));
+};
+
+/**
+ * List the CSS applied to an element: the `*.css.js` imports of its source
+ * and, when its `styles` extend `super.styles`, those of its superclasses.
+ *
+ * @param {ReturnType<typeof indexDeclarations>['declarations']} declarations
+ * @param {{ packageDir: string, modulePath: string, declaration: any }} entry
+ * @returns {string[]}
+ */
+const stylesFor = (declarations, { packageDir, modulePath, declaration }) => {
+    const sourcePath = path.join(
+        packageDir,
+        modulePath.replace(/\.js$/, '.ts')
+    );
+    if (!fs.existsSync(sourcePath)) {
+        return [];
+    }
+    const source = fs.readFileSync(sourcePath, 'utf-8');
+    const ownStyles = [...source.matchAll(cssImportRegExp)]
+        .map(([, specifier]) =>
+            resolveImport(root, `${specifier}.css`, sourcePath)
+        )
+        .filter((cssPath) => cssPath && fs.existsSync(cssPath));
+    const inherits =
+        !/get styles\(\)/.test(source) || source.includes('super.styles');
+    const { superclass } = declaration;
+    if (!inherits || !superclass) {
+        return /** @type {string[]} */ (ownStyles);
+    }
+    const superclassDir = superclassPackageDir(packageDir, superclass);
+    const parent = declarations.get(`${superclassDir}:${superclass.name}`);
+    return /** @type {string[]} */ ([
+        ...(parent && parent.declaration !== declaration
+            ? stylesFor(declarations, parent)
+            : []),
+        ...ownStyles,
+    ]);
+};
+
+/**
+ * The CSS Custom Properties documented for each element in the baseline
+ * `custom-elements.json` of a package.
+ *
+ * @param {string} packageDir
+ * @returns {Promise<Record<string, { name: string }[]> | undefined>}
+ */
+const readPreviousProperties = async (packageDir) => {
+    const previousPath = path.join(packageDir, previousManifestFileName);
+    const cem = baseline
+        ? await readBaselineCEM(root, baseline, packageDir)
+        : fs.existsSync(previousPath)
+        ? JSON.parse(fs.readFileSync(previousPath, 'utf-8'))
+        : undefined;
+    if (!cem) {
+        return;
+    }
+    /** @type {Record<string, { name: string }[]>} */
+    const elements = {};
+    cem.modules.forEach((jsModule) => {
+        jsModule.declarations?.forEach((declaration) => {
+            if (declaration.tagName && declaration.cssProperties) {
+                elements[declaration.tagName] = declaration.cssProperties;
+            }
+        });
+    });
+    return elements;
+};
+
+async function buildCustomProperties() {
+    const contexts = loadThemeContexts(root);
+    const cemPaths = await fg(
+        `${root}/{packages,tools}/*/custom-elements.json`
+    );
+    if (!cemPaths.length) {
+        console.error(
+            chalk.red(
+                'No custom-elements.json files found, run `yarn custom-element-json` first.'
+            )
+        );
+        return 1;
+    }
+    const { cems, declarations } = indexDeclarations(cemPaths);
+    const baselines = await Promise.all(
+        cemPaths.map((cemPath) => readPreviousProperties(path.dirname(cemPath)))
+    );
+    const withoutBaseline = [];
+    const builds = [];
+    const removed = [];
+    cemPaths.forEach((cemPath, index) => {
+        const packageDir = path.dirname(cemPath);
+        const manifestPath = path.join(packageDir, manifestFileName);
+        const previous = baselines[index];
+        if (!previous) {
+            withoutBaseline.push(path.relative(root, packageDir));
+        }
+        const elements = {};
+        declarations.forEach((entry) => {
+            const { declaration } = entry;
+            if (entry.packageDir !== packageDir || !declaration.tagName) {
+                return;
+            }
+            elements[declaration.tagName] = describeCustomProperties(
+                extractCustomProperties(root, stylesFor(declarations, entry)),
+                contexts
+            );
+        });
+        Object.entries(previous || {}).forEach(([tagName, properties]) => {
+            const current = new Set(
+                (elements[tagName] || []).map(({ name }) => name)
+            );
+            // properties documented with `@cssprop` are kept even when unread
+            declarations.forEach(({ packageDir: dir, declaration }) => {
+                if (dir === packageDir && declaration.tagName === tagName) {
+                    declaration.cssProperties?.forEach(({ name }) =>
+                        current.add(name)
+                    );
+                }
+            });
+            properties.forEach(({ name }) => {
+                if (!current.has(name)) {
+                    removed.push(`${tagName} ${name}`);
+                }
+            });
+        });
+        builds.push({ cemPath, manifestPath, elements });
+    });
+    if (withoutBaseline.length && !allowRemoved) {
+        console.error(
+            chalk.red.bold(
+                `No custom-elements.json to check for removed CSS Custom Properties in: ${withoutBaseline.join(
+                    ', '
+                )}`
+            )
+        );
+        console.error(
+            'Pass `--baseline`, a previous build or a directory of package tarballs, or `--allow-removed` to skip the check.'
+        );
+        return 1;
+    }
+    if (removed.length && !allowRemoved) {
+        console.error(
+            chalk.red.bold(
+                `${removed.length} previously documented CSS Custom Properties are no longer read:`
+            )
+        );
+        removed.forEach((property) => console.error(`  ${property}`));
+        console.error(
+            'Pass `--allow-removed` if these removals are intentional.'
+        );
+        return 1;
+    }
+    builds.forEach(({ cemPath, manifestPath, elements }) => {
+        fs.writeFileSync(
+            manifestPath,
+            JSON.stringify(
+                {
+                    contexts: contexts.map(({ name }) => name),
+                    defaultContext,
+                    elements,
+                },
+                null,
+                4
+            )
+        );
+        const cem = cems.get(cemPath);
+        cem.modules.forEach((jsModule) => {
+            jsModule.declarations?.forEach((declaration) => {
+                const properties = elements[declaration.tagName];
+                if (!properties) {
+                    return;
+                }
+                const documented = new Map(
+                    (declaration.cssProperties || []).map((property) => [
+                        property.name,
+                        property,
+                    ])
+                );
+                declaration.cssProperties = properties.map(
+                    ({ name, default: defaultValue }) => ({
+                        ...(typeof defaultValue !== 'undefined'
+                            ? { default: defaultValue }
+                            : {}),
+                        ...documented.get(name),
+                        name,
+                    })
+                );
+                documented.forEach((property, name) => {
+                    if (!properties.some((read) => read.name === name)) {
+                        declaration.cssProperties.push(property);
+                    }
+                });
+            });
+        });
+        fs.writeFileSync(cemPath, JSON.stringify(cem, null, 2));
+        // the baseline of the next build, which `yarn custom-element-json` does not remove
+        fs.writeFileSync(
+            path.join(path.dirname(cemPath), previousManifestFileName),
+            JSON.stringify(cem, null, 2)
+        );
+    });
+    console.log(
+        chalk.green(
+            `Documented CSS Custom Properties for ${builds.length} packages.`
+        )
+    );
+    return 0;
+}
+
+async function main() {
+    process.exit(await buildCustomProperties());
+}
+
+main();
@@ -0,0 +1,68 @@
+/*
+Copyright 2023 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import fg from 'fast-glob';
+import fs from 'fs';
+import gunzip from 'gunzip-maybe';
+import path from 'path';
+import tar from 'tar-stream';
+
+const readTarballCEM = (tarballPath) => {
+    const extract = tar.extract();
+    return new Promise((resolve, reject) => {
+        let contents = '';
+        extract
+            .on('entry', async (header, stream, next) => {
+                stream.on('end', () => next());
+                if (header.name !== 'package/custom-elements.json') {
+                    stream.resume();
+                    return;
+                }
+                for await (const chunk of stream) {
+                    contents += chunk;
+                }
+                extract.destroy();
+            })
+            .on('close', () => {
+                resolve(contents);
+            })
+            .on('error', reject);
+
+        fs.createReadStream(tarballPath).pipe(gunzip()).pipe(extract);
+    });
+};
+
+/**
+ * Find the `custom-elements.json` of the previous release of a package, in
+ * either a previous build of the repository or an `npm pack` tarball.
+ *
+ * @param {string} root the root of the repository
+ * @param {string} baseline a previous build or a directory of tarballs
+ * @param {string} packageDir
+ * @returns {Promise<any | undefined>}
+ */
+export const readBaselineCEM = async (root, baseline, packageDir) => {
+    const relativeDir = path.relative(root, packageDir);
+    const builtPath = path.join(baseline, relativeDir, 'custom-elements.json');
+    if (fs.existsSync(builtPath)) {
+        return JSON.parse(fs.readFileSync(builtPath, 'utf8'));
+    }
+    const [tarballPath] = await fg(
+        `spectrum-web-components-${path.basename(packageDir)}-[0-9]*.tgz`,
+        { cwd: baseline, absolute: true }
+    );
+    if (!tarballPath) {
+        return;
+    }
+    const contents = await readTarballCEM(tarballPath);
+    return contents ? JSON.parse(contents) : undefined;
+};
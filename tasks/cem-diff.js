@@ -0,0 +1,125 @@
+/*
+Copyright 2023 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+// the parts of the API of an element, as listed in `custom-elements.json`
+const apiKinds = [
+    ['attributes', 'attribute'],
+    ['properties', 'property'],
+    ['events', 'event'],
+    ['slots', 'slot'],
+    ['cssParts', 'CSS part'],
+    ['cssProperties', 'CSS custom property'],
+];
+
+const normalizeType = (type) => type?.text?.replace(/\s+/g, ' ').trim();
+
+/**
+ * Collect the public API of each custom element in a manifest by its tag name.
+ */
+const getElements = (manifest) => {
+    const elements = new Map();
+    manifest.modules?.forEach((module) =>
+        module.declarations?.forEach((declaration) => {
+            if (!declaration.tagName) {
+                return;
+            }
+            const byName = (items = []) =>
+                new Map(items.map((item) => [item.name, item]));
+            elements.set(declaration.tagName, {
+                attributes: byName(declaration.attributes),
+                properties: byName(
+                    declaration.members?.filter(
+                        (member) =>
+                            member.kind === 'field' &&
+                            !member.static &&
+                            (member.privacy || 'public') === 'public' &&
+                            !/^[_#]/.test(member.name)
+                    )
+                ),
+                events: byName(
+                    declaration.events?.filter((event) => event.name)
+                ),
+                slots: byName(declaration.slots),
+                cssParts: byName(declaration.cssParts),
+                cssProperties: byName(declaration.cssProperties),
+            });
+        })
+    );
+    return elements;
+};
+
+/**
+ * Classify the differences between two manifests of a package as breaking
+ * changes, i.e. removals and changed types, or additions.
+ */
+export const diffManifests = (previousManifest, manifest) => {
+    const previous = getElements(previousManifest);
+    const current = getElements(manifest);
+    const breaking = [];
+    const additions = [];
+    previous.forEach((_api, tagName) => {
+        if (!current.has(tagName)) {
+            breaking.push(`\`<${tagName}>\` was removed`);
+        }
+    });
+    current.forEach((api, tagName) => {
+        const previousApi = previous.get(tagName);
+        if (!previousApi) {
+            additions.push(`\`<${tagName}>\` was added`);
+            return;
+        }
+        apiKinds.forEach(([key, label]) => {
+            const describe = (name) =>
+                key === 'slots' && !name
+                    ? `the default ${label}`
+                    : `the \`${name}\` ${label}`;
+            previousApi[key].forEach((item, name) => {
+                const currentItem = api[key].get(name);
+                if (!currentItem) {
+                    breaking.push(`\`<${tagName}>\` removed ${describe(name)}`);
+                    return;
+                }
+                const previousType = normalizeType(item.type);
+                const currentType = normalizeType(currentItem.type);
+                if (
+                    previousType &&
+                    currentType &&
+                    previousType !== currentType
+                ) {
+                    breaking.push(
+                        `\`<${tagName}>\` changed the type of ${describe(
+                            name
+                        )} from \`${previousType}\` to \`${currentType}\``
+                    );
+                }
+            });
+            api[key].forEach((_item, name) => {
+                if (!previousApi[key].has(name)) {
+                    additions.push(`\`<${tagName}>\` added ${describe(name)}`);
+                }
+            });
+        });
+    });
+    return { breaking, additions };
+};
+
+export const formatReport = (packageName, { breaking, additions }) => {
+    const list = (items) => items.map((item) => `-   ${item}`).join('\n');
+    let report = `## ${packageName}\n`;
+    if (breaking.length) {
+        report += `\n### Breaking changes\n\n${list(breaking)}\n`;
+    }
+    if (additions.length) {
+        report += `\n### Additions\n\n${list(additions)}\n`;
+    }
+    return report;
+};
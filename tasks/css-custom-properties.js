@@ -0,0 +1,342 @@
+// @ts-check
+/*
+Copyright 2023 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import fs from 'fs';
+import path from 'path';
+import postcss from 'postcss';
+
+/**
+ * @typedef {{
+ *     name: string,
+ *     system: 'spectrum' | 'express',
+ *     color: string,
+ *     scale: string,
+ *     properties: Map<string, string>,
+ * }} ThemeContext
+ *
+ * @typedef {{
+ *     name: string,
+ *     fallbacks: string[],
+ * }} CustomPropertyRead
+ */
+
+export const systems = ['spectrum', 'express'];
+export const colors = ['lightest', 'light', 'dark', 'darkest'];
+export const scales = ['medium', 'large'];
+
+/**
+ * The context used for `default` values, matching the defaults of `<sp-theme>`.
+ */
+export const defaultContext = 'spectrum-light-medium';
+
+/**
+ * Resolve an `@import` specifier, including the `@spectrum-web-components/*`
+ * specifiers used by tools/theme, to a file in the repo.
+ *
+ * @param {string} root
+ * @param {string} specifier
+ * @param {string} from
+ * @returns {string | undefined}
+ */
+export const resolveImport = (root, specifier, from) => {
+    if (specifier.startsWith('.')) {
+        return path.resolve(path.dirname(from), specifier);
+    }
+    const [scope, name, ...rest] = specifier.split('/');
+    if (scope !== '@spectrum-web-components') {
+        return;
+    }
+    return ['packages', 'tools']
+        .map((dir) => path.join(root, dir, name, ...rest))
+        .find((candidate) => fs.existsSync(candidate));
+};
+
+const importSpecifier = (params) => params.replace(/^url\(|\)$|['"]/g, '');
+
+/**
+ * Parse a CSS file and every file it `@import`s, visiting the nodes of each
+ * in cascade order.
+ *
+ * @param {string} root
+ * @param {string} filePath
+ * @param {(node: import('postcss').ChildNode, filePath: string) => void} visit
+ * @param {Set<string>} [visited]
+ */
+export const walkCSS = (root, filePath, visit, visited = new Set()) => {
+    if (visited.has(filePath) || !fs.existsSync(filePath)) {
+        return;
+    }
+    visited.add(filePath);
+    const css = postcss.parse(fs.readFileSync(filePath, 'utf-8'), {
+        from: filePath,
+    });
+    css.each((node) => {
+        if (node.type === 'atrule' && node.name === 'import') {
+            const importPath = resolveImport(
+                root,
+                importSpecifier(node.params),
+                filePath
+            );
+            if (importPath) {
+                walkCSS(root, importPath, visit, visited);
+            }
+            return;
+        }
+        visit(node, filePath);
+    });
+};
+
+const isRootRule = (rule) =>
+    rule.selectors.some((selector) => [':root', ':host'].includes(selector));
+
+/**
+ * Collect the Custom Properties that `<sp-theme>` defines for every
+ * system/color/scale combination by following the `@import`s of the CSS
+ * that tools/theme delivers for each.
+ *
+ * @param {string} root
+ * @returns {ThemeContext[]}
+ */
+export const loadThemeContexts = (root) => {
+    const themeSource = path.join(root, 'tools', 'theme', 'src');
+    /** @type {ThemeContext[]} */
+    const contexts = [];
+    systems.forEach((system) => {
+        const systemSource =
+            system === 'express'
+                ? path.join(themeSource, 'express')
+                : themeSource;
+        colors.forEach((color) => {
+            const colorPath = path.join(systemSource, `theme-${color}.css`);
+            if (!fs.existsSync(colorPath)) {
+                return;
+            }
+            scales.forEach((scale) => {
+                const properties = new Map();
+                const visit = (node) => {
+                    if (node.type !== 'rule' || !isRootRule(node)) {
+                        return;
+                    }
+                    node.each((declaration) => {
+                        if (
+                            declaration.type === 'decl' &&
+                            declaration.prop.startsWith('--')
+                        ) {
+                            properties.set(declaration.prop, declaration.value);
+                        }
+                    });
+                };
+                [
+                    path.join(systemSource, 'theme.css'),
+                    colorPath,
+                    path.join(systemSource, `scale-${scale}.css`),
+                ].forEach((entry) => walkCSS(root, entry, visit));
+                contexts.push({
+                    name: `${system}-${color}-${scale}`,
+                    system: /** @type {ThemeContext['system']} */ (system),
+                    color,
+                    scale,
+                    properties,
+                });
+            });
+        });
+    });
+    return contexts;
+};
+
+/**
+ * Find the `var()` functions in a CSS value.
+ *
+ * @param {string} value
+ * @returns {{ name: string, fallback?: string, start: number, end: number }[]}
+ */
+export const parseVars = (value) => {
+    const found = [];
+    let index = value.indexOf('var(');
+    while (index > -1) {
+        let depth = 0;
+        let end = index + 3;
+        let comma = -1;
+        for (; end < value.length; end += 1) {
+            const character = value[end];
+            if (character === '(') {
+                depth += 1;
+            } else if (character === ')') {
+                depth -= 1;
+                if (!depth) {
+                    break;
+                }
+            } else if (character === ',' && depth === 1 && comma < 0) {
+                comma = end;
+            }
+        }
+        const args = value.slice(index + 4, end);
+        const name = (comma > -1 ? value.slice(index + 4, comma) : args).trim();
+        const fallback =
+            comma > -1 ? value.slice(comma + 1, end).trim() : undefined;
+        found.push({ name, fallback, start: index, end: end + 1 });
+        index = value.indexOf('var(', end);
+    }
+    return found;
+};
+
+/**
+ * Describe the chain of fallbacks for a `var()`, e.g.
+ * `var(--a, var(--b, 4px))` has the fallbacks `['--b', '4px']`.
+ *
+ * @param {string | undefined} fallback
+ * @returns {string[]}
+ */
+const fallbackChain = (fallback) => {
+    if (typeof fallback === 'undefined') {
+        return [];
+    }
+    const [first] = parseVars(fallback);
+    if (first && first.start === 0 && first.end === fallback.length) {
+        return [first.name, ...fallbackChain(first.fallback)];
+    }
+    return [fallback];
+};
+
+/**
+ * Substitute every `var()` in a value with its value in the provided
+ * definitions, or its fallback, leaving it in place when neither resolves.
+ *
+ * @param {string} value
+ * @param {Map<string, string>} definitions
+ * @param {string[]} [resolving] guards against cyclical definitions
+ * @returns {string}
+ */
+export const resolveValue = (value, definitions, resolving = []) => {
+    const vars = parseVars(value);
+    if (!vars.length) {
+        return value;
+    }
+    let resolved = '';
+    let last = 0;
+    vars.forEach(({ name, fallback, start, end }) => {
+        resolved += value.slice(last, start);
+        last = end;
+        if (definitions.has(name) && !resolving.includes(name)) {
+            resolved += resolveValue(
+                /** @type {string} */ (definitions.get(name)),
+                definitions,
+                [...resolving, name]
+            );
+        } else if (typeof fallback !== 'undefined') {
+            resolved += resolveValue(fallback, definitions, resolving);
+        } else {
+            resolved += value.slice(start, end);
+        }
+    });
+    return resolved + value.slice(last);
+};
+
+/**
+ * Collect the Custom Properties read by a stylesheet, along with the
+ * Custom Properties it defines on `:host` for use as local defaults.
+ *
+ * @param {string} root
+ * @param {string[]} cssPaths
+ * @returns {{ reads: Map<string, CustomPropertyRead>, definitions: Map<string, string> }}
+ */
+export const extractCustomProperties = (root, cssPaths) => {
+    /** @type {Map<string, CustomPropertyRead>} */
+    const reads = new Map();
+    const definitions = new Map();
+    const visited = new Set();
+    const recordReads = (value) => {
+        parseVars(value).forEach(({ name, fallback }) => {
+            if (!reads.has(name)) {
+                reads.set(name, { name, fallbacks: fallbackChain(fallback) });
+            }
+            if (fallback) {
+                recordReads(fallback);
+            }
+        });
+    };
+    const visit = (node) => {
+        if (
+            node.type === 'rule' &&
+            node.selectors.length === 1 &&
+            node.selector === ':host'
+        ) {
+            node.each((declaration) => {
+                if (
+                    declaration.type === 'decl' &&
+                    declaration.prop.startsWith('--')
+                ) {
+                    definitions.set(declaration.prop, declaration.value);
+                }
+            });
+        }
+        if (node.type === 'rule' || node.type === 'atrule') {
+            node.walkDecls((declaration) => recordReads(declaration.value));
+        }
+    };
+    cssPaths.forEach((cssPath) => walkCSS(root, cssPath, visit, visited));
+    return { reads, definitions };
+};
+
+/**
+ * Describe every Custom Property read by an element with its fallback chain
+ * and its value in each theme context.
+ *
+ * @param {ReturnType<typeof extractCustomProperties>} extracted
+ * @param {ThemeContext[]} contexts
+ */
+export const describeCustomProperties = ({ reads, definitions }, contexts) =>
+    [...reads.values()]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(({ name, fallbacks }) => {
+            const expression = `var(${name}${
+                fallbacks.length ? `, ${fallbacksToValue(fallbacks)}` : ''
+            })`;
+            const values = Object.fromEntries(
+                contexts.map((context) => [
+                    context.name,
+                    resolveValue(
+                        expression,
+                        new Map([...context.properties, ...definitions])
+                    ),
+                ])
+            );
+            const defaultValue =
+                values[defaultContext] ?? Object.values(values)[0];
+            const defaults = Object.fromEntries(
+                Object.entries(values).filter(
+                    ([, value]) => value !== defaultValue
+                )
+            );
+            return {
+                name,
+                fallbacks,
+                ...(defaultValue !== expression
+                    ? { default: defaultValue }
+                    : {}),
+                ...(Object.keys(defaults).length ? { defaults } : {}),
+            };
+        });
+
+/**
+ * @param {string[]} fallbacks
+ * @returns {string}
+ */
+const fallbacksToValue = ([first, ...rest]) => {
+    if (!first.startsWith('--')) {
+        return first;
+    }
+    return rest.length
+        ? `var(${first}, ${fallbacksToValue(rest)})`
+        : `var(${first})`;
+};
@@ -0,0 +1,170 @@
+// @ts-check
+/*
+Copyright 2023 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import chalk from 'chalk';
+import { transform } from 'lightningcss';
+import postcss from 'postcss';
+
+/**
+ * @typedef {{ property: string, from?: string, to?: string }} DeclarationChange
+ * @typedef {{
+ *     added: string[],
+ *     removed: string[],
+ *     changed: { selector: string, declarations: DeclarationChange[] }[],
+ * }} CSSDiff
+ */
+
+const normalize = (value) =>
+    value
+        .replace(/\s+/g, ' ')
+        .replace(/\(\s/g, '(')
+        .replace(/\s\)/g, ')')
+        .trim();
+
+/**
+ * Reprint a stylesheet with Lightning CSS so that formatting differences
+ * (e.g. quoting or whitespace) between the freshly converted CSS and the
+ * linted/prettified CSS in the repo do not register as changes.
+ *
+ * @param {string} css
+ * @returns {string}
+ */
+const canonicalize = (css) =>
+    transform({
+        filename: 'diff.css',
+        code: Buffer.from(css),
+        errorRecovery: true,
+    }).code.toString();
+
+/**
+ * Flatten a stylesheet into a map of individual selectors, prefixed by any
+ * at-rules that wrap them, to the declarations applied by those selectors.
+ *
+ * @param {string} css
+ * @returns {Map<string, Map<string, string>>}
+ */
+const rulesFromCSS = (css) => {
+    const rules = new Map();
+    postcss.parse(canonicalize(css)).walkRules((rule) => {
+        const context = [];
+        let parent = rule.parent;
+        while (parent && parent.type === 'atrule') {
+            const atRule = /** @type {import('postcss').AtRule} */ (parent);
+            context.unshift(`@${atRule.name} ${normalize(atRule.params)}`);
+            parent = parent.parent;
+        }
+        rule.selectors.forEach((selector) => {
+            const key = [...context, normalize(selector)].join(' { ');
+            const declarations = rules.get(key) || new Map();
+            rule.each((node) => {
+                if (node.type !== 'decl') {
+                    return;
+                }
+                declarations.set(
+                    node.prop,
+                    normalize(
+                        `${node.value}${node.important ? ' !important' : ''}`
+                    )
+                );
+            });
+            rules.set(key, declarations);
+        });
+    });
+    return rules;
+};
+
+/**
+ * Compare two stylesheets at the rule level.
+ *
+ * @param {string} previousCSS
+ * @param {string} nextCSS
+ * @returns {CSSDiff}
+ */
+export const diffCSS = (previousCSS, nextCSS) => {
+    const previous = rulesFromCSS(previousCSS);
+    const next = rulesFromCSS(nextCSS);
+    /** @type {CSSDiff} */
+    const diff = {
+        added: [],
+        removed: [],
+        changed: [],
+    };
+    previous.forEach((declarations, selector) => {
+        if (!next.has(selector)) {
+            diff.removed.push(selector);
+            return;
+        }
+        const nextDeclarations = next.get(selector);
+        /** @type {DeclarationChange[]} */
+        const changes = [];
+        declarations.forEach((value, property) => {
+            const nextValue = nextDeclarations.get(property);
+            if (nextValue !== value) {
+                changes.push({ property, from: value, to: nextValue });
+            }
+        });
+        nextDeclarations.forEach((value, property) => {
+            if (!declarations.has(property)) {
+                changes.push({ property, to: value });
+            }
+        });
+        if (changes.length) {
+            diff.changed.push({ selector, declarations: changes });
+        }
+    });
+    next.forEach((_declarations, selector) => {
+        if (!previous.has(selector)) {
+            diff.added.push(selector);
+        }
+    });
+    return diff;
+};
+
+/**
+ * @param {CSSDiff} diff
+ * @returns {boolean}
+ */
+export const isEmptyDiff = (diff) =>
+    !diff.added.length && !diff.removed.length && !diff.changed.length;
+
+/**
+ * @param {string} name
+ * @param {CSSDiff} diff
+ * @returns {string}
+ */
+export const formatCSSDiff = (name, diff) => {
+    const lines = [
+        chalk.bold(
+            `${name}: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed`
+        ),
+    ];
+    diff.added.forEach((selector) => {
+        lines.push(chalk.green(`  + ${selector}`));
+    });
+    diff.removed.forEach((selector) => {
+        lines.push(chalk.red(`  - ${selector}`));
+    });
+    diff.changed.forEach(({ selector, declarations }) => {
+        lines.push(chalk.yellow(`  ~ ${selector}`));
+        declarations.forEach(({ property, from, to }) => {
+            if (typeof from === 'undefined') {
+                lines.push(chalk.green(`      + ${property}: ${to}`));
+            } else if (typeof to === 'undefined') {
+                lines.push(chalk.red(`      - ${property}: ${from}`));
+            } else {
+                lines.push(`      ${property}: ${from} → ${to}`);
+            }
+        });
+    });
+    return lines.join('\n');
+};
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+/*
+Copyright 2023 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import chalk from 'chalk';
+import fg from 'fast-glob';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import { readBaselineCEM } from './cem-baseline.js';
+import { diffManifests, formatReport } from './cem-diff.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const root = path.resolve(__dirname, '../');
+
+/**
+ * Compare the public API in the `custom-elements.json` of each package with
+ * that of a previous release, e.g.
+ *
+ * node ./tasks/diff-cem.js --baseline ../previous-release --output api-changes.md
+ *
+ * `--baseline` is either the root of a previous build of this repository or a
+ * directory of tarballs from `npm pack`, e.g. `spectrum-web-components-button-0.35.0.tgz`.
+ */
+const {
+    baseline,
+    package: packageFilter,
+    output,
+} = yargs(hideBin(process.argv)).argv;
+
+async function diffCEMs() {
+    if (!baseline) {
+        console.error(
+            chalk.red(
+                'Pass --baseline, a previous build or a directory of package tarballs.'
+            )
+        );
+        return 1;
+    }
+    const packageFilters = [].concat(packageFilter || []);
+    const manifestPaths = await fg(
+        ['packages/*/custom-elements.json', 'tools/*/custom-elements.json'],
+        { cwd: root, absolute: true }
+    );
+    const reports = [];
+    let breakingCount = 0;
+    for (const manifestPath of manifestPaths.sort()) {
+        const packageDir = path.dirname(manifestPath);
+        if (
+            packageFilters.length &&
+            !packageFilters.includes(path.basename(packageDir))
+        ) {
+            continue;
+        }
+        const { name: packageName } = JSON.parse(
+            fs.readFileSync(path.join(packageDir, 'package.json'), 'utf8')
+        );
+        const previousManifest = await readBaselineCEM(
+            root,
+            baseline,
+            packageDir
+        );
+        if (!previousManifest) {
+            console.warn(
+                chalk.yellow(`No previous release of ${packageName} found.`)
+            );
+            continue;
+        }
+        const changes = diffManifests(
+            previousManifest,
+            JSON.parse(fs.readFileSync(manifestPath, 'utf8'))
+        );
+        if (!changes.breaking.length && !changes.additions.length) {
+            continue;
+        }
+        breakingCount += changes.breaking.length;
+        reports.push(formatReport(packageName, changes));
+    }
+    const report = reports.join('\n');
+    if (output) {
+        fs.writeFileSync(output, report);
+    } else if (report) {
+        console.log(report);
+    }
+    if (breakingCount) {
+        console.error(
+            chalk.bold.red(
+                `Found ${breakingCount} breaking changes in ${reports.length} packages.`
+            )
+        );
+        return 1;
+    }
+    console.log(chalk.green('Found no breaking changes.'));
+    return 0;
+}
+
+async function main() {
+    process.exit(await diffCEMs());
+}
+
+main();
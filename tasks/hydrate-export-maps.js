@@ -10,9 +10,14 @@ OF ANY KIND, either express or implied. See the License for the specific languag
 governing permissions and limitations under the License.
 */
 
+import chalk from 'chalk';
 import path from 'path';
 import fs from 'fs';
 import fg from 'fast-glob';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+
+const { verify } = yargs(hideBin(process.argv)).argv;
 
 const excludes = [
     // internal config file
@@ -44,9 +49,12 @@ const excludes = [
  * - does not expose `development` conditions on `*.css.js` files
  * - saves back into the `package.json` without linting
  *
+ * With `--verify`, checks the `exports` of each `package.json` against the
+ * built files instead, and exits non-zero when they do not match.
+ *
  */
 
-const hydrateExportMap = async (exportMapPath) => {
+const resolveExportMap = async (exportMapPath) => {
     const exportMapSrc = JSON.parse(fs.readFileSync(exportMapPath, 'utf8'));
     const exportMapResolved = {};
     const exportMapExploded = {
@@ -98,6 +106,11 @@ const hydrateExportMap = async (exportMapPath) => {
             default: exportPath,
         };
     }
+    return exportMapExploded;
+};
+
+const hydrateExportMap = async (exportMapPath) => {
+    const exportMapExploded = await resolveExportMap(exportMapPath);
     const packageJSONPath = path.join(exportMapPath, '..', 'package.json');
     const packageJSON = JSON.parse(fs.readFileSync(packageJSONPath, 'utf8'));
     packageJSON.exports = exportMapExploded;
@@ -110,12 +123,96 @@ const hydrateExportMap = async (exportMapPath) => {
     );
 };
 
+/**
+ * List the ways in which the `exports` of the `package.json` next to an
+ * `exports.json` file do not match the files that have been built.
+ */
+const verifyExportMap = async (exportMapPath) => {
+    const packageDir = path.join(exportMapPath, '..');
+    const packageJSON = JSON.parse(
+        fs.readFileSync(path.join(packageDir, 'package.json'), 'utf8')
+    );
+    const exports = packageJSON.exports || {};
+    const documented = await resolveExportMap(exportMapPath);
+    const issues = [];
+    for (const key in exports) {
+        if (key.search(/\*/) > -1) {
+            issues.push(`"${key}" has not been hydrated`);
+            continue;
+        }
+        const conditions =
+            typeof exports[key] === 'string'
+                ? { default: exports[key] }
+                : exports[key];
+        for (const condition in conditions) {
+            if (fs.existsSync(path.join(packageDir, conditions[condition]))) {
+                continue;
+            }
+            issues.push(
+                condition === 'development'
+                    ? `"${key}" is missing its development build ${conditions[condition]}`
+                    : `"${key}" is missing ${conditions[condition]}`
+            );
+        }
+        if (!documented[key]) {
+            issues.push(`"${key}" is exported but not listed in exports.json`);
+        }
+    }
+    for (const file of await fg('src/**/*.js', {
+        cwd: packageDir,
+        ignore: ['**/*.dev.js'],
+    })) {
+        const exportPath = `./${file}`;
+        if (
+            excludes.some((exclude) => exportPath.search(exclude) > -1) ||
+            exports[exportPath]
+        ) {
+            continue;
+        }
+        issues.push(`"${exportPath}" is built but not exported`);
+    }
+    return issues;
+};
+
+const verifyExportMaps = async () => {
+    const exportMaps = await fg(`./**/exports.json`, {
+        ignore: ['**/node_modules/**'],
+    });
+    let issueCount = 0;
+    for (const exportMap of exportMaps) {
+        const issues = await verifyExportMap(exportMap);
+        if (!issues.length) {
+            continue;
+        }
+        issueCount += issues.length;
+        console.error(chalk.bold(path.dirname(exportMap)));
+        issues.forEach((issue) => console.error(`    ${issue}`));
+    }
+    if (issueCount) {
+        console.error(
+            chalk.bold.red(
+                `Found ${issueCount} issues in the exports of ${exportMaps.length} packages.`
+            )
+        );
+        return 1;
+    }
+    console.log(
+        chalk.green(`Verified the exports of ${exportMaps.length} packages.`)
+    );
+    return 0;
+};
+
 const hydrateExportMaps = async () => {
     for (const exportMap of await fg(`./**/exports.json`, {
         ignore: ['**/node_modules/**'],
     })) {
-        hydrateExportMap(exportMap);
+        await hydrateExportMap(exportMap);
     }
+    return 0;
 };
 
-hydrateExportMaps();
+async function main() {
+    process.exit(await (verify ? verifyExportMaps() : hydrateExportMaps()));
+}
+
+main();
@@ -18,11 +18,15 @@ export const converterFor = (component) => {
         classToClass: (name, value) => convertToClass(name, value, component),
         classToId: (name, value) => convertToId(name, value, component),
         classToHost: (name) => covertToHost(name || component),
+        classToPseudoState: (name, value) =>
+            convertToPseudoState(name, value, component),
         classToSlotted: (name, value) => slottedSlot(name, value),
         enumerateAttributes: (attributes, name, operator = 'equal') =>
             enumAttributes(attributes, name, operator, component),
         notToAttribute: (name, value) =>
             convertNotToAttribute(name, value, component),
+        notToPseudoState: (name, value) =>
+            convertNotToPseudoState(name, value, component),
         pseudoToAttribute: (name, value) =>
             convertPseudoToAttribute(name, value),
     };
@@ -113,6 +117,26 @@ export const builder = {
         // @ts-ignore
         kind,
     }),
+    /**
+     * A custom state, e.g. `:state(open)`, as set via `ElementInternals.states`
+     *
+     * @param {string} name
+     * @returns {import('lightningcss').SelectorComponent}
+     */
+    pseudoState: (name) => ({
+        type: 'pseudo-class',
+        kind: 'custom-function',
+        name: 'state',
+        arguments: [
+            {
+                type: 'token',
+                value: {
+                    type: 'ident',
+                    value: name,
+                },
+            },
+        ],
+    }),
     /**
      *
      * @param {string} kind
@@ -222,6 +246,60 @@ export const convertNotToAttribute = (name, value, component) => ({
     hoist: true,
 });
 
+/**
+ * State classes, e.g. `is-open`, are named for the state they represent.
+ *
+ * @param {string} name
+ * @param {string} value
+ * @param {string} component
+ * @returns {string}
+ */
+const getStateValue = (name, value, component) =>
+    value || getValue(name, value, component).replace(/^is-/, '');
+
+/**
+ * @param {string} name
+ * @param {string} value
+ * @param {string} component
+ * @returns {import('./spectrum-css-converter').SelectorConversion}
+ */
+export const convertToPseudoState = (name, value, component) => ({
+    find: {
+        type: 'class',
+        name,
+    },
+    replace: builder.pseudoState(getStateValue(name, value, component)),
+});
+
+/**
+ * @param {string} name
+ * @param {string} value
+ * @param {string} component
+ * @returns {import('./spectrum-css-converter').SelectorConversion}
+ */
+export const convertNotToPseudoState = (name, value, component) => ({
+    find: {
+        type: 'pseudo-class',
+        kind: 'not',
+        selectors: [
+            [
+                {
+                    type: 'class',
+                    name,
+                },
+            ],
+        ],
+    },
+    replace: {
+        kind: 'not',
+        type: 'pseudo-class',
+        selectors: [
+            [builder.pseudoState(getStateValue(name, value, component))],
+        ],
+    },
+    hoist: true,
+});
+
 /**
  * @param {import('lightningcss').PseudoClass['kind']} kind
  * @param {string} value
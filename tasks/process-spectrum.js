@@ -12,16 +12,32 @@ OF ANY KIND, either express or implied. See the License for the specific languag
 governing permissions and limitations under the License.
 */
 
-import fg from 'fast-glob';
 import chalk from 'chalk';
 import { transform } from 'lightningcss';
 import path from 'path';
 import fs from 'fs';
+import os from 'os';
 import { createRequire } from 'module';
 import { fileURLToPath } from 'url';
+import { isMainThread, parentPort, Worker } from 'worker_threads';
 import postcss from 'postcss';
 import reporter from 'postcss-reporter';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
 import { postCSSPlugins } from '../scripts/css-processing.cjs';
+import { diffCSS, formatCSSDiff, isEmptyDiff } from './css-diff.js';
+import { formatIssues, loadConfigs } from './spectrum-config-validator.js';
+import {
+    hashConverter,
+    hashPackage,
+    readCache,
+    writeCache,
+} from './spectrum-css-cache.js';
+import {
+    collectClassNames,
+    createCoverage,
+    formatCoverage,
+} from './spectrum-css-coverage.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -29,6 +45,23 @@ const root = path.resolve(__dirname, '../');
 
 const require = createRequire(import.meta.url);
 
+/**
+ * `--dry-run` (or `--diff`) converts everything in memory and reports a
+ * rule-level diff against the committed output instead of writing to disk.
+ * `--coverage` reports how many selectors each conversion applied to, which
+ * conversions applied to nothing, and which upstream classes were left
+ * unconverted.
+ * `--package <name>` (repeatable) limits processing to specific packages.
+ * `--force` ignores the cache of previously converted packages.
+ */
+const {
+    coverage: reportCoverage,
+    dryRun,
+    diff,
+    force,
+    package: packageFilter,
+} = yargs(hideBin(process.argv)).argv;
+
 /**
  * @to-do: normalize deep comparison old vs new usage when recursing.
  */
@@ -78,6 +111,14 @@ const isPseudo = (component) => {
     return component?.type?.startsWith('pseudo');
 };
 
+const isPseudoState = (component) => {
+    return (
+        component?.type === 'pseudo-class' &&
+        component?.kind === 'custom-function' &&
+        component?.name === 'state'
+    );
+};
+
 const isHoistedPseudoClass = (component) => {
     return (
         component.type === 'pseudo-class' &&
@@ -150,13 +191,56 @@ function conditionSelector(newSelector) {
     return selector;
 }
 
-async function processComponent(componentPath) {
-    const { default: config } = await import(
-        path.join(componentPath, 'spectrum-config.js')
+/**
+ * @param {import('./spectrum-css-converter').Conversion} conversion
+ * @returns {string}
+ */
+const outputPathFor = (conversion) =>
+    path.join(
+        root,
+        ...(Array.isArray(conversion.outPackage)
+            ? conversion.outPackage
+            : ['packages', conversion.outPackage]),
+        'src',
+        `spectrum-${conversion.fileName}.css`
     );
-    /**
-     * @type { import('./spectrum-css-converter').SpectrumCSSConverter}
-     */
+
+const withHeader = (css) => `/*
+Copyright 2023 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+/* THIS FILE IS MACHINE GENERATED. DO NOT EDIT */
+${css}
+`;
+
+/**
+ * @typedef {{
+ *     packageName: string,
+ *     outputPath: string,
+ *     css: string,
+ *     conversion: import('./spectrum-css-converter').Conversion,
+ *     coverage: import('./spectrum-css-coverage.js').ConversionCoverage,
+ * }} ConversionResult
+ */
+
+/**
+ * Convert the Spectrum CSS for every conversion outlined in a package's
+ * `spectrum-config.js` file.
+ *
+ * @param {string} packageName
+ * @param {import('./spectrum-css-converter').SpectrumCSSConverter} config
+ * @returns {Promise<ConversionResult[]>}
+ */
+export async function processComponent(packageName, config) {
+    const results = [];
     const { conversions } = config;
 
     /**
@@ -165,16 +249,12 @@ async function processComponent(componentPath) {
     for await (const conversion of conversions) {
         const sourcePath = require.resolve(conversion.inPackage);
         const sourceCSS = fs.readFileSync(sourcePath, 'utf-8');
-        const outputPath = path.join(
-            ...(Array.isArray(conversion.outPackage)
-                ? conversion.outPackage
-                : ['packages', conversion.outPackage]),
-            'src',
-            `spectrum-${conversion.fileName}.css`
-        );
+        const outputPath = outputPathFor(conversion);
+        const coverage = createCoverage(conversion);
         const processSelectorV2 = (selector) => {
             let log = false;
             const matches = Array(selector.length);
+            const applied = new Set();
             let injected = 0;
             selector.forEach((component, selectorIndex) => {
                 let index = selectorIndex + injected;
@@ -206,112 +286,135 @@ async function processComponent(componentPath) {
                     });
                     matched = true;
                 }
-                conversion.components.forEach((componentConversion) => {
-                    if (Array.isArray(componentConversion.find)) {
-                        const complexConversion =
-                            /** @type {import('./spectrum-css-converter').ComplexSelectorConversion} */ (
-                                componentConversion
-                            );
-                        let found = true;
-                        complexConversion.find.forEach((find, findIndex) => {
-                            found =
-                                found &&
-                                selector[index + findIndex - injected] &&
-                                compareSelectors(
-                                    find,
-                                    selector[index + findIndex - injected]
+                conversion.components.forEach(
+                    (componentConversion, conversionIndex) => {
+                        if (Array.isArray(componentConversion.find)) {
+                            const complexConversion =
+                                /** @type {import('./spectrum-css-converter').ComplexSelectorConversion} */ (
+                                    componentConversion
                                 );
-                        });
-                        if (found && complexConversion.exactSelector) {
-                            found =
-                                found &&
-                                complexConversion.find.length ===
-                                    selector.length &&
-                                complexConversion.find.every(
-                                    (component, exactIndex) =>
+                            let found = true;
+                            complexConversion.find.forEach(
+                                (find, findIndex) => {
+                                    found =
+                                        found &&
+                                        selector[
+                                            index + findIndex - injected
+                                        ] &&
                                         compareSelectors(
-                                            component,
-                                            selector[exactIndex]
-                                        )
-                                );
-                        }
-                        if (found) {
-                            if (complexConversion.expandSelector) {
-                                let lengthDelta = Array.isArray(
-                                    complexConversion.replace
-                                )
-                                    ? complexConversion.replace.length -
-                                      complexConversion.find.length
-                                    : 0;
-                                while (lengthDelta > 0) {
-                                    matches.splice(index, 0, []);
-                                    lengthDelta -= 1;
+                                            find,
+                                            selector[
+                                                index + findIndex - injected
+                                            ]
+                                        );
                                 }
+                            );
+                            if (found && complexConversion.exactSelector) {
+                                found =
+                                    found &&
+                                    complexConversion.find.length ===
+                                        selector.length &&
+                                    complexConversion.find.every(
+                                        (component, exactIndex) =>
+                                            compareSelectors(
+                                                component,
+                                                selector[exactIndex]
+                                            )
+                                    );
                             }
-                            if (complexConversion.collapseSelector) {
-                                let lengthDelta = Array.isArray(
-                                    complexConversion.replace
-                                )
-                                    ? complexConversion.find.length -
-                                      complexConversion.replace.length
-                                    : 0;
-                                matches.splice(index - injected, lengthDelta);
-                                injected -= lengthDelta;
-                            }
-                            complexConversion.replace.forEach(
-                                (replace, findIndex) => {
-                                    if (findIndex === 0) {
-                                        match.unshift({
-                                            ...(replace === 'take'
-                                                ? {
-                                                      replace: selector[index],
-                                                  }
-                                                : replace),
-                                        });
-                                    } else {
-                                        injected +=
-                                            complexConversion.expandSelector
-                                                ? 1
-                                                : 0;
-                                        matches[index + findIndex] = [
-                                            ...(matches[index + findIndex] ||
-                                                []),
-                                        ];
-                                        matches[index + findIndex].unshift({
-                                            ...(replace === 'take'
-                                                ? {
-                                                      replace:
-                                                          selector[
-                                                              index + findIndex
-                                                          ],
-                                                  }
-                                                : replace),
-                                        });
+                            if (found) {
+                                applied.add(conversionIndex);
+                                if (complexConversion.expandSelector) {
+                                    let lengthDelta = Array.isArray(
+                                        complexConversion.replace
+                                    )
+                                        ? complexConversion.replace.length -
+                                          complexConversion.find.length
+                                        : 0;
+                                    while (lengthDelta > 0) {
+                                        matches.splice(index, 0, []);
+                                        lengthDelta -= 1;
                                     }
                                 }
-                            );
-                        }
-                    } else if (
-                        componentConversion.find &&
-                        compareSelectors(componentConversion.find, component)
-                    ) {
-                        const newMatch = {
-                            ...componentConversion,
-                        };
-                        if (!newMatch.replace) {
-                            newMatch.replace = component;
+                                if (complexConversion.collapseSelector) {
+                                    let lengthDelta = Array.isArray(
+                                        complexConversion.replace
+                                    )
+                                        ? complexConversion.find.length -
+                                          complexConversion.replace.length
+                                        : 0;
+                                    matches.splice(
+                                        index - injected,
+                                        lengthDelta
+                                    );
+                                    injected -= lengthDelta;
+                                }
+                                complexConversion.replace.forEach(
+                                    (replace, findIndex) => {
+                                        if (findIndex === 0) {
+                                            match.unshift({
+                                                ...(replace === 'take'
+                                                    ? {
+                                                          replace:
+                                                              selector[index],
+                                                      }
+                                                    : replace),
+                                            });
+                                        } else {
+                                            injected +=
+                                                complexConversion.expandSelector
+                                                    ? 1
+                                                    : 0;
+                                            matches[index + findIndex] = [
+                                                ...(matches[
+                                                    index + findIndex
+                                                ] || []),
+                                            ];
+                                            matches[index + findIndex].unshift({
+                                                ...(replace === 'take'
+                                                    ? {
+                                                          replace:
+                                                              selector[
+                                                                  index +
+                                                                      findIndex
+                                                              ],
+                                                      }
+                                                    : replace),
+                                            });
+                                        }
+                                    }
+                                );
+                            }
+                        } else if (
+                            componentConversion.find &&
+                            compareSelectors(
+                                componentConversion.find,
+                                component
+                            )
+                        ) {
+                            const newMatch = {
+                                ...componentConversion,
+                            };
+                            if (!newMatch.replace) {
+                                newMatch.replace = component;
+                            }
+                            match.push(newMatch);
+                            applied.add(conversionIndex);
+                            matched = true;
                         }
-                        match.push(newMatch);
-                        matched = true;
                     }
-                });
+                );
                 if (!match.length) {
+                    collectClassNames(component, coverage.unconverted);
                     match.push({
                         replace: { ...component },
                     });
                 }
                 matches[index] = match;
             });
+            applied.forEach((conversionIndex) => {
+                coverage.components[conversionIndex] += 1;
+            });
             return matches;
         };
 
@@ -330,7 +433,8 @@ async function processComponent(componentPath) {
                         if (
                             component.hoist ||
                             (typeof component.hoist === 'undefined' &&
-                                component.replace.type === 'attribute') ||
+                                (component.replace.type === 'attribute' ||
+                                    isPseudoState(component.replace))) ||
                             replacenentIsHost
                         ) {
                             if (!host) {
@@ -460,28 +564,30 @@ async function processComponent(componentPath) {
                         currentSelectors.forEach((selector) => {
                             let include = true;
                             conversion.excludeByWholeSelector?.forEach(
-                                (exclusion) => {
-                                    include =
-                                        include &&
-                                        !(
-                                            exclusion.length ===
-                                                selector.length &&
-                                            exclusion.every(
-                                                (component, exclusionIndex) =>
-                                                    compareSelectors(
-                                                        component,
-                                                        selector[exclusionIndex]
-                                                    )
-                                            )
+                                (exclusion, exclusionIndex) => {
+                                    const excluded =
+                                        exclusion.length === selector.length &&
+                                        exclusion.every(
+                                            (component, componentIndex) =>
+                                                compareSelectors(
+                                                    component,
+                                                    selector[componentIndex]
+                                                )
                                         );
+                                    if (excluded) {
+                                        coverage.excludeByWholeSelector[
+                                            exclusionIndex
+                                        ] += 1;
+                                    }
+                                    include = include && !excluded;
                                 }
                             );
                             conversion.excludeByComponents?.forEach(
-                                (exclusion) => {
+                                (exclusion, exclusionIndex) => {
+                                    let excluded;
                                     if (exclusion.regex) {
-                                        include =
-                                            include &&
-                                            !selector.find((component) => {
+                                        excluded = !!selector.find(
+                                            (component) => {
                                                 return (
                                                     component.type ===
                                                         'class' &&
@@ -493,17 +599,23 @@ async function processComponent(componentPath) {
                                                         )
                                                     ) > -1
                                                 );
-                                            });
+                                            }
+                                        );
                                     } else {
-                                        include =
-                                            include &&
-                                            !selector.find((component) =>
+                                        excluded = !!selector.find(
+                                            (component) =>
                                                 compareSelectors(
                                                     exclusion,
                                                     component
                                                 )
-                                            );
+                                        );
+                                    }
+                                    if (excluded) {
+                                        coverage.excludeByComponents[
+                                            exclusionIndex
+                                        ] += 1;
                                     }
+                                    include = include && !excluded;
                                 }
                             );
                             conversion.requireComponentPresence?.forEach(
@@ -587,44 +699,180 @@ async function processComponent(componentPath) {
             reporter(),
         ]).process(code.toString());
 
-        fs.writeFileSync(
+        results.push({
+            packageName,
             outputPath,
-            `/*
-Copyright 2023 Adobe. All rights reserved.
-This file is licensed to you under the Apache License, Version 2.0 (the "License");
-you may not use this file except in compliance with the License. You may obtain a copy
-of the License at http://www.apache.org/licenses/LICENSE-2.0
+            css: withHeader(outputCss),
+            conversion,
+            coverage,
+        });
+    }
+    return results;
+}
 
-Unless required by applicable law or agreed to in writing, software distributed under
-the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
-OF ANY KIND, either express or implied. See the License for the specific language
-governing permissions and limitations under the License.
-*/
+/**
+ * Compare the converted CSS with the CSS currently on disk.
+ *
+ * @param {ConversionResult[]} results
+ * @returns {boolean} whether any package would change
+ */
+function reportDiffs(results) {
+    let changed = false;
+    results.forEach(({ outputPath, css }) => {
+        const previousCSS = fs.existsSync(outputPath)
+            ? fs.readFileSync(outputPath, 'utf-8')
+            : '';
+        const cssDiff = diffCSS(previousCSS, css);
+        if (isEmptyDiff(cssDiff)) {
+            return;
+        }
+        changed = true;
+        console.log(formatCSSDiff(path.relative(root, outputPath), cssDiff));
+    });
+    if (!changed) {
+        console.log(chalk.green('No changes to the converted CSS.'));
+    }
+    return changed;
+}
 
-/* THIS FILE IS MACHINE GENERATED. DO NOT EDIT */
-${outputCss}
-`
+/**
+ * @param {ConversionResult[]} results
+ */
+function reportConversionCoverage(results) {
+    let dead = 0;
+    let unconverted = 0;
+    results.forEach(({ packageName, conversion, coverage }) => {
+        const formatted = formatCoverage(packageName, coverage, conversion);
+        dead += formatted.dead;
+        unconverted += formatted.unconverted;
+        console.log(formatted.report);
+    });
+    console.log(
+        chalk.bold(
+            `${dead} conversions matched no selectors, ${unconverted} upstream classes were left unconverted.`
+        )
+    );
+}
+
+/**
+ * Convert packages in parallel, one worker per CPU, with each worker
+ * importing the `spectrum-config.js` file for the packages it receives.
+ *
+ * @param {{ packageName: string, componentPath: string }[]} packages
+ * @returns {Promise<ConversionResult[]>}
+ */
+async function processInWorkers(packages) {
+    const queue = [...packages];
+    /** @type {ConversionResult[]} */
+    const results = [];
+    const workerCount = Math.min(os.cpus().length, queue.length);
+    const workers = Array.from(
+        { length: workerCount },
+        () =>
+            new Promise((resolve, reject) => {
+                const worker = new Worker(fileURLToPath(import.meta.url), {
+                    argv: hideBin(process.argv),
+                });
+                const next = () => {
+                    const job = queue.shift();
+                    if (!job) {
+                        worker.terminate().then(resolve);
+                        return;
+                    }
+                    worker.postMessage(job);
+                };
+                worker.on('message', (packageResults) => {
+                    results.push(...packageResults);
+                    next();
+                });
+                worker.on('error', reject);
+                next();
+            })
+    );
+    await Promise.all(workers);
+    return results;
+}
+
+function processInWorker() {
+    parentPort?.on('message', async ({ packageName, componentPath }) => {
+        const { default: config } = await import(
+            path.join(componentPath, 'spectrum-config.js')
         );
-    }
+        parentPort?.postMessage(await processComponent(packageName, config));
+    });
 }
 
 async function processComponents() {
-    const promises = [];
     // eslint-disable-next-line no-console
     console.log(chalk.bold.green('Processing Spectrum Components'));
-    for (const configPath of await fg(
-        `${root}/{packages,tools}/*/src/spectrum-config.js`
-    )) {
-        promises.push(processComponent(path.join(configPath, '..')));
+    const configs = await loadConfigs(root, [].concat(packageFilter || []));
+    if (!configs.length) {
+        console.error(chalk.red(`No spectrum-config.js files found.`));
+        return 1;
+    }
+    const invalid = configs.filter(({ issues }) => issues.length);
+    if (invalid.length) {
+        invalid.forEach(({ packageName, issues }) => {
+            console.error(formatIssues(packageName, issues));
+        });
+        return 1;
     }
-    await Promise.all(promises);
+    // Coverage and diffs are derived from the conversion itself, so they
+    // always convert every requested package.
+    const useCache = !force && !reportCoverage && !dryRun && !diff;
+    const converterHash = hashConverter(root);
+    const cache = useCache ? readCache(root) : {};
+    const hashes = {};
+    const stale = configs.filter(({ packageName, componentPath, config }) => {
+        hashes[packageName] = hashPackage(converterHash, componentPath, config);
+        return (
+            cache[packageName] !== hashes[packageName] ||
+            !config.conversions.every((conversion) =>
+                fs.existsSync(outputPathFor(conversion))
+            )
+        );
+    });
+    if (!stale.length) {
+        console.log(chalk.bold.green('All packages are up to date'));
+        return 0;
+    }
+    console.log(
+        `Converting ${stale.length} of ${configs.length} packages, ${
+            configs.length - stale.length
+        } unchanged`
+    );
+    const results = await processInWorkers(
+        stale.map(({ packageName, componentPath }) => ({
+            packageName,
+            componentPath,
+        }))
+    );
+    if (reportCoverage) {
+        reportConversionCoverage(results);
+    }
+    if (dryRun || diff) {
+        return reportDiffs(results) ? 1 : 0;
+    }
+    results.forEach(({ outputPath, css }) => {
+        fs.writeFileSync(outputPath, css);
+    });
+    writeCache(root, {
+        ...readCache(root),
+        ...Object.fromEntries(
+            stale.map(({ packageName }) => [packageName, hashes[packageName]])
+        ),
+    });
     // eslint-disable-next-line no-console
     console.log(chalk.bold.green('Done'));
+    return 0;
 }
 
 async function main() {
-    await processComponents();
-    process.exit(0);
+    process.exit(await processComponents());
 }
 
-main();
+if (!isMainThread) {
+    processInWorker();
+} else if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main();
+}
@@ -0,0 +1,652 @@
+// @ts-check
+/*
+Copyright 2023 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import chalk from 'chalk';
+import fg from 'fast-glob';
+import path from 'path';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * @typedef {{ path: string, message: string }} ConfigIssue
+ */
+
+const conversionKeys = [
+    'allowThemeRules',
+    'components',
+    'excludeByComponents',
+    'excludeByWholeSelector',
+    'fileName',
+    'hoistCustomPropertiesFrom',
+    'includeByWholeSelector',
+    'inPackage',
+    'outPackage',
+    'requireComponentPresence',
+];
+
+const selectorConversionKeys = ['emphasize', 'find', 'hoist', 'replace'];
+
+const complexSelectorConversionKeys = [
+    'collapseSelector',
+    'exactSelector',
+    'expandSelector',
+    'find',
+    'replace',
+];
+
+const replacementComponentKeys = ['emphasize', 'hoist', 'replace'];
+
+const componentTypes = [
+    'attribute',
+    'class',
+    'combinator',
+    'id',
+    'namespace',
+    'nesting',
+    'pseudo-class',
+    'pseudo-element',
+    'type',
+    'universal',
+];
+
+const combinators = [
+    'child',
+    'deep',
+    'deep-descendant',
+    'descendant',
+    'later-sibling',
+    'next-sibling',
+    'part',
+    'pseudo-element',
+    'slot-assignment',
+];
+
+const attributeOperators = [
+    'dash-match',
+    'equal',
+    'includes',
+    'prefix',
+    'substring',
+    'suffix',
+];
+
+/**
+ * Pseudo-classes whose `selectors` are a list of Selectors.
+ */
+const selectorListPseudoClasses = ['any', 'has', 'is', 'not', 'where'];
+
+const isObject = (value) =>
+    typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const describe = (value) =>
+    Array.isArray(value) ? 'an array' : JSON.stringify(value);
+
+/**
+ * @param {ConfigIssue[]} issues
+ * @param {object} value
+ * @param {string[]} allowed
+ * @param {string} at
+ */
+const checkKeys = (issues, value, allowed, at) => {
+    Object.keys(value).forEach((key) => {
+        if (!allowed.includes(key)) {
+            issues.push({
+                path: `${at}.${key}`,
+                message: `unknown option, expected one of ${allowed.join(
+                    ', '
+                )}`,
+            });
+        }
+    });
+};
+
+/**
+ * @param {ConfigIssue[]} issues
+ * @param {object} value
+ * @param {string} key
+ * @param {string} at
+ * @param {boolean} required
+ */
+const checkString = (issues, value, key, at, required = true) => {
+    if (typeof value[key] === 'undefined') {
+        if (required) {
+            issues.push({
+                path: `${at}.${key}`,
+                message: 'is required and must be a string',
+            });
+        }
+    } else if (typeof value[key] !== 'string' || !value[key].length) {
+        issues.push({
+            path: `${at}.${key}`,
+            message: `must be a non-empty string, received ${describe(
+                value[key]
+            )}`,
+        });
+    }
+};
+
+/**
+ * @param {ConfigIssue[]} issues
+ * @param {object} value
+ * @param {string} key
+ * @param {string} at
+ */
+const checkBoolean = (issues, value, key, at) => {
+    if (typeof value[key] !== 'undefined' && typeof value[key] !== 'boolean') {
+        issues.push({
+            path: `${at}.${key}`,
+            message: `must be a boolean, received ${describe(value[key])}`,
+        });
+    }
+};
+
+/**
+ * Validate a Selector Component. Components used to `find` are compared
+ * key by key against the upstream selectors, so only the keys that are
+ * present need to be valid. Components used to `replace` are handed to
+ * Lightning CSS as is, and so they must be complete.
+ *
+ * @param {ConfigIssue[]} issues
+ * @param {any} component
+ * @param {string} at
+ * @param {{ strict: boolean, allowRegex?: boolean }} options
+ */
+const checkComponent = (issues, component, at, options) => {
+    if (!isObject(component)) {
+        issues.push({
+            path: at,
+            message: `must be a Selector Component object, received ${describe(
+                component
+            )}`,
+        });
+        return;
+    }
+    if (!componentTypes.includes(component.type)) {
+        issues.push({
+            path: `${at}.type`,
+            message: `must be one of ${componentTypes.join(
+                ', '
+            )}, received ${describe(component.type)}`,
+        });
+        return;
+    }
+    if (typeof component.regex !== 'undefined') {
+        if (!options.allowRegex) {
+            issues.push({
+                path: `${at}.regex`,
+                message:
+                    'is only supported in `excludeByComponents` and `requireComponentPresence`',
+            });
+        } else if (!(component.regex instanceof RegExp)) {
+            issues.push({
+                path: `${at}.regex`,
+                message: `must be a RegExp, received ${describe(
+                    component.regex
+                )}`,
+            });
+        }
+        return;
+    }
+    const { strict } = options;
+    switch (component.type) {
+        case 'class':
+        case 'id':
+        case 'type':
+            checkString(issues, component, 'name', at);
+            break;
+        case 'attribute':
+            checkString(issues, component, 'name', at);
+            if (typeof component.operation !== 'undefined') {
+                const operationPath = `${at}.operation`;
+                if (!isObject(component.operation)) {
+                    issues.push({
+                        path: operationPath,
+                        message: `must be an object, received ${describe(
+                            component.operation
+                        )}`,
+                    });
+                    break;
+                }
+                if (
+                    (strict ||
+                        typeof component.operation.operator !== 'undefined') &&
+                    !attributeOperators.includes(component.operation.operator)
+                ) {
+                    issues.push({
+                        path: `${operationPath}.operator`,
+                        message: `must be one of ${attributeOperators.join(
+                            ', '
+                        )}, received ${describe(component.operation.operator)}`,
+                    });
+                }
+                checkString(
+                    issues,
+                    component.operation,
+                    'value',
+                    operationPath,
+                    strict
+                );
+            }
+            break;
+        case 'combinator':
+            if (
+                (strict || typeof component.value !== 'undefined') &&
+                !combinators.includes(component.value)
+            ) {
+                issues.push({
+                    path: `${at}.value`,
+                    message: `must be one of ${combinators.join(
+                        ', '
+                    )}, received ${describe(component.value)}`,
+                });
+            }
+            break;
+        case 'pseudo-class':
+            checkString(issues, component, 'kind', at);
+            if (component.kind === 'custom') {
+                checkString(issues, component, 'name', at, strict);
+            } else if (component.kind === 'custom-function') {
+                checkString(issues, component, 'name', at, strict);
+                if (
+                    (strict || typeof component.arguments !== 'undefined') &&
+                    !Array.isArray(component.arguments)
+                ) {
+                    issues.push({
+                        path: `${at}.arguments`,
+                        message: `must be an array of tokens, received ${describe(
+                            component.arguments
+                        )}`,
+                    });
+                }
+            } else if (component.kind === 'dir') {
+                if (
+                    (strict || typeof component.direction !== 'undefined') &&
+                    !['ltr', 'rtl'].includes(component.direction)
+                ) {
+                    issues.push({
+                        path: `${at}.direction`,
+                        message: `must be "ltr" or "rtl", received ${describe(
+                            component.direction
+                        )}`,
+                    });
+                }
+            } else if (selectorListPseudoClasses.includes(component.kind)) {
+                checkSelectorList(
+                    issues,
+                    component.selectors,
+                    `${at}.selectors`,
+                    options,
+                    strict
+                );
+            } else if (
+                component.kind === 'host' &&
+                typeof component.selectors !== 'undefined' &&
+                component.selectors !== null
+            ) {
+                checkSelector(
+                    issues,
+                    component.selectors,
+                    `${at}.selectors`,
+                    options
+                );
+            }
+            break;
+        case 'pseudo-element':
+            checkString(issues, component, 'kind', at);
+            if (component.kind === 'custom') {
+                checkString(issues, component, 'name', at, strict);
+            } else if (component.kind === 'slotted') {
+                if (strict || typeof component.selector !== 'undefined') {
+                    checkSelector(
+                        issues,
+                        component.selector,
+                        `${at}.selector`,
+                        options
+                    );
+                }
+            }
+            break;
+    }
+};
+
+/**
+ * @param {ConfigIssue[]} issues
+ * @param {any} selector
+ * @param {string} at
+ * @param {{ strict: boolean, allowRegex?: boolean }} options
+ */
+const checkSelector = (issues, selector, at, options) => {
+    if (!Array.isArray(selector)) {
+        issues.push({
+            path: at,
+            message: `must be an array of Selector Components, received ${describe(
+                selector
+            )}`,
+        });
+        return;
+    }
+    selector.forEach((component, index) =>
+        checkComponent(issues, component, `${at}[${index}]`, options)
+    );
+};
+
+/**
+ * @param {ConfigIssue[]} issues
+ * @param {any} selectors
+ * @param {string} at
+ * @param {{ strict: boolean, allowRegex?: boolean }} options
+ * @param {boolean} required
+ */
+const checkSelectorList = (issues, selectors, at, options, required) => {
+    if (typeof selectors === 'undefined' && !required) {
+        return;
+    }
+    if (!Array.isArray(selectors) || !selectors.length) {
+        issues.push({
+            path: at,
+            message: `must be a non-empty array of Selectors, received ${describe(
+                selectors
+            )}`,
+        });
+        return;
+    }
+    selectors.forEach((selector, index) =>
+        checkSelector(issues, selector, `${at}[${index}]`, options)
+    );
+};
+
+/**
+ * @param {ConfigIssue[]} issues
+ * @param {any} componentConversion
+ * @param {string} at
+ */
+const checkComponentConversion = (issues, componentConversion, at) => {
+    if (!isObject(componentConversion)) {
+        issues.push({
+            path: at,
+            message: `must be a conversion object, received ${describe(
+                componentConversion
+            )}`,
+        });
+        return;
+    }
+    if (Array.isArray(componentConversion.find)) {
+        checkKeys(
+            issues,
+            componentConversion,
+            complexSelectorConversionKeys,
+            at
+        );
+        checkSelector(issues, componentConversion.find, `${at}.find`, {
+            strict: false,
+        });
+        ['collapseSelector', 'exactSelector', 'expandSelector'].forEach((key) =>
+            checkBoolean(issues, componentConversion, key, at)
+        );
+        if (!Array.isArray(componentConversion.replace)) {
+            issues.push({
+                path: `${at}.replace`,
+                message: `must be an array when \`find\` is an array, received ${describe(
+                    componentConversion.replace
+                )}`,
+            });
+            return;
+        }
+        componentConversion.replace.forEach((replacement, index) => {
+            const replacementPath = `${at}.replace[${index}]`;
+            if (replacement === 'take') {
+                return;
+            }
+            if (!isObject(replacement) || !('replace' in replacement)) {
+                issues.push({
+                    path: replacementPath,
+                    message: `must be 'take' or an object with a \`replace\` Selector Component, received ${describe(
+                        replacement
+                    )}`,
+                });
+                return;
+            }
+            checkKeys(
+                issues,
+                replacement,
+                replacementComponentKeys,
+                replacementPath
+            );
+            checkBoolean(issues, replacement, 'hoist', replacementPath);
+            checkBoolean(issues, replacement, 'emphasize', replacementPath);
+            checkComponent(
+                issues,
+                replacement.replace,
+                `${replacementPath}.replace`,
+                { strict: true }
+            );
+        });
+        return;
+    }
+    checkKeys(issues, componentConversion, selectorConversionKeys, at);
+    if (typeof componentConversion.find === 'undefined') {
+        issues.push({
+            path: `${at}.find`,
+            message:
+                'is required and must be a Selector Component or an array of them',
+        });
+    } else {
+        checkComponent(issues, componentConversion.find, `${at}.find`, {
+            strict: false,
+        });
+    }
+    checkBoolean(issues, componentConversion, 'hoist', at);
+    checkBoolean(issues, componentConversion, 'emphasize', at);
+    if (typeof componentConversion.replace !== 'undefined') {
+        if (Array.isArray(componentConversion.replace)) {
+            issues.push({
+                path: `${at}.replace`,
+                message: 'must be a single Selector Component when `find` is',
+            });
+        } else {
+            checkComponent(
+                issues,
+                componentConversion.replace,
+                `${at}.replace`,
+                { strict: true }
+            );
+        }
+    }
+};
+
+/**
+ * @param {ConfigIssue[]} issues
+ * @param {any} conversion
+ * @param {string} at
+ */
+const checkConversion = (issues, conversion, at) => {
+    if (!isObject(conversion)) {
+        issues.push({
+            path: at,
+            message: `must be a conversion object, received ${describe(
+                conversion
+            )}`,
+        });
+        return;
+    }
+    checkKeys(issues, conversion, conversionKeys, at);
+    checkString(issues, conversion, 'inPackage', at);
+    if (typeof conversion.inPackage === 'string') {
+        try {
+            require.resolve(conversion.inPackage);
+        } catch (error) {
+            issues.push({
+                path: `${at}.inPackage`,
+                message: `cannot resolve "${conversion.inPackage}", is it listed in the package's devDependencies?`,
+            });
+        }
+    }
+    if (Array.isArray(conversion.outPackage)) {
+        if (
+            !conversion.outPackage.length ||
+            !conversion.outPackage.every((part) => typeof part === 'string')
+        ) {
+            issues.push({
+                path: `${at}.outPackage`,
+                message: 'must be a string or a non-empty array of strings',
+            });
+        }
+    } else {
+        checkString(issues, conversion, 'outPackage', at);
+    }
+    checkString(issues, conversion, 'fileName', at);
+    checkString(issues, conversion, 'hoistCustomPropertiesFrom', at, false);
+    checkBoolean(issues, conversion, 'allowThemeRules', at);
+    if (!Array.isArray(conversion.components)) {
+        issues.push({
+            path: `${at}.components`,
+            message: `is required and must be an array, received ${describe(
+                conversion.components
+            )}`,
+        });
+    } else {
+        conversion.components.forEach((componentConversion, index) =>
+            checkComponentConversion(
+                issues,
+                componentConversion,
+                `${at}.components[${index}]`
+            )
+        );
+    }
+    ['excludeByComponents', 'requireComponentPresence'].forEach((key) => {
+        if (typeof conversion[key] !== 'undefined') {
+            checkSelector(issues, conversion[key], `${at}.${key}`, {
+                strict: false,
+                allowRegex: true,
+            });
+        }
+    });
+    ['excludeByWholeSelector', 'includeByWholeSelector'].forEach((key) => {
+        if (typeof conversion[key] !== 'undefined') {
+            checkSelectorList(
+                issues,
+                conversion[key],
+                `${at}.${key}`,
+                { strict: false },
+                true
+            );
+        }
+    });
+};
+
+/**
+ * Validate the default export of a `spectrum-config.js` file.
+ *
+ * @param {any} config
+ * @returns {ConfigIssue[]}
+ */
+export const validateConfig = (config) => {
+    /** @type {ConfigIssue[]} */
+    const issues = [];
+    if (!isObject(config)) {
+        issues.push({
+            path: 'default',
+            message: 'must export a config object as its default export',
+        });
+        return issues;
+    }
+    if (!Array.isArray(config.conversions) || !config.conversions.length) {
+        issues.push({
+            path: 'conversions',
+            message: 'is required and must be a non-empty array',
+        });
+        return issues;
+    }
+    const outputs = new Map();
+    config.conversions.forEach((conversion, index) => {
+        const at = `conversions[${index}]`;
+        checkConversion(issues, conversion, at);
+        if (!isObject(conversion)) {
+            return;
+        }
+        const output = [conversion.outPackage, conversion.fileName]
+            .flat()
+            .join('/');
+        if (outputs.has(output)) {
+            issues.push({
+                path: `${at}.fileName`,
+                message: `writes to the same file as ${outputs.get(output)}`,
+            });
+        } else {
+            outputs.set(output, at);
+        }
+    });
+    return issues;
+};
+
+/**
+ * @param {string} packageName
+ * @param {ConfigIssue[]} issues
+ * @returns {string}
+ */
+export const formatIssues = (packageName, issues) =>
+    [
+        chalk.bold.red(`${packageName}/spectrum-config.js`),
+        ...issues.map(
+            ({ path: issuePath, message }) =>
+                `  ${chalk.yellow(issuePath)} ${message}`
+        ),
+    ].join('\n');
+
+/**
+ * Import and validate every `spectrum-config.js` file in the repo, or only
+ * those of the named packages when a list is provided.
+ *
+ * @param {string} root
+ * @param {string[]} [packages] e.g. `button` or `@spectrum-web-components/button`
+ * @returns {Promise<{
+ *     packageName: string,
+ *     componentPath: string,
+ *     config: import('./spectrum-css-converter').SpectrumCSSConverter,
+ *     issues: ConfigIssue[],
+ * }[]>}
+ */
+export const loadConfigs = async (root, packages = []) => {
+    const names = packages.map((name) =>
+        name.replace('@spectrum-web-components/', '')
+    );
+    const configPaths = (
+        await fg(`${root}/{packages,tools}/*/src/spectrum-config.js`)
+    ).filter(
+        (configPath) =>
+            !names.length ||
+            names.includes(path.basename(path.join(configPath, '..', '..')))
+    );
+    return Promise.all(
+        configPaths.map(async (configPath) => {
+            const componentPath = path.join(configPath, '..');
+            const packageName = path.relative(root, componentPath);
+            let config;
+            /** @type {ConfigIssue[]} */
+            let issues;
+            try {
+                ({ default: config } = await import(configPath));
+                issues = validateConfig(config);
+            } catch (error) {
+                issues = [
+                    {
+                        path: 'default',
+                        message: `could not be imported: ${error.message}`,
+                    },
+                ];
+            }
+            return { packageName, componentPath, config, issues };
+        })
+    );
+};
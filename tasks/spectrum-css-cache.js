@@ -0,0 +1,125 @@
+// @ts-check
+/*
+Copyright 2023 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Source files whose changes should invalidate every cached conversion.
+ */
+const converterFiles = [
+    'tasks/process-spectrum.js',
+    'tasks/process-spectrum-utils.js',
+    'scripts/css-processing.cjs',
+];
+
+/**
+ * Dependencies whose version changes should invalidate every cached conversion.
+ */
+const converterDependencies = ['lightningcss', 'postcss', 'postcss-preset-env'];
+
+/**
+ * @param {string} root
+ * @returns {string}
+ */
+const cachePathFor = (root) =>
+    path.join(root, 'node_modules', '.cache', 'process-spectrum.json');
+
+/**
+ * @param {...(string | Buffer)} contents
+ * @returns {string}
+ */
+const hash = (...contents) => {
+    const sha = crypto.createHash('sha256');
+    contents.forEach((content) => sha.update(content));
+    return sha.digest('hex');
+};
+
+/**
+ * Read the version of a dependency from its `package.json` directly, as
+ * packages like `lightningcss` do not export it.
+ *
+ * @param {string} root
+ * @param {string} name
+ * @returns {string}
+ */
+const dependencyVersion = (root, name) => {
+    try {
+        return JSON.parse(
+            fs.readFileSync(
+                path.join(root, 'node_modules', name, 'package.json'),
+                'utf8'
+            )
+        ).version;
+    } catch (error) {
+        return 'missing';
+    }
+};
+
+/**
+ * Hash the code that performs the conversion, so that changes to it
+ * invalidate all cached conversions.
+ *
+ * @param {string} root
+ * @returns {string}
+ */
+export const hashConverter = (root) =>
+    hash(
+        ...converterFiles.map((file) => fs.readFileSync(path.join(root, file))),
+        ...converterDependencies.map((name) => dependencyVersion(root, name))
+    );
+
+/**
+ * Hash everything that goes into converting a single package: the converter
+ * code, the package's `spectrum-config.js` source and the upstream CSS of
+ * every conversion it outlines.
+ *
+ * @param {string} converterHash
+ * @param {string} componentPath
+ * @param {import('./spectrum-css-converter').SpectrumCSSConverter} config
+ * @returns {string}
+ */
+export const hashPackage = (converterHash, componentPath, config) =>
+    hash(
+        converterHash,
+        fs.readFileSync(path.join(componentPath, 'spectrum-config.js')),
+        ...config.conversions.map((conversion) =>
+            fs.readFileSync(require.resolve(conversion.inPackage))
+        )
+    );
+
+/**
+ * @param {string} root
+ * @returns {Record<string, string>} package names mapped to input hashes
+ */
+export const readCache = (root) => {
+    try {
+        return JSON.parse(fs.readFileSync(cachePathFor(root), 'utf-8'));
+    } catch (error) {
+        return {};
+    }
+};
+
+/**
+ * @param {string} root
+ * @param {Record<string, string>} cache
+ */
+export const writeCache = (root, cache) => {
+    const cachePath = cachePathFor(root);
+    fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+    fs.writeFileSync(cachePath, JSON.stringify(cache, null, 4));
+};
@@ -27,7 +27,7 @@ type ReplacementComponent = {
     emphasize?: boolean;
     /**
      * Whether to apply this Selector Component to `:host(...)`. Attribute Selector
-     * Components are hoised by default
+     * Components and custom states (e.g. `:state(open)`) are hoised by default
      */
     hoist?: boolean;
     replace: SelectorComponent;
@@ -63,7 +63,7 @@ type SelectorComponentWithRegex = SelectorComponent & {
     regex?: RegExp;
 };
 
-type Conversion = {
+export type Conversion = {
     /**
      * By defaults `.spectrum`, `.spectrum--dark`, etc. are excluded
      */
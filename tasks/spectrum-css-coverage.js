@@ -0,0 +1,157 @@
+// @ts-check
+/*
+Copyright 2023 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import chalk from 'chalk';
+
+const combinators = {
+    child: ' > ',
+    descendant: ' ',
+    'later-sibling': ' ~ ',
+    'next-sibling': ' + ',
+};
+
+/**
+ * @typedef {{
+ *     fileName: string,
+ *     components: number[],
+ *     excludeByComponents: number[],
+ *     excludeByWholeSelector: number[],
+ *     unconverted: Set<string>,
+ * }} ConversionCoverage
+ */
+
+/**
+ * Create the counters used to track how often each part of a conversion
+ * applied to the upstream selectors.
+ *
+ * @param {import('./spectrum-css-converter').Conversion} conversion
+ * @returns {ConversionCoverage}
+ */
+export const createCoverage = (conversion) => ({
+    fileName: conversion.fileName,
+    components: conversion.components.map(() => 0),
+    excludeByComponents: (conversion.excludeByComponents || []).map(() => 0),
+    excludeByWholeSelector: (conversion.excludeByWholeSelector || []).map(
+        () => 0
+    ),
+    unconverted: new Set(),
+});
+
+/**
+ * Collect the class names of a Selector Component, including those nested
+ * within functional pseudo-classes like `:not()` or `::slotted()`.
+ *
+ * @param {any} component
+ * @param {Set<string>} classNames
+ */
+export const collectClassNames = (component, classNames) => {
+    if (!component || typeof component !== 'object') {
+        return;
+    }
+    if (component.type === 'class') {
+        classNames.add(component.name);
+        return;
+    }
+    const nested = [
+        ...(component.selectors || []).flat(),
+        ...(component.selector || []),
+    ];
+    nested.forEach((child) => collectClassNames(child, classNames));
+};
+
+/**
+ * Describe a Selector Component, or a list of them, in CSS syntax.
+ *
+ * @param {any} find
+ * @returns {string}
+ */
+export const describeSelector = (find) => {
+    if (Array.isArray(find)) {
+        return find.map(describeSelector).join('');
+    }
+    if (find?.regex) {
+        return `${find.type} matching ${find.regex}`;
+    }
+    switch (find?.type) {
+        case 'class':
+            return `.${find.name}`;
+        case 'id':
+            return `#${find.name}`;
+        case 'type':
+            return find.name;
+        case 'attribute':
+            return find.operation
+                ? `[${find.name}="${find.operation.value}"]`
+                : `[${find.name}]`;
+        case 'pseudo-class':
+            if (find.kind === 'custom-function') {
+                return `:${find.name}(${(find.arguments || [])
+                    .map((token) => token.value?.value)
+                    .join('')})`;
+            }
+            return find.selectors
+                ? `:${find.kind}(${find.selectors
+                      .map(describeSelector)
+                      .join(', ')})`
+                : `:${find.kind}`;
+        case 'pseudo-element':
+            return find.kind === 'custom' ? `::${find.name}` : `::${find.kind}`;
+        case 'combinator':
+            return combinators[find.value] || ` ${find.value} `;
+        default:
+            return JSON.stringify(find);
+    }
+};
+
+/**
+ * @param {string} packageName
+ * @param {ConversionCoverage} coverage
+ * @param {import('./spectrum-css-converter').Conversion} conversion
+ * @returns {{ report: string, dead: number, unconverted: number }}
+ */
+export const formatCoverage = (packageName, coverage, conversion) => {
+    const lines = [chalk.bold(`${packageName} (${coverage.fileName})`)];
+    let dead = 0;
+    const listCounts = (key, finds) => {
+        coverage[key].forEach((count, index) => {
+            // whole selectors are arrays, whose `find` is `Array.prototype.find`
+            const find = Array.isArray(finds[index])
+                ? finds[index]
+                : finds[index].find ?? finds[index];
+            const description = `${key}[${index}] ${describeSelector(find)}`;
+            if (count) {
+                lines.push(`  ${count}\t${description}`);
+            } else {
+                dead += 1;
+                lines.push(chalk.red(`  0\t${description}`));
+            }
+        });
+    };
+    listCounts('components', conversion.components);
+    listCounts('excludeByComponents', conversion.excludeByComponents || []);
+    listCounts(
+        'excludeByWholeSelector',
+        conversion.excludeByWholeSelector || []
+    );
+    if (coverage.unconverted.size) {
+        lines.push(chalk.yellow('  Unconverted upstream classes:'));
+        [...coverage.unconverted].sort().forEach((className) => {
+            lines.push(chalk.yellow(`    .${className}`));
+        });
+    }
+    return {
+        report: lines.join('\n'),
+        dead,
+        unconverted: coverage.unconverted.size,
+    };
+};
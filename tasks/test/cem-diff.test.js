@@ -0,0 +1,83 @@
+/*
+Copyright 2023 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import assert from 'assert/strict';
+import { describe, it } from 'node:test';
+import { diffManifests } from '../cem-diff.js';
+
+const manifestOf = (members) => ({
+    modules: [
+        {
+            kind: 'javascript-module',
+            path: 'src/Button.js',
+            declarations: [
+                {
+                    kind: 'class',
+                    name: 'Button',
+                    tagName: 'sp-button',
+                    members,
+                },
+            ],
+        },
+    ],
+});
+
+const field = (name, type, privacy) => ({
+    kind: 'field',
+    name,
+    type: { text: type },
+    ...(privacy ? { privacy } : {}),
+});
+
+describe('diffManifests', () => {
+    it('reports removed public properties', () => {
+        const { breaking } = diffManifests(
+            manifestOf([
+                field('variant', 'string', 'public'),
+                field('quiet', 'boolean'),
+            ]),
+            manifestOf([field('quiet', 'boolean')])
+        );
+        assert.deepEqual(breaking, [
+            '`<sp-button>` removed the `variant` property',
+        ]);
+    });
+    it('reports changed types of public properties', () => {
+        const { breaking } = diffManifests(
+            manifestOf([field('variant', 'string', 'public')]),
+            manifestOf([field('variant', "'accent' | 'primary'", 'public')])
+        );
+        assert.deepEqual(breaking, [
+            "`<sp-button>` changed the type of the `variant` property from `string` to `'accent' | 'primary'`",
+        ]);
+    });
+    it('ignores private and protected properties', () => {
+        const { breaking, additions } = diffManifests(
+            manifestOf([
+                field('focusElement', 'HTMLElement', 'protected'),
+                field('anchorElement', 'HTMLAnchorElement', 'private'),
+            ]),
+            manifestOf([])
+        );
+        assert.deepEqual(breaking, []);
+        assert.deepEqual(additions, []);
+    });
+    it('reports added public properties', () => {
+        const { additions } = diffManifests(
+            manifestOf([]),
+            manifestOf([field('treatment', 'string', 'public')])
+        );
+        assert.deepEqual(additions, [
+            '`<sp-button>` added the `treatment` property',
+        ]);
+    });
+});
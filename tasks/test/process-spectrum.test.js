@@ -0,0 +1,85 @@
+/*
+Copyright 2023 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import assert from 'assert/strict';
+import { after, describe, it } from 'node:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { processComponent } from '../process-spectrum.js';
+import { converterFor } from '../process-spectrum-utils.js';
+
+const converter = converterFor('spectrum-Picker');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'process-spectrum-'));
+
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+/**
+ * Convert a snippet of Spectrum CSS and return the converted rules.
+ *
+ * @param {string} css
+ * @param {import('../spectrum-css-converter').SelectorConversion[]} components
+ * @returns {Promise<string>}
+ */
+const convert = async (css, components) => {
+    const inPackage = path.join(tmpDir, 'index.css');
+    fs.writeFileSync(inPackage, css);
+    const [{ css: converted }] = await processComponent('picker', {
+        conversions: [
+            {
+                inPackage,
+                outPackage: 'picker',
+                fileName: 'picker',
+                components: [converter.classToHost(), ...components],
+            },
+        ],
+    });
+    return converted
+        .split('/* THIS FILE IS MACHINE GENERATED. DO NOT EDIT */')[1]
+        .trim();
+};
+
+describe('custom state conversions', () => {
+    it('converts a state class to a :state() of the host', async () => {
+        const css = await convert(
+            '.spectrum-Picker.is-open .spectrum-Picker-icon { color: red; }',
+            [
+                converter.classToPseudoState('is-open'),
+                converter.classToId('spectrum-Picker-icon', 'icon'),
+            ]
+        );
+        assert.equal(css, ':host(:state(open)) #icon{color:red}');
+    });
+
+    it('converts a negated state class to a negated :state() of the host', async () => {
+        const css = await convert(
+            '.spectrum-Picker:not(.is-invalid) { color: red; }',
+            [converter.notToPseudoState('is-invalid')]
+        );
+        assert.equal(css, ':host(:not(:state(invalid))){color:red}');
+    });
+
+    it('names the state with the provided value', async () => {
+        const css = await convert(
+            '.spectrum-Picker.is-dragged, .spectrum-Picker:not(.is-dragged) { color: red; }',
+            [
+                converter.classToPseudoState('is-dragged', 'is-moving'),
+                converter.notToPseudoState('is-dragged', 'moving'),
+            ]
+        );
+        assert.equal(
+            css,
+            ':host(:not(:state(moving))),:host(:state(is-moving)){color:red}'
+        );
+    });
+});
@@ -0,0 +1,400 @@
+/*
+Copyright 2023 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import assert from 'assert/strict';
+import { describe, it } from 'node:test';
+import { builder } from '../process-spectrum-utils.js';
+import { validateConfig } from '../spectrum-config-validator.js';
+
+const conversion = (overrides = {}) => ({
+    inPackage: '@spectrum-css/menu',
+    outPackage: 'menu',
+    fileName: 'menu',
+    components: [
+        {
+            find: builder.class('spectrum-Menu'),
+            replace: builder.pseudoClass('host'),
+        },
+    ],
+    ...overrides,
+});
+
+const config = (overrides) => ({ conversions: [conversion(overrides)] });
+
+const paths = (issues) => issues.map(({ path }) => path);
+
+describe('validateConfig', () => {
+    it('accepts a valid config', () => {
+        const issues = validateConfig({
+            conversions: [
+                conversion({
+                    hoistCustomPropertiesFrom: 'spectrum-Menu',
+                    allowThemeRules: true,
+                    components: [
+                        {
+                            find: builder.class('spectrum-Menu'),
+                            replace: builder.pseudoClass('host'),
+                        },
+                        {
+                            find: builder.class('is-selected'),
+                            replace: builder.attribute('selected'),
+                            hoist: true,
+                        },
+                        {
+                            find: [
+                                builder.class('spectrum-Menu-item'),
+                                builder.combinator(' '),
+                                builder.class('spectrum-Menu-checkmark'),
+                            ],
+                            replace: [
+                                'take',
+                                'take',
+                                { replace: builder.id('checkmark') },
+                            ],
+                            exactSelector: true,
+                        },
+                    ],
+                    excludeByComponents: [
+                        builder.class('spectrum-Menu--quiet'),
+                        { type: 'class', regex: /spectrum-Popover/ },
+                    ],
+                    excludeByWholeSelector: [
+                        [builder.class('spectrum-Menu-divider')],
+                    ],
+                }),
+                conversion({ fileName: 'menu-item' }),
+            ],
+        });
+        assert.deepEqual(issues, []);
+    });
+
+    it('rejects a config that is not an object', () => {
+        assert.deepEqual(paths(validateConfig(undefined)), ['default']);
+        assert.deepEqual(paths(validateConfig([])), ['default']);
+    });
+
+    it('rejects a config without conversions', () => {
+        assert.deepEqual(paths(validateConfig({})), ['conversions']);
+        assert.deepEqual(paths(validateConfig({ conversions: [] })), [
+            'conversions',
+        ]);
+    });
+
+    it('rejects a conversion that is not an object', () => {
+        assert.deepEqual(paths(validateConfig({ conversions: ['menu'] })), [
+            'conversions[0]',
+        ]);
+    });
+
+    it('rejects unknown conversion options', () => {
+        const issues = validateConfig(config({ hoist: false }));
+        assert.deepEqual(paths(issues), ['conversions[0].hoist']);
+        assert.match(issues[0].message, /^unknown option/);
+    });
+
+    it('rejects missing and empty strings', () => {
+        const issues = validateConfig(
+            config({
+                inPackage: undefined,
+                fileName: '',
+                hoistCustomPropertiesFrom: 1,
+            })
+        );
+        assert.deepEqual(paths(issues), [
+            'conversions[0].inPackage',
+            'conversions[0].fileName',
+            'conversions[0].hoistCustomPropertiesFrom',
+        ]);
+        assert.match(issues[0].message, /is required/);
+        assert.match(issues[1].message, /non-empty string/);
+    });
+
+    it('rejects an inPackage that cannot be resolved', () => {
+        const issues = validateConfig(
+            config({ inPackage: '@spectrum-css/not-a-package' })
+        );
+        assert.deepEqual(paths(issues), ['conversions[0].inPackage']);
+        assert.match(issues[0].message, /cannot resolve/);
+    });
+
+    it('rejects an empty or non-string outPackage array', () => {
+        assert.deepEqual(paths(validateConfig(config({ outPackage: [] }))), [
+            'conversions[0].outPackage',
+        ]);
+        assert.deepEqual(
+            paths(validateConfig(config({ outPackage: ['menu', 1] }))),
+            ['conversions[0].outPackage']
+        );
+    });
+
+    it('rejects options that must be booleans', () => {
+        const issues = validateConfig(
+            config({
+                allowThemeRules: 'yes',
+                components: [
+                    {
+                        find: builder.class('is-selected'),
+                        replace: builder.attribute('selected'),
+                        hoist: 'true',
+                    },
+                ],
+            })
+        );
+        assert.deepEqual(paths(issues), [
+            'conversions[0].allowThemeRules',
+            'conversions[0].components[0].hoist',
+        ]);
+        assert.match(issues[0].message, /must be a boolean/);
+    });
+
+    it('rejects missing components', () => {
+        assert.deepEqual(
+            paths(validateConfig(config({ components: undefined }))),
+            ['conversions[0].components']
+        );
+    });
+
+    it('rejects a component conversion that is not an object', () => {
+        assert.deepEqual(
+            paths(validateConfig(config({ components: ['spectrum-Menu'] }))),
+            ['conversions[0].components[0]']
+        );
+    });
+
+    it('rejects a component conversion without a find', () => {
+        assert.deepEqual(
+            paths(
+                validateConfig(
+                    config({
+                        components: [{ replace: builder.pseudoClass('host') }],
+                    })
+                )
+            ),
+            ['conversions[0].components[0].find']
+        );
+    });
+
+    it('rejects selector options on a single component conversion', () => {
+        const issues = validateConfig(
+            config({
+                components: [
+                    {
+                        find: builder.class('spectrum-Menu'),
+                        replace: builder.pseudoClass('host'),
+                        collapseSelector: true,
+                    },
+                ],
+            })
+        );
+        assert.deepEqual(paths(issues), [
+            'conversions[0].components[0].collapseSelector',
+        ]);
+    });
+
+    it('rejects an array replace of a single component conversion', () => {
+        assert.deepEqual(
+            paths(
+                validateConfig(
+                    config({
+                        components: [
+                            {
+                                find: builder.class('spectrum-Menu'),
+                                replace: [builder.pseudoClass('host')],
+                            },
+                        ],
+                    })
+                )
+            ),
+            ['conversions[0].components[0].replace']
+        );
+    });
+
+    it('rejects invalid replacements of a selector conversion', () => {
+        const issues = validateConfig(
+            config({
+                components: [
+                    {
+                        find: [builder.class('spectrum-Menu-item')],
+                        replace: builder.id('item'),
+                    },
+                    {
+                        find: [
+                            builder.class('spectrum-Menu-item'),
+                            builder.class('spectrum-Menu-checkmark'),
+                        ],
+                        replace: [
+                            'drop',
+                            { replace: builder.id('checkmark'), take: true },
+                        ],
+                        exactSelector: 'yes',
+                    },
+                ],
+            })
+        );
+        assert.deepEqual(paths(issues), [
+            'conversions[0].components[0].replace',
+            'conversions[0].components[1].exactSelector',
+            'conversions[0].components[1].replace[0]',
+            'conversions[0].components[1].replace[1].take',
+        ]);
+    });
+
+    it('rejects invalid selector components', () => {
+        const issues = validateConfig(
+            config({
+                components: [
+                    { find: 'spectrum-Menu' },
+                    { find: { type: 'element', name: 'sp-menu' } },
+                    { find: { type: 'class' } },
+                ],
+            })
+        );
+        assert.deepEqual(paths(issues), [
+            'conversions[0].components[0].find',
+            'conversions[0].components[1].find.type',
+            'conversions[0].components[2].find.name',
+        ]);
+    });
+
+    it('requires replacement components to be complete', () => {
+        const issues = validateConfig(
+            config({
+                components: [
+                    {
+                        find: builder.class('spectrum-Menu'),
+                        replace: { type: 'combinator' },
+                    },
+                    {
+                        find: builder.class('spectrum-Menu'),
+                        replace: {
+                            type: 'attribute',
+                            name: 'selected',
+                            operation: {},
+                        },
+                    },
+                    {
+                        find: builder.class('spectrum-Menu'),
+                        replace: { type: 'pseudo-class', kind: 'dir' },
+                    },
+                ],
+            })
+        );
+        assert.deepEqual(paths(issues), [
+            'conversions[0].components[0].replace.value',
+            'conversions[0].components[1].replace.operation.operator',
+            'conversions[0].components[1].replace.operation.value',
+            'conversions[0].components[2].replace.direction',
+        ]);
+    });
+
+    it('rejects invalid combinators and attribute operators', () => {
+        const issues = validateConfig(
+            config({
+                components: [
+                    {
+                        find: { type: 'combinator', value: 'sibling' },
+                    },
+                    {
+                        find: {
+                            type: 'attribute',
+                            name: 'size',
+                            operation: { operator: 'contains' },
+                        },
+                    },
+                ],
+            })
+        );
+        assert.deepEqual(paths(issues), [
+            'conversions[0].components[0].find.value',
+            'conversions[0].components[1].find.operation.operator',
+        ]);
+    });
+
+    it('rejects invalid selectors of pseudo-classes', () => {
+        const issues = validateConfig(
+            config({
+                components: [
+                    {
+                        find: {
+                            type: 'pseudo-class',
+                            kind: 'not',
+                            selectors: [],
+                        },
+                    },
+                    {
+                        find: {
+                            type: 'pseudo-class',
+                            kind: 'is',
+                            selectors: [[{ type: 'class', name: 1 }]],
+                        },
+                    },
+                    {
+                        find: builder.class('spectrum-Menu'),
+                        replace: { type: 'pseudo-class', kind: 'not' },
+                    },
+                ],
+            })
+        );
+        assert.deepEqual(paths(issues), [
+            'conversions[0].components[0].find.selectors',
+            'conversions[0].components[1].find.selectors[0][0].name',
+            'conversions[0].components[2].replace.selectors',
+        ]);
+    });
+
+    it('only allows regex components where they are matched', () => {
+        const issues = validateConfig(
+            config({
+                components: [
+                    {
+                        find: { type: 'class', regex: /spectrum-Menu/ },
+                    },
+                ],
+                excludeByComponents: [
+                    { type: 'class', regex: 'spectrum-Popover' },
+                ],
+            })
+        );
+        assert.deepEqual(paths(issues), [
+            'conversions[0].components[0].find.regex',
+            'conversions[0].excludeByComponents[0].regex',
+        ]);
+        assert.match(issues[0].message, /is only supported/);
+        assert.match(issues[1].message, /must be a RegExp/);
+    });
+
+    it('rejects selector lists that are not lists of selectors', () => {
+        const issues = validateConfig(
+            config({
+                excludeByComponents: builder.class('spectrum-Menu--quiet'),
+                excludeByWholeSelector: [],
+                includeByWholeSelector: [builder.class('spectrum-Menu')],
+            })
+        );
+        assert.deepEqual(paths(issues), [
+            'conversions[0].excludeByComponents',
+            'conversions[0].excludeByWholeSelector',
+            'conversions[0].includeByWholeSelector[0]',
+        ]);
+    });
+
+    it('rejects conversions that write to the same file', () => {
+        const issues = validateConfig({
+            conversions: [
+                conversion(),
+                conversion({ outPackage: ['menu'], fileName: 'menu' }),
+            ],
+        });
+        assert.deepEqual(paths(issues), ['conversions[1].fileName']);
+        assert.match(issues[0].message, /conversions\[0\]$/);
+    });
+});
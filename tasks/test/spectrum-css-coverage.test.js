@@ -0,0 +1,65 @@
+/*
+Copyright 2023 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import assert from 'assert/strict';
+import { describe, it } from 'node:test';
+import chalk from 'chalk';
+import { builder } from '../process-spectrum-utils.js';
+import { createCoverage, formatCoverage } from '../spectrum-css-coverage.js';
+
+chalk.level = 0;
+
+const conversion = {
+    fileName: 'tabs',
+    components: [
+        {
+            find: builder.class('spectrum-Tabs'),
+            replace: builder.pseudoClass('host'),
+        },
+    ],
+    excludeByComponents: [builder.class('spectrum-Tabs--vertical')],
+    excludeByWholeSelector: [
+        [builder.class('spectrum-Tabs-item'), builder.pseudoElement('before')],
+    ],
+};
+
+describe('formatCoverage', () => {
+    it('describes the finds of components and excluded components', () => {
+        const coverage = createCoverage(conversion);
+        coverage.components[0] = 3;
+        const { report, dead } = formatCoverage(
+            '@spectrum-css/tabs',
+            coverage,
+            conversion
+        );
+        assert.match(report, /3\tcomponents\[0\] \.spectrum-Tabs$/m);
+        assert.match(
+            report,
+            /0\texcludeByComponents\[0\] \.spectrum-Tabs--vertical$/m
+        );
+        assert.equal(dead, 2);
+    });
+
+    it('describes whole selectors that are excluded', () => {
+        const coverage = createCoverage(conversion);
+        coverage.excludeByWholeSelector[0] = 1;
+        const { report } = formatCoverage(
+            '@spectrum-css/tabs',
+            coverage,
+            conversion
+        );
+        assert.match(
+            report,
+            /1\texcludeByWholeSelector\[0\] \.spectrum-Tabs-item::before$/m
+        );
+    });
+});
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+// @ts-check
+/*
+Copyright 2023 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+import chalk from 'chalk';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import { formatIssues, loadConfigs } from './spectrum-config-validator.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const root = path.resolve(__dirname, '../');
+
+const { package: packageFilter } = yargs(hideBin(process.argv)).argv;
+
+async function validateConfigs() {
+    const configs = await loadConfigs(root, [].concat(packageFilter || []));
+    let issueCount = 0;
+    configs.forEach(({ packageName, issues }) => {
+        if (!issues.length) {
+            return;
+        }
+        issueCount += issues.length;
+        console.error(formatIssues(packageName, issues));
+    });
+    if (issueCount) {
+        console.error(
+            chalk.bold.red(
+                `Found ${issueCount} issues in ${configs.length} spectrum-config.js files.`
+            )
+        );
+        return 1;
+    }
+    console.log(
+        chalk.green(`Validated ${configs.length} spectrum-config.js files.`)
+    );
+    return 0;
+}
+
+async function main() {
+    process.exit(await validateConfigs());
+}
+
+main();
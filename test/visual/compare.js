@@ -0,0 +1,180 @@
+/*
+Copyright 2023 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+import { PNG } from 'pngjs';
+import pixelmatch from 'pixelmatch';
+
+// the size of the windows that the SSIM of two screenshots is averaged over
+const ssimWindow = 8;
+const ssimC1 = (0.01 * 255) ** 2;
+const ssimC2 = (0.03 * 255) ** 2;
+
+/**
+ * Paint the masked regions of a screenshot, given in CSS pixels relative to the
+ * screenshot, so that they are identical in the baseline and the actual image.
+ */
+function applyMask(png, mask = [], devicePixelRatio = 1) {
+    mask.forEach(({ x, y, width, height }) => {
+        const left = Math.max(0, Math.floor(x * devicePixelRatio));
+        const top = Math.max(0, Math.floor(y * devicePixelRatio));
+        const right = Math.min(
+            png.width,
+            Math.ceil((x + width) * devicePixelRatio)
+        );
+        const bottom = Math.min(
+            png.height,
+            Math.ceil((y + height) * devicePixelRatio)
+        );
+        for (let row = top; row < bottom; row += 1) {
+            for (let column = left; column < right; column += 1) {
+                const index = (row * png.width + column) * 4;
+                png.data[index] = 255;
+                png.data[index + 1] = 0;
+                png.data[index + 2] = 255;
+                png.data[index + 3] = 255;
+            }
+        }
+    });
+}
+
+/**
+ * The luminance of each pixel, composited onto white.
+ */
+function luminance({ data, width, height }) {
+    const values = new Float64Array(width * height);
+    for (let index = 0; index < values.length; index += 1) {
+        const alpha = data[index * 4 + 3] / 255;
+        const [red, green, blue] = [0, 1, 2].map(
+            (channel) => data[index * 4 + channel] * alpha + 255 * (1 - alpha)
+        );
+        values[index] = 0.299 * red + 0.587 * green + 0.114 * blue;
+    }
+    return values;
+}
+
+/**
+ * The mean structural similarity of two images of the same size, from 0 for
+ * unrelated images to 1 for identical ones.
+ */
+export function ssim(baseline, actual) {
+    const { width, height } = baseline;
+    const baselineLuminance = luminance(baseline);
+    const actualLuminance = luminance(actual);
+    let total = 0;
+    let windows = 0;
+    for (let top = 0; top < height; top += ssimWindow) {
+        for (let left = 0; left < width; left += ssimWindow) {
+            const bottom = Math.min(top + ssimWindow, height);
+            const right = Math.min(left + ssimWindow, width);
+            const count = (bottom - top) * (right - left);
+            let meanBaseline = 0;
+            let meanActual = 0;
+            for (let row = top; row < bottom; row += 1) {
+                for (let column = left; column < right; column += 1) {
+                    meanBaseline += baselineLuminance[row * width + column];
+                    meanActual += actualLuminance[row * width + column];
+                }
+            }
+            meanBaseline /= count;
+            meanActual /= count;
+            let varianceBaseline = 0;
+            let varianceActual = 0;
+            let covariance = 0;
+            for (let row = top; row < bottom; row += 1) {
+                for (let column = left; column < right; column += 1) {
+                    const baselineDelta =
+                        baselineLuminance[row * width + column] - meanBaseline;
+                    const actualDelta =
+                        actualLuminance[row * width + column] - meanActual;
+                    varianceBaseline += baselineDelta ** 2;
+                    varianceActual += actualDelta ** 2;
+                    covariance += baselineDelta * actualDelta;
+                }
+            }
+            varianceBaseline /= count;
+            varianceActual /= count;
+            covariance /= count;
+            total +=
+                ((2 * meanBaseline * meanActual + ssimC1) *
+                    (2 * covariance + ssimC2)) /
+                ((meanBaseline ** 2 + meanActual ** 2 + ssimC1) *
+                    (varianceBaseline + varianceActual + ssimC2));
+            windows += 1;
+        }
+    }
+    return windows ? total / windows : 1;
+}
+
+/**
+ * Compare a screenshot with its baseline as configured by the `swc_vrt` of its story:
+ * - `comparison: 'pixel'` (default) counts the pixels that differ, and fails when
+ *   more than `failureThreshold` pixels, or percent of pixels, differ
+ * - `comparison: 'ssim'` measures the perceptual similarity, and fails when the
+ *   images are more than `failureThreshold` percent dissimilar
+ * - `mask` lists regions of the screenshot that are ignored in either comparison
+ */
+export function compareImages({
+    baselineImage,
+    image,
+    diffOptions = {},
+    options = {},
+}) {
+    const {
+        comparison = 'pixel',
+        failureThreshold = 0,
+        failureThresholdType = 'percent',
+        mask,
+        devicePixelRatio,
+    } = options;
+    const baseline = PNG.sync.read(baselineImage);
+    const actual = PNG.sync.read(image);
+    const { width, height } = baseline;
+    if (width !== actual.width || height !== actual.height) {
+        return {
+            error: `Screenshot is not the same width and height as the baseline. Baseline: { width: ${width}, height: ${height} } Screenshot: { width: ${actual.width}, height: ${actual.height} }`,
+        };
+    }
+    applyMask(baseline, mask, devicePixelRatio);
+    applyMask(actual, mask, devicePixelRatio);
+    const diff = new PNG({ width, height });
+    const diffPixels = pixelmatch(
+        baseline.data,
+        actual.data,
+        diff.data,
+        width,
+        height,
+        diffOptions
+    );
+    const diffPercentage = (diffPixels / (width * height)) * 100;
+    let score;
+    let passed;
+    if (comparison === 'ssim') {
+        score = ssim(baseline, actual);
+        passed = (1 - score) * 100 <= failureThreshold;
+    } else {
+        score = failureThresholdType === 'pixel' ? diffPixels : diffPercentage;
+        passed = score <= failureThreshold;
+    }
+    return {
+        diffImage: PNG.sync.write(diff),
+        diffPixels,
+        diffPercentage,
+        metric: {
+            comparison,
+            score,
+            failureThreshold,
+            failureThresholdType:
+                comparison === 'ssim' ? 'percent' : failureThresholdType,
+            masked: mask?.length || 0,
+            passed,
+        },
+    };
+}
@@ -0,0 +1,143 @@
+/*
+Copyright 2023 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+/**
+ * The passes of the visual regression suite, as run by the `vrt-*` groups of
+ * `web-test-runner.config.js` and linked from the review site.
+ */
+export const vrtMatrix = {
+    // every combination of these is a pass of its own
+    combine: {
+        themeVariant: ['classic', 'express'],
+        color: ['lightest', 'light', 'dark', 'darkest'],
+        scale: ['medium', 'large'],
+        dir: ['ltr', 'rtl'],
+    },
+    // the settings of every pass, unless it lists them otherwise
+    settings: {
+        reduceMotion: true,
+        forcedColors: false,
+        zoom: 1,
+    },
+    // further passes of a single combination with other settings
+    passes: [
+        {
+            name: 'hcm',
+            label: 'High Contrast Mode | Medium | LTR',
+            themeVariant: 'spectrum',
+            color: 'dark',
+            scale: 'medium',
+            dir: 'ltr',
+            forcedColors: true,
+        },
+        {
+            name: 'motion',
+            label: 'Motion | Light | Medium | LTR',
+            themeVariant: 'spectrum',
+            color: 'light',
+            scale: 'medium',
+            dir: 'ltr',
+            reduceMotion: false,
+        },
+        {
+            name: 'zoom-200',
+            label: 'Zoom 200% | Light | Medium | LTR',
+            themeVariant: 'spectrum',
+            color: 'light',
+            scale: 'medium',
+            dir: 'ltr',
+            zoom: 2,
+        },
+    ],
+};
+
+const labelOf = (key, value) =>
+    key === 'dir'
+        ? value.toUpperCase()
+        : value[0].toUpperCase() + value.substr(1);
+
+/**
+ * List the passes of the matrix, optionally only those that match a subset,
+ * e.g. `['express', 'dark', 'rtl']` or `['hcm']`. Values of the same setting
+ * match either of them, values of different settings match all of them.
+ */
+export function vrtPasses(subset = []) {
+    const { combine, settings, passes } = vrtMatrix;
+    let combined = [{}];
+    Object.entries(combine).forEach(([key, values]) => {
+        combined = combined.flatMap((pass) =>
+            values.map((value) => ({ ...pass, [key]: value }))
+        );
+    });
+    const all = [
+        ...combined.map((pass) => ({
+            name: Object.keys(combine)
+                .map((key) => pass[key])
+                .join('-'),
+            label: Object.keys(combine)
+                .map((key) => labelOf(key, pass[key]))
+                .join(' | '),
+            ...settings,
+            ...pass,
+        })),
+        ...passes.map((pass) => ({ ...settings, ...pass })),
+    ];
+    if (!subset.length) {
+        return all;
+    }
+    const names = [];
+    const filters = {};
+    subset.forEach((term) => {
+        if (all.some(({ name }) => name === term)) {
+            names.push(term);
+            return;
+        }
+        const key = Object.keys(combine).find((key) =>
+            combine[key].includes(term)
+        );
+        if (!key) {
+            throw new Error(
+                `"${term}" is not a pass or a value of ${Object.keys(
+                    combine
+                ).join(', ')} in the VRT matrix.`
+            );
+        }
+        filters[key] = [...(filters[key] || []), term];
+    });
+    return all.filter(
+        (pass) =>
+            names.includes(pass.name) ||
+            (Object.keys(filters).length &&
+                Object.entries(filters).every(([key, values]) =>
+                    values.includes(pass[key])
+                ))
+    );
+}
+
+/**
+ * Read the subset of the matrix to run from `--matrix express,dark,rtl`.
+ */
+export function vrtMatrixSubset(argv = process.argv) {
+    const index = argv.findIndex(
+        (arg) => arg === '--matrix' || arg.startsWith('--matrix=')
+    );
+    if (index === -1) {
+        return;
+    }
+    const value = argv[index].includes('=')
+        ? argv[index].split('=')[1]
+        : argv[index + 1] || '';
+    return value
+        .split(',')
+        .map((term) => term.trim())
+        .filter(Boolean);
+}
@@ -0,0 +1,212 @@
+/*
+Copyright 2023 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+import fs from 'fs';
+import path from 'path';
+import fg from 'fast-glob';
+import { PNG } from 'pngjs';
+import pixelmatch from 'pixelmatch';
+
+const baselineDir = 'test/visual/screenshots-baseline';
+const updatesDir = 'test/visual/screenshots-actual/updates';
+const diffDir = 'test/visual/screenshots-actual/diff';
+const metricsDir = 'test/visual/screenshots-actual/metrics';
+
+function cleanURL(url) {
+    return url.replace('test/visual/', '../');
+}
+
+function cleanID(url, type) {
+    return url.replace(`test/visual/${type ? `${type}/` : ''}`, '');
+}
+
+/**
+ * The comparison of a screenshot with its baseline, as recorded by the
+ * `getImageDiff` of `configuredVisualRegressionPlugin()`.
+ */
+function metricPathFor(id) {
+    const [, ...nameParts] = id.split('/');
+    return path.join(
+        metricsDir,
+        nameParts.join('/').replace(/\.png$/, '.json')
+    );
+}
+
+function readMetric(id) {
+    const metricPath = metricPathFor(id);
+    if (!fs.existsSync(metricPath)) {
+        return;
+    }
+    return JSON.parse(fs.readFileSync(metricPath, 'utf8'));
+}
+
+/**
+ * Screenshots are saved as `<browser>/<color>/<scale>/<pass>/<name>/<story>.png`,
+ * where the pass is the direction, e.g. `rtl`, with `hcm`, `motion`, or
+ * `zoom-200` appended for those passes, so the runs of every color, scale,
+ * and pass can be reviewed together.
+ */
+const testRunReducer = (acc, test) => {
+    const idParts = test.id.split('/');
+    const run = idParts.slice(1, 4).join(' | ');
+    const group = idParts.slice(4, idParts.length - 1).join('/');
+    acc[run] = acc[run] || {};
+    acc[run][group] = acc[run][group] || [];
+    acc[run][group].push(test);
+    return acc;
+};
+
+/**
+ * Pair the baseline, actual, and diff screenshots of each test and sort them
+ * into `passed`, `updated`, `new`, and `removed` results.
+ */
+export async function collectTests() {
+    const allTests = [];
+    for (const path of await fg(`${baselineDir}/**/*.png`)) {
+        const pathParts = path.split('/');
+        const name = pathParts[pathParts.length - 1];
+        const baseline = cleanURL(path);
+        const id = cleanID(path, 'screenshots-baseline');
+        const test = {
+            id,
+            name,
+            baseline,
+            baselinePath: path,
+        };
+        allTests.push(test);
+    }
+    for (const path of await fg(`${updatesDir}/**/*.png`)) {
+        const pathParts = path.split('/');
+        const name = pathParts[pathParts.length - 1];
+        const actual = cleanURL(path);
+        const id = cleanID(path, 'screenshots-actual/updates');
+        const test = {
+            id,
+            name,
+            actual,
+            actualPath: path,
+        };
+        const existingTest = allTests.find((test) => test.id === id);
+        if (existingTest) {
+            existingTest.actual = actual;
+            existingTest.actualPath = path;
+        } else {
+            allTests.push(test);
+        }
+    }
+    for (const path of await fg(`${diffDir}/**/*.png`)) {
+        const pathParts = path.split('/');
+        const name = pathParts[pathParts.length - 1];
+        const diff = cleanURL(path);
+        const id = cleanID(path, 'screenshots-actual/diff');
+        const test = {
+            id,
+            name,
+            diff,
+        };
+        const existingTest = allTests.find((test) => test.id === id);
+        const metric = existingTest && readMetric(id);
+        if (metric) {
+            // The last comparison of the screenshot, including its threshold and masks, decides.
+            if (!metric.passed) {
+                existingTest.diff = diff;
+            }
+        } else if (existingTest) {
+            // When a VRT passes on the second try, it will still have created a diff from the first pass.
+            // Confirm if the actual and baseline images are actually different before including the diff here.
+            try {
+                const actual = PNG.sync.read(
+                    fs.readFileSync(existingTest.actualPath)
+                );
+                const baseline = PNG.sync.read(
+                    fs.readFileSync(existingTest.baselinePath)
+                );
+                const { width, height } = actual;
+                const result = new PNG({ width, height });
+                const numpixels = pixelmatch(
+                    actual.data,
+                    baseline.data,
+                    result.data,
+                    width,
+                    height,
+                    { threshold: 0 }
+                );
+                if (numpixels > 0) {
+                    existingTest.diff = diff;
+                }
+            } catch (error) {
+                // This likely means that the two images where of different sizes,
+                // or that the baseline or actual image is missing.
+                existingTest.diff = diff;
+            }
+        } else {
+            allTests.push(test);
+        }
+    }
+    allTests.forEach((test) => {
+        delete test.actualPath;
+        delete test.baselinePath;
+        if (test.actual && test.baseline) {
+            test.metric = readMetric(test.id);
+        }
+    });
+    const tests = {
+        passed: allTests.filter(
+            (test) => !!test.actual && !test.diff && !!test.baseline
+        ),
+        updated: allTests.filter(
+            (test) => !!test.actual && !!test.diff && !!test.baseline
+        ),
+        new: allTests.filter(
+            (test) => !!test.actual && !test.diff && !test.baseline
+        ),
+        removed: allTests.filter(
+            (test) => !test.actual && !test.diff && !!test.baseline
+        ),
+    };
+    tests.passed = tests.passed.reduce(testRunReducer, {});
+    tests.updated = tests.updated.reduce(testRunReducer, {});
+    tests.new = tests.new.reduce(testRunReducer, {});
+    tests.removed = tests.removed.reduce(testRunReducer, {});
+    return tests;
+}
+
+/**
+ * Resolve the screenshot of a test in one of the screenshot directories,
+ * refusing ids that would point outside of it.
+ */
+function screenshotPath(dir, id) {
+    const root = path.resolve(dir);
+    const screenshot = path.resolve(root, id);
+    if (
+        !screenshot.startsWith(`${root}${path.sep}`) ||
+        path.extname(screenshot) !== '.png'
+    ) {
+        throw new Error(`"${id}" is not a screenshot.`);
+    }
+    return screenshot;
+}
+
+/**
+ * Copy the actual screenshot of a test into the baseline, so that it is used
+ * as the golden image from now on.
+ */
+export async function acceptScreenshot(id) {
+    const actual = screenshotPath(updatesDir, id);
+    const baseline = screenshotPath(baselineDir, id);
+    if (!fs.existsSync(actual)) {
+        throw new Error(`There is no updated screenshot for "${id}".`);
+    }
+    await fs.promises.mkdir(path.dirname(baseline), { recursive: true });
+    await fs.promises.copyFile(actual, baseline);
+    await fs.promises.rm(screenshotPath(diffDir, id), { force: true });
+    await fs.promises.rm(metricPathFor(id), { force: true });
+}
@@ -10,6 +10,7 @@ OF ANY KIND, either express or implied. See the License for the specific languag
 governing permissions and limitations under the License.
 */
 import '@spectrum-web-components/story-decorator/sp-story-decorator.js';
+import '@spectrum-web-components/button/sp-button.js';
 import '@spectrum-web-components/sidenav/sp-sidenav.js';
 import '@spectrum-web-components/sidenav/sp-sidenav-item.js';
 import '@spectrum-web-components/sidenav/sp-sidenav-heading.js';
@@ -19,86 +20,138 @@ import { html, nothing, render } from 'lit-html';
 const review = document.querySelector('vrt-compare');
 const resultTypes = ['new', 'updated', 'removed', 'passed'];
 
+const countTests = (runs) =>
+    Object.values(runs).reduce(
+        (acc, groups) =>
+            acc +
+            Object.values(groups).reduce((acc, group) => acc + group.length, 0),
+        0
+    );
+
+const firstTest = (runs) => {
+    const run = Object.keys(runs).sort()[0];
+    if (!run) {
+        return;
+    }
+    const group = Object.keys(runs[run]).sort()[0];
+    return runs[run][group][0];
+};
+
+function findTest(tests, id) {
+    for (const type of resultTypes) {
+        for (const groups of Object.values(tests[type])) {
+            for (const group of Object.values(groups)) {
+                const test = group.find((testResult) => testResult.id === id);
+                if (test) {
+                    return test;
+                }
+            }
+        }
+    }
+}
+
 function buildNavigation(tests, metadata) {
     const sidenav = document.querySelector('sp-sidenav');
-    const resultsByType = resultTypes.reduce((acc, type) => {
-        acc[type] = Object.keys(tests[type]).reduce((acc, group) => {
-            return acc + tests[type][group].length;
-        }, 0);
-        return acc;
-    }, {});
     render(
         html`
-            <sp-sidenav-heading label="Results for">
-                <sp-sidenav-item
-                    label=${metadata.branch}
-                    style="user-select: all"
-                ></sp-sidenav-item>
-                <sp-sidenav-item
-                    label=${metadata.theme}
-                    style="user-select: all"
-                ></sp-sidenav-item>
-            </sp-sidenav-heading>
-            <sp-sidenav-item multilevel label="Other VRT Results">
-                ${metadata.vrts.map(
-                    (theme) => html`
-                        <sp-sidenav-item
-                            label=${theme[0]}
-                            href=${theme[1]}
-                        ></sp-sidenav-item>
-                    `
-                )}
-            </sp-sidenav-item>
-            <sp-sidenav-heading label="Preview">
-                <sp-sidenav-item
-                    label="Docs Site"
-                    href=${metadata.preview}
-                ></sp-sidenav-item>
-                <sp-sidenav-item
-                    label="Storybook"
-                    href="${metadata.preview}/storybook"
-                ></sp-sidenav-item>
-            </sp-sidenav-heading>
-            <sp-sidenav-heading label="Golden Images Hash">
-                <sp-sidenav-item
-                    label=${metadata.commit}
-                    style="user-select: all"
-                ></sp-sidenav-item>
-            </sp-sidenav-heading>
+            ${metadata.local
+                ? html`
+                      <sp-sidenav-heading label="Results for">
+                          <sp-sidenav-item
+                              label="Local screenshots"
+                          ></sp-sidenav-item>
+                      </sp-sidenav-heading>
+                  `
+                : html`
+                      <sp-sidenav-heading label="Results for">
+                          <sp-sidenav-item
+                              label=${metadata.branch}
+                              style="user-select: all"
+                          ></sp-sidenav-item>
+                          <sp-sidenav-item
+                              label=${metadata.theme}
+                              style="user-select: all"
+                          ></sp-sidenav-item>
+                      </sp-sidenav-heading>
+                      <sp-sidenav-item multilevel label="Other VRT Results">
+                          ${metadata.vrts.map(
+                              (theme) => html`
+                                  <sp-sidenav-item
+                                      label=${theme[0]}
+                                      href=${theme[1]}
+                                  ></sp-sidenav-item>
+                              `
+                          )}
+                      </sp-sidenav-item>
+                      <sp-sidenav-heading label="Preview">
+                          <sp-sidenav-item
+                              label="Docs Site"
+                              href=${metadata.preview}
+                          ></sp-sidenav-item>
+                          <sp-sidenav-item
+                              label="Storybook"
+                              href="${metadata.preview}/storybook"
+                          ></sp-sidenav-item>
+                      </sp-sidenav-heading>
+                      <sp-sidenav-heading label="Golden Images Hash">
+                          <sp-sidenav-item
+                              label=${metadata.commit}
+                              style="user-select: all"
+                          ></sp-sidenav-item>
+                      </sp-sidenav-heading>
+                  `}
             ${resultTypes.map((resultType) => {
-                const groups = Object.keys(tests[resultType]).sort();
+                const runs = Object.keys(tests[resultType]).sort();
                 return html`
-                    ${tests[resultType] && groups.length
+                    ${tests[resultType] && runs.length
                         ? html`
                               <sp-sidenav-heading label=${resultType}>
                                   <sp-sidenav-item
-                                      label="${resultsByType[
-                                          resultType
-                                      ]} screenshots"
+                                      label="${countTests(
+                                          tests[resultType]
+                                      )} screenshots"
                                       ?expanded=${resultType !== 'passed'}
                                       multiLevel
                                   >
-                                      ${groups.map((group) => {
+                                      ${runs.map((run) => {
+                                          const groups = tests[resultType][run];
                                           return html`
                                               <sp-sidenav-item
-                                                  label=${group}
-                                                  value=${group}
+                                                  label=${run}
+                                                  value=${run}
+                                                  ?expanded=${resultType !==
+                                                      'passed' &&
+                                                  runs.length === 1}
                                               >
-                                                  ${tests[resultType][
-                                                      group
-                                                  ].map((test) => {
-                                                      return html`
-                                                          <sp-sidenav-item
-                                                              @click=${() =>
-                                                                  placeTest(
-                                                                      test
+                                                  ${Object.keys(groups)
+                                                      .sort()
+                                                      .map(
+                                                          (group) => html`
+                                                              <sp-sidenav-item
+                                                                  label=${group}
+                                                                  value=${group}
+                                                              >
+                                                                  ${groups[
+                                                                      group
+                                                                  ].map(
+                                                                      (
+                                                                          test
+                                                                      ) => html`
+                                                                          <sp-sidenav-item
+                                                                              @click=${() =>
+                                                                                  placeTest(
+                                                                                      test,
+                                                                                      metadata
+                                                                                  )}
+                                                                              label=${test.name}
+                                                                              value=${test.id}
+                                                                              href="#${test.id}"
+                                                                          ></sp-sidenav-item>
+                                                                      `
                                                                   )}
-                                                              label=${test.name}
-                                                              value=${test.name}
-                                                              href="#${group}/${test.name}"
-                                                          ></sp-sidenav-item>
-                                                      `;
-                                                  })}
+                                                              </sp-sidenav-item>
+                                                          `
+                                                      )}
                                               </sp-sidenav-item>
                                           `;
                                       })}
@@ -111,42 +164,42 @@ function buildNavigation(tests, metadata) {
         `,
         sidenav
     );
-    const hash = location.hash.replace('#', '');
+    const hash = decodeURIComponent(location.hash.replace('#', ''));
     if (hash) {
-        const [group, name] = hash.split('/');
-        let test;
-        for (let type in tests) {
-            if (tests[type][group]) {
-                test = tests[type][group].find(
-                    (testResult) => testResult.name === name
-                );
-            }
+        const test = findTest(tests, hash);
+        if (test) {
+            sidenav.value = test.id;
+            placeTest(test, metadata);
+            return;
         }
+    }
+    for (const resultType of resultTypes) {
+        const test = firstTest(tests[resultType]);
         if (test) {
-            placeTest(test);
+            sidenav.value = test.id;
+            placeTest(test, metadata);
             return;
         }
     }
-    if (Object.keys(tests.new).length) {
-        const key = Object.keys(tests.new)[0];
-        sidenav.value = tests.new[key][0].name;
-        placeTest(tests.new[key][0]);
-    } else if (Object.keys(tests.updated).length) {
-        const key = Object.keys(tests.updated)[0];
-        sidenav.value = tests.updated[key][0].name;
-        placeTest(tests.updated[key][0]);
-    } else if (Object.keys(tests.removed).length) {
-        const key = Object.keys(tests.removed)[0];
-        sidenav.value = tests.removed[key][0].name;
-        placeTest(tests.removed[key][0]);
-    } else if (Object.keys(tests.passed).length) {
-        const key = Object.keys(tests.passed)[0];
-        sidenav.value = tests.passed[key][0].name;
-        placeTest(tests.passed[key][0]);
+    placeTest({}, metadata);
+}
+
+async function acceptTest(test) {
+    const response = await fetch('../accept', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id: test.id }),
+    });
+    if (!response.ok) {
+        // eslint-disable-next-line no-console
+        console.error(await response.text());
+        return;
     }
+    location.hash = test.id;
+    await run();
 }
 
-function placeTest(test) {
+function placeTest(test, metadata) {
     const results = [];
     review.innerHTML = '';
     if (test.baseline) {
@@ -168,16 +221,30 @@ function placeTest(test) {
         results.push(img);
     }
     review.append(...results);
+    review.metric = test.metric;
+    // Screenshots can only be accepted into the baseline when served locally.
+    render(
+        metadata.local && test.actual && (test.diff || !test.baseline)
+            ? html`
+                  <sp-button @click=${() => acceptTest(test)}>
+                      Accept into baseline
+                  </sp-button>
+              `
+            : nothing,
+        document.querySelector('.actions')
+    );
 }
 
 async function run() {
     const response = await fetch('./data.json');
     const data = await response.json();
     const decorator = document.querySelector('sp-story-decorator');
-    const theme = data.meta.theme.split(' ');
-    decorator.theme = theme[0];
-    decorator.color = theme[1];
-    decorator.scale = theme[2];
+    if (data.meta.theme) {
+        const theme = data.meta.theme.split(' ');
+        decorator.theme = theme[0];
+        decorator.color = theme[1];
+        decorator.scale = theme[2];
+    }
     buildNavigation(data.tests, data.meta);
 }
 
@@ -14,6 +14,7 @@ import {
     elementUpdated,
     fixture,
     nextFrame,
+    oneEvent,
     waitUntil,
 } from '@open-wc/testing';
 import { visualDiff } from '@web/test-runner-visual-regression';
@@ -22,26 +23,107 @@ import { Color, Scale } from '@spectrum-web-components/theme';
 import { StoryDecorator } from '@spectrum-web-components/story-decorator/src/StoryDecorator';
 import { html, TemplateResult } from '@spectrum-web-components/base';
 import { render } from 'lit';
-import { emulateMedia, sendKeys } from '@web/test-runner-commands';
+import {
+    emulateMedia,
+    executeServerCommand,
+    sendKeys,
+} from '@web/test-runner-commands';
 import { ignoreResizeObserverLoopError } from '../testing-helpers.js';
+import { sendMouse } from '../plugins/browser.js';
 
 ignoreResizeObserverLoopError(before, after);
 
 const wrap = () => html`
     <sp-story-decorator
-        reduce-motion
+        ?reduce-motion=${window.__swc_hack_knobs__.defaultReduceMotion !==
+        false}
         screenshot
         tabindex="0"
     ></sp-story-decorator>
 `;
 
+/**
+ * How the screenshots of a story are compared with their baseline, set via
+ * `swc_vrt` on the default export of a stories file or on a single story.
+ */
+export type VisualDiffOptions = {
+    /**
+     * `pixel` counts the pixels that differ, `ssim` measures how similar the
+     * screenshots look, which tolerates changes in e.g. anti-aliasing.
+     */
+    comparison?: 'pixel' | 'ssim';
+    /**
+     * How many pixels, or what percent of pixels, may differ. For `ssim`
+     * comparisons, the percent that the screenshots may be dissimilar.
+     */
+    failureThreshold?: number;
+    failureThresholdType?: 'pixel' | 'percent';
+    /**
+     * Selectors of the elements in the story to ignore, e.g. animations.
+     */
+    mask?: string[];
+};
+
+/**
+ * Which snapshots to take of a story in addition to its own, set via
+ * `swc_vrt.matrix` on the default export of a stories file or on a single
+ * story. By default, every option of the `argTypes` that list them is combined,
+ * save for the args that the stories file or the story sets; `matrix: false`
+ * snapshots the story alone.
+ */
+export type MatrixOptions = {
+    /**
+     * The `argTypes` to combine the options of, even when the story sets them;
+     * all of those that it does not set by default.
+     */
+    args?: string[];
+    /**
+     * The most combinations to snapshot, which are spread across the options
+     * of every arg when there are more.
+     */
+    max?: number;
+};
+
+const defaultMatrixMax = 16;
+
+/**
+ * The states that a story can be driven into before it is snapshotted, set via
+ * `swc_vrt.states` on the default export of a stories file or on a single
+ * story. Each state is saved as a screenshot of its own, next to that of the
+ * story in its resting state.
+ */
+export type InteractionState =
+    | 'hover'
+    | 'focus-visible'
+    | 'active'
+    | 'open'
+    | {
+          state: 'hover' | 'focus-visible' | 'active' | 'open';
+          /**
+           * The element to interact with, the first element of the story by default.
+           */
+          target?: string;
+          /**
+           * The name of the screenshot, the state by default.
+           */
+          name?: string;
+      };
+
+type Variation = {
+    label: string;
+    args: Record<string, unknown>;
+    state?: Exclude<InteractionState, string>;
+};
+
 interface Story<T> {
     (args: T): TemplateResult;
     args?: Partial<T>;
     argTypes?: Record<string, unknown>;
     decorators?: (() => TemplateResult)[];
-    swc_vrt?: {
-        skip: Boolean;
+    swc_vrt?: VisualDiffOptions & {
+        skip?: Boolean;
+        matrix?: boolean | MatrixOptions;
+        states?: InteractionState[];
     };
 }
 
@@ -52,22 +134,261 @@ type StoriesType = {
 export type TestsType = StoriesType & {
     default: {
         title: string;
-        swc_vrt?: {
+        args?: Record<string, unknown>;
+        argTypes?: Record<string, unknown>;
+        swc_vrt?: VisualDiffOptions & {
             preload?: () => void;
+            matrix?: boolean | MatrixOptions;
+            states?: InteractionState[];
         };
     };
 };
 
+const greatestCommonDivisor = (a: number, b: number): number =>
+    b ? greatestCommonDivisor(b, a % b) : a;
+
+/**
+ * The combinations of the options in the `argTypes` of a story to snapshot,
+ * as configured by its `swc_vrt.matrix`.
+ */
+export const matrixOf = (
+    story: Story<{}>,
+    storiesDefault: TestsType['default']
+): Variation[] => {
+    const matrix =
+        story.swc_vrt?.matrix ?? storiesDefault.swc_vrt?.matrix ?? true;
+    // A story that takes no args renders the same for every combination.
+    if (!matrix || !story.length) {
+        return [];
+    }
+    const { args: argNames, max = defaultMatrixMax } =
+        matrix === true ? ({} as MatrixOptions) : matrix;
+    const argTypes = {
+        ...(storiesDefault.argTypes || {}),
+        ...(story.argTypes || {}),
+    } as Record<
+        string,
+        { options?: unknown[]; control?: { options?: unknown[] } }
+    >;
+    const pinned = {
+        ...(storiesDefault.args || {}),
+        ...(story.args || {}),
+    };
+    const dimensions = Object.keys(argTypes)
+        .filter((arg) => (argNames ? argNames.includes(arg) : !(arg in pinned)))
+        .map((arg): [string, unknown[]] => [
+            arg,
+            argTypes[arg]?.options || argTypes[arg]?.control?.options || [],
+        ])
+        .filter(([, options]) => options.length);
+    if (!dimensions.length) {
+        return [];
+    }
+    let combinations: Record<string, unknown>[] = [{}];
+    dimensions.forEach(([arg, options]) => {
+        combinations = combinations.flatMap((combination) =>
+            options.map((option) => ({ ...combination, [arg]: option }))
+        );
+    });
+    const total = combinations.length;
+    if (total > max) {
+        // Step through the combinations with a stride that shares no factor
+        // with their number, so that the snapshots vary every arg.
+        let stride = Math.max(1, Math.floor(total / max));
+        while (greatestCommonDivisor(stride, total) !== 1) {
+            stride += 1;
+        }
+        const all = combinations;
+        combinations = Array.from(
+            { length: max },
+            (_, index) => all[(index * stride) % total]
+        );
+        console.warn(
+            `Snapshotting ${max} of the ${total} combinations of ${dimensions
+                .map(([arg]) => arg)
+                .join(', ')}.`
+        );
+    }
+    return combinations.map((args) => ({
+        label: Object.entries(args)
+            .map(
+                ([arg, value]) =>
+                    `${arg}=${String(value).replace(/[/\\]/g, '_')}`
+            )
+            .join(','),
+        args,
+    }));
+};
+
+/**
+ * The interaction states to snapshot a story in, as configured by its `swc_vrt.states`.
+ */
+export const statesOf = (
+    story: Story<{}>,
+    storiesDefault: TestsType['default']
+): Variation[] => {
+    const states = story.swc_vrt?.states ?? storiesDefault.swc_vrt?.states;
+    return (states || []).map((state) => {
+        const config: Exclude<InteractionState, string> =
+            typeof state === 'string' ? { state } : state;
+        return {
+            label: config.name || config.state,
+            args: {},
+            state: config,
+        };
+    });
+};
+
+const centerOf = (element: Element): [number, number] => {
+    const { x, y, width, height } = element.getBoundingClientRect();
+    return [Math.round(x + width / 2), Math.round(y + height / 2)];
+};
+
+const overlayTimeout = 1000;
+
+/**
+ * Resolve when an overlay in the story dispatches `sp-opened` or `sp-closed`,
+ * and reject when it does not do so within `overlayTimeout`.
+ */
+const overlayEvent = (
+    element: StoryDecorator,
+    type: 'sp-opened' | 'sp-closed'
+): Promise<unknown> =>
+    Promise.race([
+        oneEvent(element, type),
+        new Promise((_resolve, reject) =>
+            setTimeout(
+                () =>
+                    reject(
+                        new Error(
+                            `No overlay in the story dispatched ${type} within ${overlayTimeout}ms.`
+                        )
+                    ),
+                overlayTimeout
+            )
+        ),
+    ]);
+
+/**
+ * Drive the story into an interaction state with the pointer or keyboard.
+ */
+const enterState = async (
+    element: StoryDecorator,
+    { state, target }: Exclude<InteractionState, string>
+): Promise<void> => {
+    const targetElement = target
+        ? element.querySelector(target)
+        : element.firstElementChild;
+    if (!targetElement) {
+        throw new Error(
+            `Could not find ${target || 'an element'} to ${state} in the story.`
+        );
+    }
+    switch (state) {
+        case 'hover':
+            await sendMouse({
+                steps: [{ type: 'move', position: centerOf(targetElement) }],
+            });
+            break;
+        case 'active':
+            await sendMouse({
+                steps: [
+                    { type: 'move', position: centerOf(targetElement) },
+                    { type: 'down' },
+                ],
+            });
+            break;
+        case 'focus-visible':
+            // focus after a key press so that the browser matches `:focus-visible`
+            await sendKeys({ press: 'Shift' });
+            (targetElement as HTMLElement).focus();
+            break;
+        case 'open': {
+            const opened = overlayEvent(element, 'sp-opened');
+            await sendMouse({
+                steps: [{ type: 'click', position: centerOf(targetElement) }],
+            });
+            await opened;
+            break;
+        }
+    }
+    await nextFrame();
+    await nextFrame();
+};
+
+/**
+ * Return the story, pointer and focus to where they were before `enterState()`.
+ */
+const leaveState = async (
+    element: StoryDecorator,
+    { state }: Exclude<InteractionState, string>
+): Promise<void> => {
+    if (state === 'open') {
+        const closed = overlayEvent(element, 'sp-closed');
+        await sendKeys({ press: 'Escape' });
+        await closed;
+    }
+    await sendMouse({
+        steps: [{ type: 'up' }, { type: 'move', position: [0, 0] }],
+    });
+    (document.activeElement as HTMLElement | null)?.blur();
+};
+
+const visualDiffWithOptions = async (
+    element: StoryDecorator,
+    name: string,
+    { mask = [], ...options }: VisualDiffOptions,
+    state?: Variation['state']
+): Promise<void> => {
+    if (state) {
+        await enterState(element, state);
+    }
+    const bounds = element.getBoundingClientRect();
+    const maskedRegions = mask.flatMap((selector) =>
+        [...element.querySelectorAll(selector)].map((masked) => {
+            const { x, y, width, height } = masked.getBoundingClientRect();
+            return { x: x - bounds.x, y: y - bounds.y, width, height };
+        })
+    );
+    await executeServerCommand('set-visual-diff-options', {
+        name,
+        options: {
+            ...options,
+            mask: maskedRegions,
+            devicePixelRatio: window.devicePixelRatio,
+        },
+    });
+    try {
+        await visualDiff(element, name);
+    } finally {
+        if (state) {
+            await leaveState(element, state);
+        }
+    }
+};
+
 export const test = (
     tests: TestsType,
     name: string,
     color: Color,
     scale: Scale,
-    dir: 'ltr' | 'rtl'
+    dir: 'ltr' | 'rtl',
+    pass: string = dir
 ) => {
     Object.keys(tests).map((story) => {
-        if (story !== 'default' && !tests[story].swc_vrt?.skip) {
-            it(story, async () => {
+        if (story === 'default' || tests[story].swc_vrt?.skip) {
+            return;
+        }
+        const variations: Variation[] = [
+            { label: '', args: {} },
+            ...matrixOf(tests[story], tests.default),
+            ...statesOf(tests[story], tests.default),
+        ];
+        variations.forEach((variation) => {
+            const title = variation.label
+                ? `${story} ${variation.label}`
+                : story;
+            it(title, async () => {
                 let test = await fixture<StoryDecorator>(wrap());
                 await elementUpdated(test);
                 test.focus();
@@ -77,6 +398,7 @@ export const test = (
                 const args = {
                     ...(testsDefault.args || {}),
                     ...(tests[story].args || {}),
+                    ...variation.args,
                 };
                 const decorators = [
                     ...(tests[story].decorators || []),
@@ -107,14 +429,30 @@ export const test = (
                     { timeout: 15000 }
                 );
                 await nextFrame();
-                const testName = `${color} - ${scale} - ${dir} - ${name} - ${story}`;
+                const testName = `${color} - ${scale} - ${pass} - ${name} - ${story}${
+                    variation.label ? ` - ${variation.label}` : ''
+                }`;
+                const { skip, matrix, states, ...storyOptions } =
+                    tests[story].swc_vrt || {};
+                const {
+                    preload,
+                    matrix: defaultMatrix,
+                    states: defaultStates,
+                    ...defaultOptions
+                } = testsDefault.swc_vrt || {};
+                const diffOptions = { ...defaultOptions, ...storyOptions };
                 const allowedRetries = 4;
                 let retries = allowedRetries;
                 let passed = false;
                 while (retries && !passed) {
                     retries -= 1;
                     try {
-                        await visualDiff(test, testName);
+                        await visualDiffWithOptions(
+                            test,
+                            testName,
+                            diffOptions,
+                            variation.state
+                        );
                         passed = true;
                     } catch (error) {
                         if (
@@ -144,7 +482,12 @@ export const test = (
                             await nextFrame();
                             if (!retries) {
                                 try {
-                                    await visualDiff(test, testName);
+                                    await visualDiffWithOptions(
+                                        test,
+                                        testName,
+                                        diffOptions,
+                                        variation.state
+                                    );
                                 } catch (error) {
                                     // eslint-disable-next-line no-console
                                     console.log(
@@ -163,7 +506,7 @@ export const test = (
                     `Tried ${allowedRetries - retries} times. ${testName}`
                 );
             });
-        }
+        });
     });
 };
 
@@ -173,12 +516,27 @@ export const regressVisuals = async (name: string, stories: TestsType) => {
             defaultColor: color,
             defaultScale: scale,
             defaultDirection: dir,
+            defaultReduceMotion: reduceMotion,
             hcm,
+            zoom = 1,
         } = window.__swc_hack_knobs__;
+        // Passes of the VRT matrix in forced colors, with motion, or zoomed
+        // are saved separately from the pass of the same color, scale, and
+        // direction. The theme variants are kept apart by their CI jobs, which
+        // restore the golden images of one variant each.
+        const pass = [
+            dir,
+            ...(hcm ? ['hcm'] : []),
+            ...(reduceMotion === false ? ['motion'] : []),
+            ...(zoom !== 1 ? [`zoom-${zoom * 100}`] : []),
+        ].join('-');
         before(async () => {
             if (stories.default?.swc_vrt?.preload) {
                 await stories.default.swc_vrt.preload();
             }
+            if (zoom !== 1) {
+                document.documentElement.style.setProperty('zoom', `${zoom}`);
+            }
             if (hcm) {
                 await emulateMedia({
                     forcedColors: 'active',
@@ -187,6 +545,7 @@ export const regressVisuals = async (name: string, stories: TestsType) => {
             }
         });
         after(async () => {
+            document.documentElement.style.removeProperty('zoom');
             if (hcm) {
                 await emulateMedia({
                     forcedColors: 'none',
@@ -201,7 +560,7 @@ export const regressVisuals = async (name: string, stories: TestsType) => {
             overlays.map((overlay) => overlay.remove());
         });
         if (color && scale && dir) {
-            test(stories, name, color, scale, dir);
+            test(stories, name, color, scale, dir, pass);
         } else {
             const colors: Color[] = ['lightest', 'light', 'dark', 'darkest'];
             const scales: Scale[] = ['medium', 'large'];
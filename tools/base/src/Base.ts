@@ -41,12 +41,15 @@ const updateRTL = (): void => {
     });
 };
 
-const rtlObserver = new MutationObserver(updateRTL);
+// There is no document to observe when rendering on the server.
+if (typeof window !== 'undefined') {
+    const rtlObserver = new MutationObserver(updateRTL);
 
-rtlObserver.observe(document.documentElement, {
-    attributes: true,
-    attributeFilter: ['dir'],
-});
+    rtlObserver.observe(document.documentElement, {
+        attributes: true,
+        attributeFilter: ['dir'],
+    });
+}
 
 type ContentDirectionManager = HTMLElement & {
     startManagingContentDirection?(): void;
@@ -159,7 +162,7 @@ export function SpectrumMixin<T extends Constructor<ReactiveElement>>(
 
 export class SpectrumElement extends SpectrumMixin(LitElement) {}
 
-if (window.__swc.DEBUG) {
+if (typeof window !== 'undefined' && window.__swc.DEBUG) {
     const ignoreWarningTypes = {
         default: false,
         accessibility: false,
@@ -0,0 +1,54 @@
+/*
+Copyright 2023 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+import { acceptScreenshot, collectTests } from './test/visual/review-data.js';
+
+/**
+ * Review the screenshots of the last local `yarn test:visual` run, and
+ * accept updated screenshots into `test/visual/screenshots-baseline`.
+ */
+export default {
+    nodeResolve: {
+        exportConditions: ['browser', 'development'],
+        moduleDirectories: ['node_modules', 'packages', 'projects', 'tools'],
+    },
+    clearTerminalOnReload: false,
+    open: '/test/visual/src/index.html',
+    middleware: [
+        async (ctx, next) => {
+            if (ctx.path === '/test/visual/src/data.json') {
+                ctx.type = 'application/json';
+                ctx.body = JSON.stringify({
+                    meta: {
+                        local: true,
+                    },
+                    tests: await collectTests(),
+                });
+                return;
+            }
+            if (ctx.path === '/test/visual/accept' && ctx.method === 'POST') {
+                let body = '';
+                for await (const chunk of ctx.req) {
+                    body += chunk;
+                }
+                try {
+                    await acceptScreenshot(JSON.parse(body).id);
+                    ctx.status = 204;
+                } catch (error) {
+                    ctx.status = 400;
+                    ctx.body = error.message;
+                }
+                return;
+            }
+            await next();
+        },
+    ],
+};
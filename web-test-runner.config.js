@@ -20,7 +20,9 @@ import {
     configuredVisualRegressionPlugin,
     firefox,
     packages,
+    visualDiffOptionsPlugin,
     vrtGroups,
+    vrtMatrixFilter,
     webkit,
 } from './web-test-runner.utils.js';
 import { fromRollup } from '@web/dev-server-rollup';
@@ -39,6 +41,7 @@ export default {
         sendKeysPlugin(),
         sendMousePlugin(),
         a11ySnapshotPlugin(),
+        visualDiffOptionsPlugin(),
         configuredVisualRegressionPlugin(),
         json({}),
         {
@@ -97,41 +100,47 @@ export default {
             timeout: 3000,
         },
     },
-    groups: [
-        {
-            name: 'unit',
-            files: ['packages/*/test/*.test.js', 'tools/*/test/*.test.js'],
-        },
-        ...vrtGroups,
-        ...packages.reduce((acc, pkg) => {
-            const skipPkgs = [
-                'bundle',
-                'icons-ui',
-                'icons-workflow',
-                'modal',
-                'styles',
-            ];
-            if (!skipPkgs.includes(pkg)) {
-                acc.push({
-                    name: pkg,
-                    files: `{packages,tools}/${pkg}/test/*.test.js`,
-                });
-            }
-            return acc;
-        }, []),
-        {
-            name: 'overlay-api',
-            files: [
-                'packages/action-menu/test/*.test.js',
-                'packages/dialog/test/*.test.js',
-                'packages/menu/test/*.test.js',
-                'packages/overlay/test/*.test.js',
-                'packages/picker/test/*.test.js',
-                'packages/split-button/test/*.test.js',
-            ],
-            browsers: [chromium, chromiumWithFlags, firefox, webkit],
-        },
-    ],
-    group: 'unit',
+    // `--matrix express,dark,rtl` runs only those passes of the VRT matrix
+    groups: vrtMatrixFilter
+        ? vrtGroups
+        : [
+              {
+                  name: 'unit',
+                  files: [
+                      'packages/*/test/*.test.js',
+                      'tools/*/test/*.test.js',
+                  ],
+              },
+              ...vrtGroups,
+              ...packages.reduce((acc, pkg) => {
+                  const skipPkgs = [
+                      'bundle',
+                      'icons-ui',
+                      'icons-workflow',
+                      'modal',
+                      'styles',
+                  ];
+                  if (!skipPkgs.includes(pkg)) {
+                      acc.push({
+                          name: pkg,
+                          files: `{packages,tools}/${pkg}/test/*.test.js`,
+                      });
+                  }
+                  return acc;
+              }, []),
+              {
+                  name: 'overlay-api',
+                  files: [
+                      'packages/action-menu/test/*.test.js',
+                      'packages/dialog/test/*.test.js',
+                      'packages/menu/test/*.test.js',
+                      'packages/overlay/test/*.test.js',
+                      'packages/picker/test/*.test.js',
+                      'packages/split-button/test/*.test.js',
+                  ],
+                  browsers: [chromium, chromiumWithFlags, firefox, webkit],
+              },
+          ],
+    group: vrtMatrixFilter ? undefined : 'unit',
     browsers: [chromium, firefox, webkit],
 };
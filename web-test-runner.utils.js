@@ -14,6 +14,8 @@ import { visualRegressionPlugin } from '@web/test-runner-visual-regression/plugi
 import fs from 'fs';
 import path from 'path';
 import fg from 'fast-glob';
+import { compareImages } from './test/visual/compare.js';
+import { vrtMatrix, vrtMatrixSubset, vrtPasses } from './test/visual/matrix.js';
 
 export const chromium = playwrightLauncher({
     product: 'chromium',
@@ -72,7 +74,7 @@ export const packages = fs
     .concat(tools);
 
 const vrtHTML =
-    ({ themeVariant, color, scale, dir, reduceMotion, hcm }) =>
+    ({ themeVariant, color, scale, dir, reduceMotion, hcm, zoom = 1 }) =>
     (testFramework) =>
         `<!doctype html>
     <html dir=${dir}>
@@ -99,82 +101,73 @@ const vrtHTML =
                 defaultDirection: "${dir || ''}",
                 defaultReduceMotion: ${reduceMotion},
                 hcm: ${!!hcm},
+                zoom: ${zoom},
             };
         </script>
         <script type="module" src="${testFramework}"></script>
         </body>
     </html>`;
 
-export let vrtGroups = [];
-const themeVariants = ['classic', 'express'];
-const colors = ['lightest', 'light', 'dark', 'darkest'];
-const scales = ['medium', 'large'];
-const directions = ['ltr', 'rtl'];
-themeVariants.forEach((themeVariant) => {
-    colors.forEach((color) => {
-        scales.forEach((scale) => {
-            directions.forEach((dir) => {
-                const reduceMotion = true;
-                const testHTML = vrtHTML({
-                    themeVariant,
-                    color,
-                    scale,
-                    dir,
-                    reduceMotion,
-                });
-                vrtGroups.push({
-                    name: `vrt-${themeVariant}-${color}-${scale}-${dir}`,
-                    files: '(packages|tools)/*/test/*.test-vrt.js',
-                    testRunnerHtml: testHTML,
-                    browsers: [chromium],
-                });
-            });
-        });
-    });
-});
+// the passes selected via `--matrix`, e.g. `--matrix express,dark,rtl`
+export const vrtMatrixFilter = vrtMatrixSubset();
 
-vrtGroups = [
-    ...vrtGroups,
-    ...packages.reduce((acc, pkg) => {
-        const skipPkgs = ['bundle', 'modal'];
-        if (!skipPkgs.includes(pkg)) {
-            acc.push({
-                name: `vrt-${pkg}`,
-                files: `(packages|tools)/${pkg}/test/*.test-vrt.js`,
-                testRunnerHtml: vrtHTML({
-                    reduceMotion: true,
-                }),
-                browsers: [chromium],
-            });
-            acc.push({
-                name: `vrt-${pkg}-single`,
-                files: `(packages|tools)/${pkg}/test/*.test-vrt.js`,
-                testRunnerHtml: vrtHTML({
-                    themeVariant: 'spectrum',
-                    color: 'light',
-                    scale: 'medium',
-                    dir: 'ltr',
-                    reduceMotion: true,
-                }),
-                browsers: [chromium],
-            });
-        }
-        return acc;
-    }, []),
-    {
-        name: `vrt-hcm`,
+const vrtPassGroups = vrtPasses(vrtMatrixFilter).map(
+    ({
+        name,
+        themeVariant,
+        color,
+        scale,
+        dir,
+        reduceMotion,
+        forcedColors,
+        zoom,
+    }) => ({
+        name: `vrt-${name}`,
         files: '(packages|tools)/*/test/*.test-vrt.js',
         testRunnerHtml: vrtHTML({
-            themeVariant: 'spectrum',
-            color: 'dark',
-            scale: 'medium',
-            dir: 'ltr',
-            hcm: true,
-            reduceMotion: true,
+            themeVariant,
+            color,
+            scale,
+            dir,
+            reduceMotion,
+            hcm: forcedColors,
+            zoom,
         }),
         browsers: [chromium],
-    },
-];
+    })
+);
+
+export const vrtGroups = vrtMatrixFilter
+    ? vrtPassGroups
+    : [
+          ...vrtPassGroups,
+          ...packages.reduce((acc, pkg) => {
+              const skipPkgs = ['bundle', 'modal'];
+              if (!skipPkgs.includes(pkg)) {
+                  acc.push({
+                      name: `vrt-${pkg}`,
+                      files: `(packages|tools)/${pkg}/test/*.test-vrt.js`,
+                      testRunnerHtml: vrtHTML({
+                          reduceMotion: vrtMatrix.settings.reduceMotion,
+                      }),
+                      browsers: [chromium],
+                  });
+                  acc.push({
+                      name: `vrt-${pkg}-single`,
+                      files: `(packages|tools)/${pkg}/test/*.test-vrt.js`,
+                      testRunnerHtml: vrtHTML({
+                          themeVariant: 'spectrum',
+                          color: 'light',
+                          scale: 'medium',
+                          dir: 'ltr',
+                          reduceMotion: vrtMatrix.settings.reduceMotion,
+                      }),
+                      browsers: [chromium],
+                  });
+              }
+              return acc;
+          }, []),
+      ];
 
 export const configuredVisualRegressionPlugin = () =>
     visualRegressionPlugin({
@@ -184,6 +177,38 @@ export const configuredVisualRegressionPlugin = () =>
         },
         baseDir: 'test/visual',
         buildCache: true,
+        getImageDiff: async ({ name, baselineImage, image, options }) => {
+            const result = compareImages({
+                baselineImage,
+                image,
+                diffOptions: options,
+                options: visualDiffOptions.get(name),
+            });
+            if (result.error) {
+                return result;
+            }
+            const metricPath = path.join(
+                'test/visual/screenshots-actual/metrics',
+                `${path.join(...name.split(' - '))}.json`
+            );
+            await fs.promises.mkdir(path.dirname(metricPath), {
+                recursive: true,
+            });
+            await fs.promises.writeFile(
+                metricPath,
+                JSON.stringify(result.metric)
+            );
+            // The plugin fails any difference, so differences within the
+            // threshold of the story are reported as none at all.
+            const { passed } = result.metric;
+            return {
+                diffImage: result.diffImage,
+                diffPixels: passed ? 0 : Math.max(result.diffPixels, 1),
+                diffPercentage: passed
+                    ? 0
+                    : Math.max(result.diffPercentage, Number.EPSILON),
+            };
+        },
         getBaselineName: ({ browser, name }) => {
             const nameParts = name.split(' - ');
             return path.join('screenshots-baseline', browser, ...nameParts);